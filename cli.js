@@ -0,0 +1,469 @@
+#!/usr/bin/env node
+const { readFile } = require("node:fs/promises");
+const { homedir } = require("node:os");
+const { join } = require("node:path");
+const { parseArgs } = require("node:util");
+const {
+  PayWayClient,
+  PayWayError,
+  PayWayRequestError,
+  PayWayCallbackError,
+  PayWayNotFoundError,
+  normalize_amount,
+} = require("./index.js");
+
+/**
+ * Exit codes of the `payway` command.
+ */
+const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1,
+  USAGE: 2,
+  API_ERROR: 3,
+  NOT_FOUND: 4,
+  REQUEST_ERROR: 5,
+  INVALID_CALLBACK: 6,
+};
+
+const USAGE = `Usage: payway <command> [options]
+
+Commands:
+  create --tran-id <id> --amount <amount> [--currency USD] [--payment-option abapay]
+         [--firstname] [--lastname] [--email] [--phone] [--return-url] [--type purchase]
+  check <tran_id>
+  details <tran_id>
+  list [--from YYYYMMDD] [--to YYYYMMDD] [--status APPROVED] [--page 1] [--limit 50]
+  refund <tran_id> [--amount <amount>] [--currency USD] [--reason <text>]
+  verify-callback <file>    Verifies a callback body saved to a file ("-" for stdin)
+
+Options:
+  --sandbox, --production   PayWay environment (default: PAYWAY_ENVIRONMENT or the profile's)
+  --profile <name>          Profile to use from the profile file (default: PAYWAY_PROFILE or "default")
+  --config <file>           Profile file (default: PAYWAY_CONFIG or ~/.config/payway/profiles.json)
+  --base-url <url>          Overrides the environment's base URL
+  --json                    Prints JSON instead of a table
+  -h, --help                Shows this help
+
+Credentials are read from the profile, then overridden by PAYWAY_MERCHANT_ID,
+PAYWAY_API_KEY, PAYWAY_ENVIRONMENT and PAYWAY_BASE_URL.
+
+Exit codes: 0 success, 1 unexpected error, 2 usage error, 3 API error,
+4 transaction not found, 5 network error or timeout, 6 invalid callback.
+`;
+
+/**
+ * Options accepted by every command, for `util.parseArgs`.
+ * @private
+ */
+const OPTIONS = {
+  sandbox: { type: "boolean" },
+  production: { type: "boolean" },
+  profile: { type: "string" },
+  config: { type: "string" },
+  "base-url": { type: "string" },
+  json: { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+  "tran-id": { type: "string" },
+  amount: { type: "string" },
+  currency: { type: "string" },
+  "payment-option": { type: "string" },
+  firstname: { type: "string" },
+  lastname: { type: "string" },
+  email: { type: "string" },
+  phone: { type: "string" },
+  "return-url": { type: "string" },
+  type: { type: "string" },
+  from: { type: "string" },
+  to: { type: "string" },
+  status: { type: "string" },
+  page: { type: "string" },
+  limit: { type: "string" },
+  reason: { type: "string" },
+};
+
+/**
+ * Error in the command line itself, exiting with EXIT_CODES.USAGE.
+ * @private
+ */
+class UsageError extends Error {}
+
+/**
+ * Reads the named profile from the profile file. A missing file is only an
+ * error when --config or a profile name was given.
+ * @private
+ */
+async function read_profile(values, env) {
+  const file =
+    values.config ??
+    env.PAYWAY_CONFIG ??
+    join(homedir(), ".config", "payway", "profiles.json");
+  const name = values.profile ?? env.PAYWAY_PROFILE;
+
+  let profiles;
+  try {
+    profiles = JSON.parse(await readFile(file, "utf-8"));
+  } catch (error) {
+    if (error.code === "ENOENT" && !values.config && !name) return {};
+    throw new UsageError(`cannot read profile file ${file}: ${error.message}`);
+  }
+
+  const profile = profiles?.[name ?? "default"];
+  if (profile == null) {
+    if (!name) return {};
+    throw new UsageError(`profile "${name}" not found in ${file}`);
+  }
+  return profile;
+}
+
+/**
+ * Builds a client from the profile, `PAYWAY_*` variables and flags, in
+ * increasing order of precedence.
+ * @private
+ */
+async function create_client(values, env) {
+  if (values.sandbox && values.production) {
+    throw new UsageError("--sandbox and --production cannot be combined");
+  }
+
+  const profile = await read_profile(values, env);
+  const pick = (...candidates) =>
+    candidates.find((value) => value != null && String(value).trim() !== "");
+  let environment = pick(env.PAYWAY_ENVIRONMENT, profile.environment);
+  if (values.sandbox) environment = "sandbox";
+  if (values.production) environment = "production";
+
+  try {
+    return PayWayClient.create({
+      environment,
+      merchantId: pick(env.PAYWAY_MERCHANT_ID, profile.merchantId),
+      apiKey: pick(env.PAYWAY_API_KEY, profile.apiKey),
+      baseUrl: pick(values["base-url"], env.PAYWAY_BASE_URL, profile.baseUrl),
+    });
+  } catch (error) {
+    throw new UsageError(error.message.replace(/^PayWayClient\.create: /, ""));
+  }
+}
+
+/**
+ * Returns the single positional argument of a command.
+ * @private
+ */
+function argument(positionals, command, name) {
+  if (positionals.length !== 1) {
+    throw new UsageError(`${command} expects exactly one <${name}>`);
+  }
+  return positionals[0];
+}
+
+/**
+ * Parses a positive integer flag.
+ * @private
+ */
+function integer_flag(value, name) {
+  if (value == null) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new UsageError(`--${name} must be a positive integer`);
+  }
+  return number;
+}
+
+/**
+ * Accepts YYYYMMDD or YYYY-MM-DD dates.
+ * @private
+ */
+function date_flag(value, name) {
+  if (value == null) return undefined;
+  const date = value.replace(/-/g, "");
+  if (!/^\d{8}$/.test(date)) {
+    throw new UsageError(`--${name} must be a date as YYYYMMDD or YYYY-MM-DD`);
+  }
+  return date;
+}
+
+/**
+ * Accepts USD or KHR, in any case, defaulting to USD.
+ * @private
+ */
+function currency_flag(value) {
+  const currency = (value ?? "USD").toUpperCase();
+  if (currency !== "USD" && currency !== "KHR") {
+    throw new UsageError("--currency must be USD or KHR");
+  }
+  return currency;
+}
+
+/**
+ * Parses an amount flag with the client's money rules for the currency.
+ * @private
+ */
+function amount_flag(value, currency) {
+  if (value == null) return undefined;
+  try {
+    return normalize_amount(value, currency, { label: "--amount" });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+}
+
+/**
+ * Reads a file, or stdin for "-".
+ * @private
+ */
+async function read_input(file, stdin) {
+  if (file !== "-") return readFile(file);
+  const chunks = [];
+  for await (const chunk of stdin) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Runs a command and returns what it prints: `json` for --json, and `rows`
+ * for a table or `record` for key/value lines otherwise.
+ * @private
+ */
+async function run_command(command, values, positionals, { env, stdin }) {
+  switch (command) {
+    case "create": {
+      if (positionals.length > 0) {
+        throw new UsageError("create takes no positional arguments");
+      }
+      if (!values["tran-id"] || !values.amount) {
+        throw new UsageError("create requires --tran-id and --amount");
+      }
+      const currency = currency_flag(values.currency);
+      const amount = amount_flag(values.amount, currency);
+      const client = await create_client(values, env);
+      return as_record(
+        await client.create_transaction({
+          tran_id: values["tran-id"],
+          amount,
+          currency,
+          payment_option: values["payment-option"] ?? "abapay",
+          firstname: values.firstname,
+          lastname: values.lastname,
+          email: values.email,
+          phone: values.phone,
+          return_url: values["return-url"],
+          type: values.type,
+        })
+      );
+    }
+    case "check": {
+      const tran_id = argument(positionals, command, "tran_id");
+      const client = await create_client(values, env);
+      return as_record(await client.check_transaction(tran_id));
+    }
+    case "details": {
+      const tran_id = argument(positionals, command, "tran_id");
+      const client = await create_client(values, env);
+      const { raw, ...details } = await client.get_transaction_details(tran_id);
+      return as_record(details);
+    }
+    case "list": {
+      if (positionals.length > 0) {
+        throw new UsageError("list takes no positional arguments");
+      }
+      const options = {
+        from_date: date_flag(values.from, "from"),
+        to_date: date_flag(values.to, "to"),
+        status: values.status?.toUpperCase(),
+        page: integer_flag(values.page, "page"),
+        pagination: integer_flag(values.limit, "limit"),
+      };
+      const client = await create_client(values, env);
+      const data = await client.transaction_list(options);
+      return { json: data, rows: data?.transactions ?? data?.data ?? [] };
+    }
+    case "refund": {
+      const tran_id = argument(positionals, command, "tran_id");
+      const currency = currency_flag(values.currency);
+      const refund_amount = amount_flag(values.amount, currency);
+      const client = await create_client(values, env);
+      return as_record(
+        await client.refund_transaction({
+          tran_id,
+          refund_amount,
+          currency,
+          reason: values.reason,
+        })
+      );
+    }
+    case "verify-callback": {
+      const file = argument(positionals, command, "file");
+      let body;
+      try {
+        body = await read_input(file, stdin);
+      } catch (error) {
+        throw new UsageError(`cannot read ${file}: ${error.message}`);
+      }
+      const client = await create_client(values, env);
+      const { raw, ...callback } = await client.verify_callback_async(
+        new Uint8Array(body)
+      );
+      return as_record(callback);
+    }
+    default:
+      throw new UsageError(`unknown command "${command}"`);
+  }
+}
+
+/**
+ * Output of commands printing a single object. Key/value lines show the
+ * transaction inside PayWay's `{ data, status }` envelope; --json prints the
+ * whole response.
+ * @private
+ */
+function as_record(value) {
+  const data = value?.data;
+  const record =
+    data && typeof data === "object" && !Array.isArray(data) ? data : value;
+  return { json: value, record };
+}
+
+/**
+ * Formats a value for a table cell.
+ * @private
+ */
+function cell(value) {
+  if (value == null) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value).replace(/\s+/g, " ");
+}
+
+/**
+ * Renders rows as an aligned text table, with the union of their keys as
+ * columns.
+ * @private
+ */
+function format_table(rows) {
+  if (rows.length === 0) return "No transactions\n";
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  const lines = [
+    columns,
+    ...rows.map((row) => columns.map((column) => cell(row[column]))),
+  ];
+  const widths = columns.map((_, index) =>
+    Math.max(...lines.map((line) => line[index].length))
+  );
+  return lines
+    .map((line) =>
+      line
+        .map((text, index) => text.padEnd(widths[index]))
+        .join("  ")
+        .trimEnd()
+    )
+    .join("\n")
+    .concat("\n");
+}
+
+/**
+ * Renders an object as "key  value" lines.
+ * @private
+ */
+function format_record(record) {
+  const entries = Object.entries(record ?? {});
+  const width = Math.max(0, ...entries.map(([key]) => key.length));
+  return entries
+    .map(([key, value]) => `${key.padEnd(width)}  ${cell(value)}`.trimEnd())
+    .join("\n")
+    .concat("\n");
+}
+
+/**
+ * Maps an error to the exit code of the `payway` command.
+ * @param {Error} error - Error thrown by a command
+ * @returns {number} One of EXIT_CODES
+ */
+function exit_code(error) {
+  if (error instanceof UsageError) return EXIT_CODES.USAGE;
+  if (error instanceof PayWayCallbackError) return EXIT_CODES.INVALID_CALLBACK;
+  if (error instanceof PayWayNotFoundError) return EXIT_CODES.NOT_FOUND;
+  if (error instanceof PayWayRequestError) return EXIT_CODES.REQUEST_ERROR;
+  if (error instanceof PayWayError) return EXIT_CODES.API_ERROR;
+  return EXIT_CODES.ERROR;
+}
+
+/**
+ * Runs the `payway` command line tool.
+ * @param {string[]} argv - Arguments, without the node and script paths
+ * @param {object} [io={}]
+ * @param {object} [io.env=process.env] - Environment variables
+ * @param {NodeJS.WritableStream} [io.stdout=process.stdout] - Output stream
+ * @param {NodeJS.WritableStream} [io.stderr=process.stderr] - Error stream
+ * @param {NodeJS.ReadableStream} [io.stdin=process.stdin] - Input for `verify-callback -`
+ * @returns {Promise<number>} Exit code, see EXIT_CODES
+ */
+async function run(
+  argv,
+  {
+    env = process.env,
+    stdout = process.stdout,
+    stderr = process.stderr,
+    stdin = process.stdin,
+  } = {}
+) {
+  let values = {};
+  try {
+    const parsed = parseArgs({
+      args: argv,
+      options: OPTIONS,
+      allowPositionals: true,
+    });
+    values = parsed.values;
+    const [command, ...positionals] = parsed.positionals;
+    if (values.help || !command) {
+      (values.help ? stdout : stderr).write(USAGE);
+      return values.help ? EXIT_CODES.OK : EXIT_CODES.USAGE;
+    }
+
+    const result = await run_command(command, values, positionals, {
+      env,
+      stdin,
+    });
+    if (values.json) {
+      stdout.write(`${JSON.stringify(result.json ?? null, null, 2)}\n`);
+    } else {
+      stdout.write(
+        result.rows ? format_table(result.rows) : format_record(result.record)
+      );
+    }
+    return EXIT_CODES.OK;
+  } catch (error) {
+    const code = String(error.code).startsWith("ERR_PARSE_ARGS")
+      ? EXIT_CODES.USAGE
+      : exit_code(error);
+    if (values.json) {
+      stderr.write(
+        `${JSON.stringify({
+          error: {
+            name: error.name,
+            message: error.message,
+            errorCode: error.errorCode ?? null,
+            statusCode: error.statusCode ?? null,
+          },
+        })}\n`
+      );
+    } else {
+      const details = [error.errorCode, error.statusCode].filter(Boolean);
+      stderr.write(
+        `payway: ${error.message}${
+          details.length ? ` (${details.join(", ")})` : ""
+        }\n`
+      );
+      if (code === EXIT_CODES.USAGE) stderr.write("Run payway --help\n");
+    }
+    return code;
+  }
+}
+
+exports.EXIT_CODES = EXIT_CODES;
+exports.exit_code = exit_code;
+exports.run = run;
+
+if (require.main === module) {
+  run(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
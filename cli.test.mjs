@@ -0,0 +1,231 @@
+import test from "ava";
+import { execFile } from "node:child_process";
+import { mkdtemp, writeFile, rm } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { promisify } from "node:util";
+import { run, EXIT_CODES } from "./cli.js";
+import { create_mock_server } from "./testing.js";
+
+test.beforeEach(async (t) => {
+  t.context.server = await create_mock_server({
+    merchant_id: "merchant",
+    api_key: "secret",
+  });
+  t.context.dir = await mkdtemp(join(tmpdir(), "payway-cli-"));
+  t.context.env = {
+    PAYWAY_ENVIRONMENT: "sandbox",
+    PAYWAY_MERCHANT_ID: "merchant",
+    PAYWAY_API_KEY: "secret",
+    PAYWAY_BASE_URL: t.context.server.url,
+    PAYWAY_CONFIG: join(t.context.dir, "missing.json"),
+  };
+});
+
+test.afterEach.always(async (t) => {
+  await t.context.server.close();
+  await rm(t.context.dir, { recursive: true, force: true });
+});
+
+function output() {
+  return {
+    text: "",
+    write(chunk) {
+      this.text += chunk;
+    },
+  };
+}
+
+async function payway(t, argv, env = t.context.env) {
+  const stdout = output();
+  const stderr = output();
+  const code = await run(argv, { env, stdout, stderr });
+  return { code, stdout: stdout.text, stderr: stderr.text };
+}
+
+test("cli should create, check and list transactions", async (t) => {
+  const created = await payway(t, [
+    "create",
+    "--tran-id",
+    "order-1",
+    "--amount",
+    "10.5",
+    "--firstname",
+    "John",
+  ]);
+  t.is(created.code, EXIT_CODES.OK);
+  t.regex(created.stdout, /^tran_id\s+order-1$/m);
+  t.is(t.context.server.requests[0].fields.amount, "10.50");
+
+  const checked = await payway(t, ["check", "order-1", "--json"]);
+  t.is(checked.code, EXIT_CODES.OK);
+  t.like(JSON.parse(checked.stdout), {
+    data: { tran_id: "order-1", status: "PENDING" },
+    status: { code: "00" },
+  });
+
+  t.context.server.add_transaction({
+    tran_id: "order-2",
+    amount: "3.00",
+    status: "APPROVED",
+  });
+  const listed = await payway(t, ["list", "--status", "approved"]);
+  t.is(listed.code, EXIT_CODES.OK);
+  const [header, row, extra] = listed.stdout.trimEnd().split("\n");
+  t.regex(
+    header,
+    /^status\s+amount\s+currency\s+created_at\s+updated_at\s+tran_id$/
+  );
+  t.regex(row, /^APPROVED\s+3\.00\s+USD\s+.+order-2$/);
+  t.is(extra, undefined);
+});
+
+test("cli should map errors to exit codes", async (t) => {
+  const { env } = t.context;
+
+  const missing = await payway(t, ["check", "nope"]);
+  t.is(missing.code, EXIT_CODES.NOT_FOUND);
+  t.is(
+    missing.stderr,
+    "payway: PayWay API error: Transaction not found (TXN_NOT_FOUND, 200)\n"
+  );
+
+  const rejected = await payway(t, ["check", "nope", "--json"], {
+    ...env,
+    PAYWAY_API_KEY: "wrong",
+  });
+  t.is(rejected.code, EXIT_CODES.API_ERROR);
+  t.like(JSON.parse(rejected.stderr).error, {
+    errorCode: "WRONG_HASH",
+    statusCode: 401,
+  });
+
+  const offline = await payway(t, ["check", "order-1"], {
+    ...env,
+    PAYWAY_BASE_URL: "http://127.0.0.1:1",
+  });
+  t.is(offline.code, EXIT_CODES.REQUEST_ERROR);
+
+  t.is((await payway(t, [])).code, EXIT_CODES.USAGE);
+  t.is((await payway(t, ["check"])).code, EXIT_CODES.USAGE);
+  t.is((await payway(t, ["launch"])).code, EXIT_CODES.USAGE);
+  t.is((await payway(t, ["list", "--lmit", "5"])).code, EXIT_CODES.USAGE);
+  t.is((await payway(t, ["list", "--from", "May 1"])).code, EXIT_CODES.USAGE);
+  const bad_amount = await payway(t, [
+    "create",
+    "--tran-id",
+    "x",
+    "--amount",
+    "abc",
+  ]);
+  t.is(bad_amount.code, EXIT_CODES.USAGE);
+  t.regex(bad_amount.stderr, /--amount must be a plain decimal number/);
+  t.is(
+    (await payway(t, ["create", "--tran-id", "x", "--amount", "1.005"])).code,
+    EXIT_CODES.USAGE
+  );
+  t.is(
+    (
+      await payway(t, [
+        "create",
+        "--tran-id",
+        "x",
+        "--amount",
+        "1",
+        "--currency",
+        "EUR",
+      ])
+    ).code,
+    EXIT_CODES.USAGE
+  );
+  t.is(
+    (await payway(t, ["refund", "order-1", "--amount", "-5"])).code,
+    EXIT_CODES.USAGE
+  );
+  t.is(
+    (await payway(t, ["check", "x", "--sandbox", "--production"])).code,
+    EXIT_CODES.USAGE
+  );
+});
+
+test("cli should read credentials from a profile file", async (t) => {
+  const { server, dir } = t.context;
+  const config = join(dir, "profiles.json");
+  await writeFile(
+    config,
+    JSON.stringify({
+      default: { environment: "production", merchantId: "other", apiKey: "x" },
+      shop: { merchantId: "merchant", apiKey: "secret", baseUrl: server.url },
+    })
+  );
+  server.add_transaction({ tran_id: "order-1" });
+  const env = { PAYWAY_CONFIG: config };
+
+  const checked = await payway(
+    t,
+    ["check", "order-1", "--profile", "shop", "--sandbox"],
+    env
+  );
+  t.is(checked.code, EXIT_CODES.OK);
+
+  const no_environment = await payway(
+    t,
+    ["check", "order-1", "--profile", "shop"],
+    env
+  );
+  t.is(no_environment.code, EXIT_CODES.USAGE);
+  t.regex(no_environment.stderr, /environment is required/);
+
+  const unknown = await payway(
+    t,
+    ["check", "order-1", "--profile", "nope"],
+    env
+  );
+  t.is(unknown.code, EXIT_CODES.USAGE);
+  t.regex(unknown.stderr, /profile "nope" not found/);
+
+  const overridden = await payway(
+    t,
+    ["check", "order-1", "--profile", "shop"],
+    {
+      ...env,
+      PAYWAY_ENVIRONMENT: "sandbox",
+      PAYWAY_API_KEY: "wrong",
+    }
+  );
+  t.is(overridden.code, EXIT_CODES.API_ERROR);
+});
+
+test("cli should verify callback files", async (t) => {
+  const { server, dir } = t.context;
+  server.add_transaction({ tran_id: "order-1", status: "APPROVED" });
+  const valid = join(dir, "valid.json");
+  const forged = join(dir, "forged.json");
+  await writeFile(valid, JSON.stringify(server.sign_callback("order-1")));
+  await writeFile(
+    forged,
+    JSON.stringify({ ...server.sign_callback("order-1"), status: "1" })
+  );
+
+  const verified = await payway(t, ["verify-callback", valid, "--json"]);
+  t.is(verified.code, EXIT_CODES.OK);
+  t.like(JSON.parse(verified.stdout), { tran_id: "order-1", status: "0" });
+
+  const rejected = await payway(t, ["verify-callback", forged]);
+  t.is(rejected.code, EXIT_CODES.INVALID_CALLBACK);
+
+  const unreadable = await payway(t, ["verify-callback", join(dir, "nope")]);
+  t.is(unreadable.code, EXIT_CODES.USAGE);
+});
+
+test("cli should exit with the mapped code when run as a program", async (t) => {
+  const error = await t.throwsAsync(
+    promisify(execFile)(process.execPath, ["cli.js", "check", "nope"], {
+      env: { ...process.env, ...t.context.env },
+      timeout: 20000,
+    })
+  );
+
+  t.is(error.code, EXIT_CODES.NOT_FOUND);
+  t.regex(error.stderr, /Transaction not found/);
+});
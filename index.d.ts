@@ -1,5 +1,3 @@
-import type { FormData } from "formdata-node";
-
 /**
  * Trims whitespace from a string value, or returns the value unchanged if it's not a string.
  * @param value - The value to trim
@@ -8,7 +6,8 @@ import type { FormData } from "formdata-node";
 export declare function trim<T = string | null | undefined>(value: T): T;
 
 /**
- * Transaction status enumeration
+ * Transaction status enumeration. UNKNOWN stands for statuses PayWay reports
+ * that are not listed here.
  */
 export enum TransactionStatus {
   APPROVED = "APPROVED",
@@ -17,6 +16,7 @@ export enum TransactionStatus {
   PRE_AUTH = "PRE-AUTH",
   CANCELLED = "CANCELLED",
   REFUNDED = "REFUNDED",
+  UNKNOWN = "UNKNOWN",
 }
 
 /**
@@ -31,6 +31,12 @@ export type TransactionStatusType =
   | "REFUNDED"
   | (string & {});
 
+/**
+ * Transaction type: a regular purchase, a pre-authorization to capture later,
+ * or any other type PayWay supports
+ */
+export type TransactionType = "purchase" | "pre-auth" | (string & {});
+
 /**
  * Payment option enumeration
  */
@@ -62,6 +68,129 @@ export type PaymentOptionType =
  */
 export type Currency = "USD" | "KHR";
 
+/**
+ * Amount accepted by the client: a number, a decimal string such as "10.50",
+ * or a bigint in minor units (cents for USD, riels for KHR)
+ */
+export type AmountInput = number | string | bigint;
+
+/**
+ * Number of decimal places PayWay expects for each currency
+ */
+export declare const CURRENCY_DECIMALS: Readonly<Record<Currency, number>>;
+
+/**
+ * Smallest and largest accepted amount for a currency
+ */
+export interface AmountLimits {
+  /** Smallest accepted amount (defaults to the smallest unit) */
+  min?: number | string;
+  /** Largest accepted amount */
+  max?: number | string;
+}
+
+/**
+ * Options for normalize_amount
+ */
+export interface NormalizeAmountOptions extends AmountLimits {
+  /** Whether zero is accepted (defaults to false) */
+  allow_zero?: boolean;
+  /** Name used in error messages (defaults to "amount") */
+  label?: string;
+}
+
+/**
+ * Converts an amount to integer minor units without floating point arithmetic
+ */
+export declare function to_minor_units(
+  amount: AmountInput,
+  currency: Currency,
+  label?: string
+): bigint;
+
+/**
+ * Formats minor units as the decimal string PayWay hashes
+ */
+export declare function from_minor_units(
+  units: bigint | number,
+  currency: Currency
+): string;
+
+/**
+ * Validates an amount and normalizes it to the exact string form PayWay hashes
+ * ("10.50" for USD, "4000" for KHR)
+ */
+export declare function normalize_amount(
+  amount: AmountInput,
+  currency: Currency,
+  options?: NormalizeAmountOptions
+): string;
+
+/**
+ * Longest item name PayWay accepts
+ */
+export declare const ITEM_NAME_MAX_LENGTH: number;
+
+/**
+ * Order line passed to create_transaction
+ */
+export interface Item {
+  /** Item name (at most ITEM_NAME_MAX_LENGTH characters) */
+  name: string;
+  /** Quantity, a positive integer */
+  quantity: number;
+  /** Unit price, in the transaction currency's precision */
+  price: AmountInput;
+  /**
+   * Line type (defaults to "item"). Shipping lines add to the total,
+   * discount lines subtract from it.
+   */
+  type?: "item" | "shipping" | "discount";
+}
+
+/**
+ * Order line as sent to PayWay, with the price normalized for the currency
+ */
+export interface NormalizedItem {
+  name: string;
+  quantity: number;
+  /** Normalized unit price; negative for discounts */
+  price: string;
+}
+
+/**
+ * Creates an order line item
+ */
+export declare function line_item(
+  name: string,
+  quantity: number,
+  price: AmountInput
+): Item;
+
+/**
+ * Creates a shipping line, added to the item total
+ */
+export declare function shipping_line(price: AmountInput, name?: string): Item;
+
+/**
+ * Creates a discount line, subtracted from the item total
+ */
+export declare function discount_line(price: AmountInput, name?: string): Item;
+
+/**
+ * Validates order items and converts them to the shape PayWay expects
+ */
+export declare function normalize_items(
+  items: Item[],
+  currency: Currency,
+  label?: string
+): { items: NormalizedItem[]; total: bigint };
+
+/**
+ * Sums line items, shipping and discounts as a normalized amount string
+ */
+export declare function items_total(items: Item[], currency: Currency): string;
+
 /**
  * Deeplink configuration for mobile apps
  */
@@ -80,8 +209,8 @@ export interface CreateTransactionParams {
   tran_id: string;
   /** Payment method option (required) */
   payment_option: PaymentOptionType;
-  /** Transaction amount (required) */
-  amount: number | string;
+  /** Transaction amount (required); normalized to two decimals for USD, whole riels for KHR */
+  amount: AmountInput;
   /** Currency code (required) */
   currency: Currency;
   /** URL to redirect after payment (base64 encoded automatically) */
@@ -90,7 +219,9 @@ export interface CreateTransactionParams {
   return_deeplink?: string | DeeplinkConfig;
   /** URL to continue after successful payment */
   continue_success_url?: string;
-  /** Payment window type */
+  /** Customer token of a saved card (see purchase_by_token) */
+  ctid?: string;
+  /** PayWay token of a saved card (see purchase_by_token) */
   pwt?: string;
   /** Customer first name */
   firstname?: string;
@@ -100,10 +231,13 @@ export interface CreateTransactionParams {
   email?: string;
   /** Customer phone number */
   phone?: string;
-  /** Order items (base64 encoded JSON automatically) */
-  items?: string | any[];
+  /**
+   * Order items (base64 encoded JSON automatically). Arrays are validated and
+   * must add up to amount; strings are sent as-is.
+   */
+  items?: string | Item[];
   /** Transaction type (defaults to "purchase") */
-  type?: string;
+  type?: TransactionType;
   /** Custom fields */
   custom_fields?: string;
 }
@@ -118,7 +252,7 @@ export interface CreateTransactionResponse {
   payment_url?: string;
   /** Payment deeplink for mobile apps */
   deeplink?: string;
-  /** QR code data (if applicable) */
+  /** QR code data (if applicable); render it with render_qr */
   qr_code?: string;
   /** Transaction status */
   status?: TransactionStatusType;
@@ -126,6 +260,124 @@ export interface CreateTransactionResponse {
   [key: string]: any;
 }
 
+/**
+ * Request parameters for generate_qr API
+ */
+export interface GenerateQrParams {
+  /** Transaction ID */
+  tran_id: string;
+  /** Transaction amount */
+  amount: AmountInput;
+  /** Currency code */
+  currency: Currency;
+  /** Minutes before the QR code expires, from 3 to 43200 (30 days) */
+  lifetime?: number;
+  /** Payment option (defaults to "abapay_khqr") */
+  payment_option?: PaymentOption | string;
+  /** Customer first name */
+  firstname?: string;
+  /** Customer last name */
+  lastname?: string;
+  /** Customer email address */
+  email?: string;
+  /** Customer phone number */
+  phone?: string;
+  /** Order items, validated as for create_transaction */
+  items?: string | Item[];
+  /** Transaction type (defaults to "purchase") */
+  type?: TransactionType;
+  /** URL receiving the payment pushback (base64 encoded automatically) */
+  callback_url?: string;
+  /** Deeplink for mobile apps (base64 encoded automatically) */
+  return_deeplink?: string | DeeplinkConfig;
+  /** Custom fields */
+  custom_fields?: string;
+  /** Value echoed back in the pushback */
+  return_params?: string;
+  /** Template of the QR image rendered by PayWay */
+  qr_image_template?: string;
+}
+
+/**
+ * Response structure for generate_qr API
+ */
+export interface GenerateQrResponse {
+  /** KHQR string to encode in the QR code */
+  qr_string: string | null;
+  /** When the QR code expires, or null when no lifetime was given */
+  expires_at: Date | null;
+  /** QR image rendered by PayWay, as a data URL */
+  qrImage?: string;
+  /** ABA Mobile deeplink */
+  abapay_deeplink?: string;
+  /** Additional response data */
+  [key: string]: any;
+}
+
+/**
+ * KHQR card frame drawn around a QR code
+ */
+export interface KhqrFrameOptions {
+  /** Card width in pixels (defaults to 320) */
+  width?: number;
+  /** Merchant name (SVG only) */
+  merchant_name?: string;
+  /** Formatted amount, e.g. "$ 10.00" (SVG only) */
+  amount?: string;
+}
+
+/**
+ * Options for render_qr
+ */
+export interface RenderQrOptions {
+  /** Output format (defaults to "svg") */
+  format?: "svg" | "png";
+  /** Error correction level (defaults to "M") */
+  ecc?: "L" | "M" | "Q" | "H";
+  /** Pixels per module (defaults to 8, ignored with frame) */
+  scale?: number;
+  /** Quiet zone in modules (defaults to 4, ignored with frame) */
+  margin?: number;
+  /** Colour of dark modules (defaults to "#000000") */
+  dark?: string;
+  /** Background colour (defaults to "#ffffff") */
+  light?: string;
+  /** Draw a KHQR card around the code */
+  frame?: KhqrFrameOptions;
+}
+
+/**
+ * Layout of a KHQR card, in pixels
+ */
+export interface KhqrFrameDimensions {
+  width: number;
+  height: number;
+  header_height: number;
+  info_y: number;
+  info_height: number;
+  qr_x: number;
+  qr_y: number;
+  qr_size: number;
+  radius: number;
+  /** Header colour */
+  color: string;
+}
+
+/**
+ * Renders a QR string to SVG markup or a PNG data URL, locally
+ */
+export declare function render_qr(
+  data: string,
+  options?: RenderQrOptions
+): string;
+
+/**
+ * Computes the layout of a KHQR card of the given width
+ */
+export declare function khqr_frame_dimensions(
+  width?: number
+): KhqrFrameDimensions;
+
 /**
  * Request parameters for check_transaction API
  */
@@ -156,6 +408,130 @@ export interface CheckTransactionResponse {
   [key: string]: any;
 }
 
+/**
+ * Kind of operation in a transaction's history
+ */
+export type TransactionOperationType =
+  | "created"
+  | "approved"
+  | "pre_auth"
+  | "completed"
+  | "declined"
+  | "cancelled"
+  | "refunded"
+  | "partial_refund"
+  | "unknown";
+
+/**
+ * Operation in a transaction's history
+ */
+export interface TransactionOperation {
+  type: TransactionOperationType;
+  /** Status as reported by PayWay */
+  status: string;
+  amount: string | null;
+  created_at: Date | null;
+  bank_ref: string | null;
+}
+
+/**
+ * Normalized response of get_transaction_details
+ */
+export interface TransactionDetails {
+  tran_id: string;
+  status: TransactionStatusType | string | null;
+  /** Original amount, formatted with the currency's decimals */
+  amount: string | null;
+  total_amount: string | null;
+  refunded_amount: string | null;
+  currency: string;
+  /** Approval code */
+  apv: string | null;
+  payment_method: string | null;
+  payer: {
+    name: string | null;
+    account: string | null;
+    bank: string | null;
+  };
+  fees: { amount: string | null; currency: string };
+  created_at: Date | null;
+  /** Operations, oldest first */
+  operations: TransactionOperation[];
+  /** Original API response */
+  raw: any;
+}
+
+/**
+ * Decimal-safe amount in a currency, as returned by normalized responses
+ */
+export interface Money {
+  /** Decimal amount, e.g. "10.50" for USD or "4000" for KHR */
+  amount: string;
+  /** Currency code */
+  currency: Currency | (string & {});
+  /** Amount in cents for USD or riels for KHR */
+  minorUnits: number;
+}
+
+/**
+ * Transaction returned by check_transaction, transaction_list and
+ * iterate_transactions with `normalize: true`. Other response fields are
+ * camel-cased, with amounts as Money and timestamps as Date.
+ */
+export interface NormalizedTransaction {
+  tranId: string;
+  /** Status mapped onto TransactionStatus */
+  status: TransactionStatus;
+  /** Upper-cased status as reported by PayWay, or null if absent */
+  rawStatus: string | null;
+  amount: Money | null;
+  currency: Currency | (string & {});
+  /** Creation time; PayWay reports Phnom Penh time */
+  createdAt: Date | null;
+  updatedAt: Date | null;
+  /** Original response data */
+  raw: CheckTransactionResponse;
+  /** Other camel-cased response fields */
+  [key: string]: unknown;
+}
+
+/**
+ * Response of transaction_list with `normalize: true`
+ */
+export interface NormalizedTransactionList {
+  transactions: NormalizedTransaction[];
+  page: number | null;
+  perPage: number | null;
+  total: number | null;
+  totalPages: number | null;
+  /** Original response data */
+  raw: TransactionListResponse;
+}
+
+/**
+ * Normalizes a transaction or check_transaction response
+ */
+export declare function normalize_transaction(
+  data: CheckTransactionResponse
+): NormalizedTransaction;
+
+/**
+ * Normalizes a transaction_list response
+ */
+export declare function normalize_transaction_list(
+  data: TransactionListResponse
+): NormalizedTransactionList;
+
+/**
+ * Picks the normalized or raw response type from the client's `normalize`
+ * option
+ */
+export type NormalizedOr<
+  Normalize extends boolean,
+  Normalized,
+  Raw,
+> = Normalize extends true ? Normalized : Raw;
+
 /**
  * Request parameters for transaction_list API
  */
@@ -165,11 +541,36 @@ export interface TransactionListParams {
   /** End date for filtering (format: YYYYMMDD) */
   to_date?: string;
   /** Minimum amount filter */
-  from_amount?: string | number;
+  from_amount?: AmountInput;
   /** Maximum amount filter */
-  to_amount?: string | number;
+  to_amount?: AmountInput;
+  /** Currency of from_amount/to_amount, for their decimals (default "USD") */
+  currency?: "USD" | "KHR" | Lowercase<"USD" | "KHR">;
   /** Transaction status filter */
   status?: TransactionStatusType;
+  /** Page number, starting at 1 */
+  page?: number;
+  /** Number of transactions per page */
+  pagination?: number;
+  /** Cancels the request */
+  signal?: AbortSignal;
+}
+
+/**
+ * Options for iterate_transactions
+ */
+export interface IterateTransactionsParams extends Omit<
+  TransactionListParams,
+  "page" | "pagination"
+> {
+  /** Number of transactions per page (defaults to 50) */
+  page_size?: number;
+  /** Stop after yielding this many transactions */
+  max_items?: number;
+  /** Split the from_date/to_date range into day or month windows */
+  window?: "day" | "month";
+  /** Aborts the iteration between pages */
+  signal?: AbortSignal;
 }
 
 /**
@@ -191,102 +592,1447 @@ export interface TransactionListResponse {
 }
 
 /**
- * Error response structure from PayWay API
+ * Response structure for complete_pre_auth and cancel_pre_auth APIs
  */
-export interface PayWayErrorResponse {
-  /** Error message */
-  message?: string;
-  /** Error code from PayWay API */
-  code?: string;
-  /** Detailed error information */
-  details?: Record<string, any>;
-  /** Additional error data */
+export interface PreAuthResponse {
+  /** Transaction ID */
+  tran_id?: string;
+  /** Amount captured (complete_pre_auth only) */
+  complete_amount?: string | number;
+  /** Transaction status after the operation */
+  status?: TransactionStatusType;
+  /** Additional response data */
   [key: string]: any;
 }
 
 /**
- * Custom error class for PayWay API errors
+ * Request parameters for refund_transaction API
  */
-export declare class PayWayError extends Error {
-  /** Error code from PayWay API */
-  errorCode: string | null;
-  /** HTTP status code */
-  statusCode: number | null;
-  /** Detailed error information from API response */
-  details: PayWayErrorResponse | null;
-  /** Full API response object (for backward compatibility) */
-  response: PayWayErrorResponse | null;
-  constructor(
-    message: string,
-    response?: PayWayErrorResponse | null,
-    statusCode?: number | null
-  );
+export interface RefundTransactionParams {
+  /** Transaction ID to refund (required) */
+  tran_id: string;
+  /** Amount to refund; omit for a full refund */
+  refund_amount?: AmountInput;
+  /** Captured amount of the transaction, if known, to validate refund_amount against */
+  captured_amount?: AmountInput;
+  /** Currency of the transaction, for the amounts' decimals (default "USD") */
+  currency?: "USD" | "KHR" | Lowercase<"USD" | "KHR">;
+  /** Reason for the refund */
+  reason?: string;
 }
 
 /**
- * Custom error class for PayWay network/request errors
+ * Response structure for refund_transaction API
  */
-export declare class PayWayRequestError extends PayWayError {
-  /** Original error object from axios */
-  originalError: Error | null;
-  constructor(message: string, originalError?: Error | null);
+export interface RefundTransactionResponse {
+  /** Transaction ID */
+  tran_id?: string;
+  /** Amount refunded by this request */
+  refund_amount?: string | number;
+  /** Total amount refunded so far */
+  total_refunded?: string | number;
+  /** Transaction status after the refund */
+  status?: TransactionStatusType;
+  /** Additional response data */
+  [key: string]: any;
 }
 
 /**
- * PayWay API client for creating and managing payment transactions
+ * Request parameters for create_payment_link
  */
-export declare class PayWayClient {
-  /** Base URL for PayWay API */
-  public readonly base_url: string;
-  /** Merchant ID */
-  public readonly merchant_id: string;
-  /** API key for authentication */
-  public readonly api_key: string;
+export interface CreatePaymentLinkParams {
+  /** Title shown to the payer (up to 250 characters) */
+  title: string;
+  /** Amount to pay */
+  amount: AmountInput;
+  /** Currency code */
+  currency: Currency;
+  /** Description shown to the payer */
+  description?: string;
+  /** Expiry, as a Date or a Unix timestamp in seconds */
+  expired_date?: Date | number;
+  /** Number of payments accepted before the link closes */
+  max_usage?: number;
+  /** URL receiving the payment pushback (base64 encoded automatically) */
+  return_url?: string;
+  /** Your reference, e.g. an invoice number */
+  merchant_ref_no?: string;
+}
 
-  /**
-   * Creates a new PayWayClient instance
-   * @param base_url - Base URL for PayWay API
-   * @param merchant_id - Your merchant ID
-   * @param api_key - Your API key
-   * @param client_factory - Optional factory function to create custom HTTP client
-   */
-  constructor(
-    base_url: string,
-    merchant_id: string,
-    api_key: string,
-    client_factory?: (thisRef: PayWayClient) => any
-  );
+/**
+ * Payment link status
+ */
+export type PaymentLinkStatus = "OPEN" | "CLOSED" | "EXPIRED" | "DISABLED";
 
-  /**
-   * Creates a SHA512 HMAC hash from an array of string values
-   */
-  public create_hash(values: string[]): string;
+/**
+ * Payment link returned by the payment link APIs
+ */
+export interface PaymentLink {
+  /** Payment link ID */
+  id: string;
+  /** Shareable URL */
+  payment_link?: string;
+  /** Title shown to the payer */
+  title?: string;
+  /** Amount to pay */
+  amount?: string | number;
+  /** Currency code */
+  currency?: Currency;
+  /** Link status */
+  status?: PaymentLinkStatus;
+  /** Expiry as a Unix timestamp in seconds */
+  expired_date?: number;
+  /** Number of payments accepted before the link closes */
+  payment_limit?: number;
+  /** Number of payments received so far */
+  total_usage?: number;
+  /** Your reference */
+  merchant_ref_no?: string;
+  /** Additional response data */
+  [key: string]: any;
+}
 
-  /**
-   * Creates a FormData payload with required authentication fields
-   */
-  public create_payload(
-    hash_values: string[],
-    body?: any,
-    date?: Date
-  ): FormData;
+/**
+ * Maximum length of a payment link title
+ */
+export declare const PAYMENT_LINK_TITLE_MAX_LENGTH: number;
 
-  /**
-   * Creates a new payment transaction
-   */
-  public create_transaction(
-    args?: Partial<CreateTransactionParams>
-  ): Promise<CreateTransactionResponse>;
+/**
+ * Request parameters for link_card
+ */
+export interface LinkCardParams {
+  /** Customer token from an earlier session, to save another card for the same customer */
+  ctid?: string;
+  /** Customer first name */
+  firstname?: string;
+  /** Customer last name */
+  lastname?: string;
+  /** Customer email address */
+  email?: string;
+  /** Customer phone number */
+  phone?: string;
+  /** URL receiving the card token pushback (base64 encoded automatically) */
+  return_url: string;
+  /** URL the customer is sent to once the card is saved */
+  continue_success_url?: string;
+  /** Value echoed back in the pushback, e.g. your customer ID */
+  return_param?: string;
+}
 
-  /**
-   * Checks the status of a transaction by transaction ID
-   */
-  public check_transaction(tran_id: string): Promise<CheckTransactionResponse>;
+/**
+ * Response structure for link_card API
+ */
+export interface LinkCardResponse {
+  /** Page where the customer saves a card */
+  payment_url?: string;
+  /** ABA Mobile deeplink to save a card */
+  deeplink?: string;
+  /** Request status */
+  status?: { code: string; message?: string } | string;
+  /** Additional response data */
+  [key: string]: any;
+}
 
-  /**
-   * Retrieves a list of transactions based on filter criteria
-   */
+/**
+ * Request parameters for purchase_by_token
+ */
+export interface PurchaseByTokenParams extends Partial<
+  Omit<CreateTransactionParams, "ctid" | "pwt">
+> {
+  /** Customer token from the card callback */
+  ctid: string;
+  /** PayWay token of the saved card */
+  pwt: string;
+  /** Transaction ID */
+  tran_id: string;
+  /** Transaction amount */
+  amount: AmountInput;
+  /** Currency code */
+  currency: Currency;
+}
+
+/**
+ * A card saved through link_card
+ */
+export interface SavedCard {
+  /** PayWay token of the card */
+  pwt: string;
+  /** Masked card number */
+  mask_pan?: string;
+  /** Card scheme, e.g. VISA or MC */
+  card_type?: string;
+  /** Additional card data */
+  [key: string]: any;
+}
+
+/**
+ * Response structure for list_saved_cards API
+ */
+export interface ListSavedCardsResponse {
+  /** Saved cards of the customer */
+  cards?: SavedCard[];
+  /** Additional response data */
+  [key: string]: any;
+}
+
+/**
+ * Response structure for remove_saved_card API
+ */
+export interface RemoveSavedCardResponse {
+  /** Request status */
+  status?: { code: string; message?: string } | string;
+  /** Additional response data */
+  [key: string]: any;
+}
+
+/**
+ * Transaction statuses after which a transaction no longer changes on its own
+ */
+export declare const FINAL_STATUSES: readonly TransactionStatusType[];
+
+/**
+ * Extracts the upper-cased transaction status from a check_transaction response,
+ * flat or wrapped in PayWay's `{ data, status }` envelope
+ */
+export declare function transaction_status(
+  response: CheckTransactionResponse | null | undefined
+): string | null;
+
+/**
+ * Polling options for watch_transaction and wait_for_transaction
+ */
+export interface WaitForTransactionOptions {
+  /** Give up after this many milliseconds (defaults to 300000) */
+  timeout?: number;
+  /** Delay between the first polls in milliseconds (defaults to 2000) */
+  interval?: number;
+  /** Multiplier applied to the delay after every poll (defaults to 1) */
+  backoff?: number;
+  /** Upper bound for the delay between polls in milliseconds (defaults to 30000) */
+  maxInterval?: number;
+  /** Statuses that end the polling (defaults to FINAL_STATUSES) */
+  finalStatuses?: readonly string[];
+  /** Stops polling when aborted */
+  signal?: AbortSignal;
+}
+
+/**
+ * Status change yielded by watch_transaction
+ */
+export interface TransactionStatusChange<
+  Response = CheckTransactionResponse | NormalizedTransaction,
+> {
+  /** New transaction status */
+  status: string | null;
+  /** check_transaction response the status came from */
+  response: Response;
+}
+
+/**
+ * Signed checkout form returned by build_checkout_form
+ */
+export interface CheckoutForm {
+  /** URL the form must be posted to */
+  action: string;
+  /** HTTP method of the form */
+  method: "POST";
+  /** Signed form fields, including req_time, merchant_id and hash */
+  fields: Record<string, string>;
+}
+
+/**
+ * Rendering options for render_checkout_html
+ */
+export interface RenderCheckoutOptions {
+  /** Form target: a window name, iframe name, "_blank", "_top", ... (defaults to "_self") */
+  target?: string;
+  /** Return a full page that submits the form on load (defaults to false) */
+  autoSubmit?: boolean;
+  /** Label of the submit button (defaults to "Pay with ABA PayWay") */
+  submitLabel?: string;
+  /** `id` attribute of the form (defaults to "payway-checkout") */
+  formId?: string;
+  /** CSP nonce for the auto-submit script */
+  nonce?: string;
+}
+
+/**
+ * Error response structure from PayWay API
+ */
+export interface PayWayErrorResponse {
+  /** Error message */
+  message?: string;
+  /** Error code from PayWay API */
+  code?: string;
+  /** In-body status, as in `{ code: "1", message: "Wrong hash" }` */
+  status?: { code?: string | number; message?: string; [key: string]: any };
+  /** Detailed error information */
+  details?: Record<string, any>;
+  /** Additional error data */
+  [key: string]: any;
+}
+
+/**
+ * Custom error class for PayWay API errors
+ */
+export declare class PayWayError extends Error {
+  /** Raw error code from PayWay API, top-level or in `status.code` */
+  errorCode: string | null;
+  /** HTTP status code */
+  statusCode: number | null;
+  /** Detailed error information from API response */
+  details: PayWayErrorResponse | null;
+  /** Full API response object (for backward compatibility) */
+  response: PayWayErrorResponse | null;
+  /** Whether sending the request again may succeed */
+  isRetryable: boolean;
+  /** Request ID reported by PayWay, if any */
+  requestId: string | null;
+  constructor(
+    message: string,
+    response?: PayWayErrorResponse | null,
+    statusCode?: number | null,
+    details?: PayWayErrorDetails
+  );
+}
+
+/**
+ * Extra details accepted by the PayWayError constructors
+ */
+export interface PayWayErrorDetails {
+  /** Request ID reported by PayWay */
+  requestId?: string | null;
+  /** Defaults to true for 429 and 5xx status codes */
+  isRetryable?: boolean;
+  /** Name of the rejected field, for PayWayValidationError */
+  field?: string | null;
+  /** Milliseconds to wait before retrying, for PayWayRateLimitError */
+  retryAfter?: number | null;
+}
+
+/**
+ * Custom error class for PayWay network/request errors
+ */
+export declare class PayWayRequestError extends PayWayError {
+  /** Original error thrown by the transport */
+  originalError: Error | null;
+  /** Whether the request timed out */
+  isTimeout: boolean;
+  /** Whether the request was cancelled through an AbortSignal */
+  isAborted: boolean;
+  constructor(
+    message: string,
+    originalError?: Error | null,
+    flags?: { isTimeout?: boolean; isAborted?: boolean; isRetryable?: boolean }
+  );
+}
+
+/**
+ * Error thrown when refunding a transaction that has already been fully refunded
+ */
+export declare class PayWayAlreadyRefundedError extends PayWayError {}
+
+/**
+ * Error thrown when a transaction is too old to be refunded
+ */
+export declare class PayWayRefundWindowExpiredError extends PayWayError {}
+
+/**
+ * Error thrown when PayWay does not know the requested transaction
+ */
+export declare class PayWayNotFoundError extends PayWayError {}
+
+/**
+ * Error thrown when PayWay rejects the credentials: wrong hash, unknown or
+ * disabled merchant, or a domain that is not whitelisted
+ */
+export declare class PayWayAuthError extends PayWayError {}
+
+/**
+ * Error thrown when PayWay rejects a request field
+ */
+export declare class PayWayValidationError extends PayWayError {
+  /** Name of the rejected field, when PayWay or its message tells */
+  field: string | null;
+}
+
+/**
+ * Error thrown when a transaction ID has already been used
+ */
+export declare class PayWayDuplicateTransactionError extends PayWayError {}
+
+/**
+ * Error thrown when PayWay throttles the merchant
+ */
+export declare class PayWayRateLimitError extends PayWayError {
+  /** Milliseconds to wait, from the Retry-After header */
+  retryAfter: number | null;
+}
+
+/**
+ * Error thrown when PayWay rejects a request because of its req_time
+ */
+export declare class PayWayClockSkewError extends PayWayError {
+  /** req_time of the rejected request */
+  reqTime: string | null;
+  /** PayWay's clock minus ours in milliseconds, when known */
+  skew: number | null;
+  /** Time zone req_time was formatted in */
+  timeZone: string | null;
+  constructor(
+    message: string,
+    response?: PayWayErrorResponse | null,
+    statusCode?: number | null,
+    details?: {
+      reqTime?: string;
+      skew?: number | null;
+      timeZone?: string;
+      requestId?: string | null;
+    }
+  );
+}
+
+/**
+ * Time zone PayWay expects req_time in ("Asia/Phnom_Penh")
+ */
+export declare const DEFAULT_TIME_ZONE: string;
+
+/**
+ * Formats a date as a req_time (yyyyMMddHHmmss) in a time zone
+ */
+export declare function format_req_time(
+  date: Date | number,
+  time_zone?: string
+): string;
+
+/**
+ * Error thrown when a transaction does not reach a final status in time
+ */
+export declare class PayWayTimeoutError extends PayWayError {
+  /** Transaction ID that was being watched */
+  tranId: string;
+  /** Last check_transaction response received */
+  lastResponse: CheckTransactionResponse | null;
+  constructor(
+    message: string,
+    tranId: string,
+    lastResponse?: CheckTransactionResponse | null
+  );
+}
+
+/**
+ * Error thrown when an incoming pushback (callback) request cannot be verified
+ */
+export declare class PayWayCallbackError extends PayWayError {
+  /** The callback payload that failed verification */
+  payload: Record<string, any> | null;
+  constructor(message: string, payload?: Record<string, any> | null);
+}
+
+/**
+ * Encoding applied to a field before it is sent and signed
+ */
+export type SigningEncoding = "trim" | "base64" | "items" | "amount";
+
+/**
+ * How an endpoint's request fields are signed
+ */
+export interface SigningSpec {
+  /** Fields in hash order, after req_time and merchant_id */
+  fields: readonly string[];
+  /** Values used when a field is missing */
+  defaults?: Record<string, string>;
+  /** Client option names read when a field is missing */
+  aliases?: Record<string, string>;
+  encodings?: Record<string, SigningEncoding>;
+}
+
+/**
+ * Signing specs of the PayWay endpoints, by path
+ */
+export declare const SIGNING_SPECS: Readonly<Record<string, SigningSpec>>;
+
+/**
+ * Encodings a signing spec can apply to a field
+ */
+export declare const SIGNING_ENCODINGS: Readonly<
+  Record<SigningEncoding, (value: any, params: Record<string, any>) => string>
+>;
+
+/**
+ * One field of a signature explanation
+ */
+export interface SignatureField {
+  field: string;
+  /** Value as signed */
+  value: string;
+  /** Value before encoding */
+  input: any;
+  /** "params", "params.<option>" for aliases, "default", "empty", "request" or "client" */
+  source: string;
+  encoding: SigningEncoding | null;
+}
+
+/**
+ * Result of explain_signature
+ */
+export interface SignatureExplanation {
+  endpoint: string;
+  /** String the HMAC is computed over */
+  canonical: string;
+  /** Fields in hash order, including req_time and merchant_id */
+  fields: SignatureField[];
+  hash: string;
+  /** Request body, including the hash */
+  body: Record<string, string>;
+  /** Parameters not covered by the endpoint's spec */
+  ignored: string[];
+}
+
+/**
+ * Options for explain_signature
+ */
+export interface ExplainSignatureOptions {
+  /** Request time, as a Date or the req_time of a failed request */
+  req_time?: Date | string;
+}
+
+/**
+ * Fields of a pushback request covered by its hash, in signing order
+ */
+export declare const CALLBACK_HASH_FIELDS: readonly string[];
+
+/**
+ * Fields of a card-on-file pushback covered by its hash, in signing order
+ */
+export declare const CARD_CALLBACK_HASH_FIELDS: readonly string[];
+
+/**
+ * Raw pushback body as posted by PayWay to `return_url`
+ */
+export interface PayWayCallbackPayload {
+  /** Transaction ID */
+  tran_id?: string;
+  /** Approval code */
+  apv?: string;
+  /** Transaction status */
+  status?: string | number;
+  /** Merchant ID */
+  merchant_id?: string;
+  /** Parameters passed through from the original transaction */
+  return_params?: string;
+  /** Callback hash (may be sent as the `x-payway-hmac-sha512` header instead) */
+  hash?: string;
+  /** Additional callback data */
+  [key: string]: any;
+}
+
+/**
+ * Verified pushback returned by verify_callback
+ */
+export interface PayWayCallback {
+  /** Transaction ID */
+  tran_id: string;
+  /** Approval code */
+  apv: string | null;
+  /** Transaction status as sent by PayWay */
+  status: string | null;
+  /** Merchant ID */
+  merchant_id: string | null;
+  /** Parameters passed through from the original transaction */
+  return_params: string | null;
+  /** The full parsed callback body */
+  raw: PayWayCallbackPayload;
+}
+
+/**
+ * Verified card-on-file pushback returned by verify_card_callback
+ */
+export interface PayWayCardCallback {
+  /** Customer token */
+  ctid: string;
+  /** PayWay token of the saved card */
+  pwt: string;
+  /** Masked card number */
+  mask_pan: string | null;
+  /** Card scheme */
+  card_type: string | null;
+  /** Status as sent by PayWay */
+  status: string | null;
+  /** Merchant ID */
+  merchant_id: string | null;
+  /** Value passed to link_card */
+  return_param: string | null;
+  /** The full parsed callback body */
+  raw: Record<string, any>;
+}
+
+/**
+ * Raw or parsed callback body accepted by verify_callback
+ */
+export type PayWayCallbackBody =
+  string | Uint8Array | URLSearchParams | PayWayCallbackPayload;
+
+/**
+ * Request headers, as a plain object or a Fetch API Headers instance
+ */
+export type PayWayHeaders =
+  | Record<string, string | string[] | undefined>
+  | { get(name: string): string | null };
+
+/**
+ * Anything able to verify a callback, such as a PayWayClient
+ */
+export interface PayWayCallbackVerifier {
+  verify_callback(
+    payload: PayWayCallbackBody,
+    headers?: PayWayHeaders
+  ): PayWayCallback | Promise<PayWayCallback>;
+  /** Preferred by fetch_callback_handler when present */
+  verify_callback_async?(
+    payload: PayWayCallbackBody,
+    headers?: PayWayHeaders
+  ): Promise<PayWayCallback>;
+}
+
+/**
+ * Parses a raw callback body (JSON or url-encoded) into a plain object
+ */
+export declare function parse_callback_body(
+  body: PayWayCallbackBody | null | undefined
+): PayWayCallbackPayload;
+
+/**
+ * Escapes a value for use in HTML text and double-quoted attributes
+ */
+export declare function escape_html(value: unknown): string;
+
+/**
+ * Splits an inclusive YYYYMMDD date range into consecutive day or month windows
+ */
+export declare function date_windows(
+  from_date: string,
+  to_date: string,
+  unit: "day" | "month"
+): Array<[string, string]>;
+
+/**
+ * Record of our own ledger passed to reconcile
+ */
+export interface LocalTransactionRecord {
+  tran_id: string;
+  amount: string | number | bigint;
+  currency: Currency | string;
+  status: TransactionStatusType | string;
+  [key: string]: any;
+}
+
+/**
+ * Parameters for reconcile
+ */
+export interface ReconcileParams {
+  /** First day of the range (Date or YYYYMMDD) */
+  from: Date | string;
+  /** Last day of the range (Date or YYYYMMDD) */
+  to: Date | string;
+  /** Our records for the range */
+  local:
+    AsyncIterable<LocalTransactionRecord> | Iterable<LocalTransactionRecord>;
+  /** Transactions per transaction_list page (default: 100) */
+  page_size?: number;
+  signal?: AbortSignal;
+}
+
+/**
+ * Fields compared on each side of a reconciliation row
+ */
+export interface ReconciledSide {
+  amount: string | null;
+  currency: string | null;
+  status: string | null;
+}
+
+/**
+ * One transaction of a reconciliation report
+ */
+export interface ReconciliationRow {
+  tran_id: string;
+  result: "matched" | "mismatch" | "missing_local" | "missing_remote";
+  issues: Array<"amount" | "currency" | "status">;
+  /** Our side, or null when only PayWay has the transaction */
+  local: ReconciledSide | null;
+  /** PayWay's side, or null when PayWay does not know the transaction */
+  remote: ReconciledSide | null;
+}
+
+/**
+ * Report returned by reconcile
+ */
+export interface ReconciliationReport {
+  /** First day of the range (YYYYMMDD) */
+  from: string;
+  /** Last day of the range (YYYYMMDD) */
+  to: string;
+  /** ISO 8601 timestamp */
+  generated_at: string;
+  summary: {
+    total: number;
+    matched: number;
+    missing_local: number;
+    missing_remote: number;
+    amount_mismatch: number;
+    currency_mismatch: number;
+    status_drift: number;
+  };
+  rows: ReconciliationRow[];
+}
+
+/**
+ * Columns of the CSV reconciliation report, in order
+ */
+export declare const RECONCILIATION_COLUMNS: readonly string[];
+
+/**
+ * Renders a reconciliation report as CSV
+ */
+export declare function reconciliation_csv(
+  report: ReconciliationReport
+): string;
+
+/**
+ * Creates a Node.js `http` request listener that verifies PayWay callbacks
+ */
+export declare function http_callback_handler(
+  verifier: PayWayCallbackVerifier,
+  handler: (
+    event: PayWayCallback,
+    req: import("node:http").IncomingMessage,
+    res: import("node:http").ServerResponse
+  ) => unknown
+): (
+  req: import("node:http").IncomingMessage,
+  res: import("node:http").ServerResponse
+) => Promise<void>;
+
+/**
+ * Creates an Express middleware that verifies PayWay callbacks
+ */
+export declare function express_callback_handler(
+  verifier: PayWayCallbackVerifier,
+  handler: (event: PayWayCallback, req: any, res: any) => unknown
+): (req: any, res: any, next: (error?: unknown) => void) => Promise<void>;
+
+/**
+ * Creates a Fastify route handler that verifies PayWay callbacks
+ */
+export declare function fastify_callback_handler(
+  verifier: PayWayCallbackVerifier,
+  handler: (event: PayWayCallback, request: any, reply: any) => unknown
+): (request: any, reply: any) => Promise<unknown>;
+
+/**
+ * Creates a Web fetch handler (Request in, Response out) that verifies PayWay
+ * callbacks, for edge runtimes. A Response returned by the handler is sent as is.
+ */
+export declare function fetch_callback_handler(
+  verifier: PayWayCallbackVerifier,
+  handler: (event: PayWayCallback, request: Request) => unknown
+): (request: Request) => Promise<Response>;
+
+/**
+ * Information passed to the retry policy's onRetry hook
+ */
+export interface RetryContext {
+  /** API endpoint path being retried */
+  endpoint: string;
+  /** The attempt that just failed, starting at 1 */
+  attempt: number;
+  /** Delay in milliseconds before the next attempt */
+  delay: number;
+  /** Error thrown by the failed attempt */
+  error: any;
+}
+
+/**
+ * Retry policy for transient failures
+ */
+export interface RetryPolicy {
+  /** Maximum number of attempts, including the first one (defaults to 3) */
+  maxAttempts?: number;
+  /** Delay before the first retry in milliseconds, doubled on every attempt (defaults to 250) */
+  baseDelay?: number;
+  /** Upper bound for the delay between attempts in milliseconds (defaults to 5000) */
+  maxDelay?: number;
+  /** Randomize delays between 0 and the computed backoff (defaults to true) */
+  jitter?: boolean;
+  /** HTTP status codes to retry (defaults to 408, 429, 500, 502, 503, 504) */
+  retryOn?: number[];
+  /** Called before waiting for the next attempt */
+  onRetry?: ((context: RetryContext) => void | Promise<void>) | null;
+}
+
+/**
+ * Default retry policy, applied when `retry: true` is passed to the client
+ */
+export declare const DEFAULT_RETRY_POLICY: Readonly<Required<RetryPolicy>>;
+
+/**
+ * Event passed to the onRequest hook
+ */
+export interface PayWayRequestEvent {
+  /** API endpoint path */
+  endpoint: string;
+  /** Attempt number, starting at 1 (greater than 1 on retries) */
+  attempt: number;
+  /** Decoded form fields sent to PayWay, including req_time and hash */
+  fields: Record<string, string>;
+}
+
+/**
+ * Event passed to the onResponse hook
+ */
+export interface PayWayResponseEvent extends PayWayRequestEvent {
+  /** HTTP status code, if known */
+  status: number | null;
+  /** Parsed response body */
+  body: any;
+  /** Request duration in milliseconds */
+  duration: number;
+}
+
+/**
+ * Event passed to the onError hook
+ */
+export interface PayWayErrorEvent extends PayWayResponseEvent {
+  /** Error thrown by the HTTP client */
+  error: any;
+}
+
+/**
+ * Request lifecycle hooks. Errors thrown by hooks are ignored.
+ */
+export interface PayWayHooks {
+  /** Called before every HTTP attempt */
+  onRequest?: (event: PayWayRequestEvent) => void | Promise<void>;
+  /** Called after every successful attempt */
+  onResponse?: (event: PayWayResponseEvent) => void | Promise<void>;
+  /** Called after every failed attempt */
+  onError?: (event: PayWayErrorEvent) => void | Promise<void>;
+}
+
+/**
+ * Argument order of a logger's methods
+ */
+export type PayWayLoggerStyle = "pino" | "console";
+
+/**
+ * Logger accepted by logger_hooks: the console or a pino-compatible logger
+ */
+export interface PayWayLogger {
+  info(...args: any[]): void;
+  error(...args: any[]): void;
+  debug?(...args: any[]): void;
+}
+
+/**
+ * Field names whose values are replaced by redact
+ */
+export declare const REDACTED_FIELDS: readonly string[];
+
+/**
+ * Returns a deep copy of `value` with sensitive fields replaced by "[REDACTED]"
+ */
+export declare function redact<T>(value: T, fields?: readonly string[]): T;
+
+/**
+ * Creates hooks that write redacted, structured logs to a console or
+ * pino-compatible logger
+ */
+export declare function logger_hooks(
+  logger: PayWayLogger,
+  options?: {
+    redact?: readonly string[];
+    /**
+     * Argument order of the logger's methods: `(object, message)` for "pino",
+     * `(message, object)` for "console". Defaults to "pino" for loggers with a
+     * `bindings()` method and "console" otherwise
+     */
+    style?: PayWayLoggerStyle;
+  }
+): Required<PayWayHooks>;
+
+/**
+ * Request sent through a transport
+ */
+export interface TransportRequest {
+  method: string;
+  /** Absolute request URL */
+  url: string;
+  headers: Record<string, string>;
+  body?: FormData | string | null;
+  signal?: AbortSignal;
+  /** Timeout in milliseconds, overriding the transport default */
+  timeout?: number;
+}
+
+/**
+ * Response returned by a transport, whatever its status
+ */
+export interface TransportResponse {
+  status: number;
+  headers: Record<string, string>;
+  /** Parsed JSON body, or the raw text when it is not JSON */
+  body: any;
+}
+
+/**
+ * Sends HTTP requests for PayWayClient
+ */
+export interface Transport {
+  request(request: TransportRequest): Promise<TransportResponse>;
+}
+
+/**
+ * Options for fetch_transport
+ */
+export interface FetchTransportOptions {
+  /** fetch implementation (defaults to globalThis.fetch) */
+  fetch?: typeof fetch;
+  /** Default request timeout in milliseconds */
+  timeout?: number;
+  /** undici dispatcher, e.g. an Agent with keep-alive settings */
+  dispatcher?: unknown;
+}
+
+/**
+ * Creates a transport using the native fetch API and global FormData
+ */
+export declare function fetch_transport(
+  options?: FetchTransportOptions
+): Transport;
+
+/**
+ * Creates a transport backed by axios (an optional dependency)
+ */
+export declare function axios_transport(
+  options?: { instance?: any } & Record<string, any>
+): Transport;
+
+/**
+ * Kind of failure behind an error thrown while sending a request
+ */
+export type RequestErrorKind =
+  "response" | "timeout" | "aborted" | "network" | "unknown";
+
+/**
+ * Classifies an error thrown by any transport or HTTP client
+ */
+export declare function classify_error(error: unknown): RequestErrorKind;
+
+/**
+ * Options accepted by the PayWayClient constructor
+ */
+export interface PayWayClientOptions<
+  Normalize extends boolean = boolean,
+> extends PayWayHooks {
+  /** Factory function to create a custom HTTP client */
+  client_factory?: (thisRef: PayWayClient<Normalize>) => any;
+  /**
+   * Retry policy for transient failures; disabled by default. Read-only calls
+   * are always retryable, create_transaction only once check_transaction
+   * confirms the transaction does not exist.
+   */
+  retry?: boolean | RetryPolicy;
+  /** Per-currency limits for transaction amounts */
+  amountLimits?: Partial<Record<Currency, AmountLimits>>;
+  /** Console or pino-compatible logger receiving redacted request logs */
+  logger?: PayWayLogger;
+  /** Argument order of the logger's methods; detected when omitted */
+  loggerStyle?: PayWayLoggerStyle;
+  /** Request timeout in milliseconds */
+  timeout?: number;
+  /** Agent for http:// requests (e.g. a keep-alive agent) */
+  httpAgent?: import("node:http").Agent;
+  /** Agent for https:// requests (e.g. a keep-alive agent) */
+  httpsAgent?: import("node:https").Agent;
+  /** HTTP transport; defaults to axios when installed, fetch otherwise */
+  transport?: Transport;
+  /** IANA time zone of req_time (default: "Asia/Phnom_Penh") */
+  timeZone?: string;
+  /** Returns the current time; defaults to the system clock */
+  clock?: () => Date | number;
+  /** Shifts req_time to match PayWay's clock, measured from response Date headers (default: false) */
+  detectClockSkew?: boolean;
+  /** Returns normalized transactions from check_transaction, transaction_list and iterate_transactions (default: false) */
+  normalize?: Normalize;
+}
+
+/**
+ * PayWay environments
+ */
+export type PayWayEnvironment = "sandbox" | "production";
+
+/**
+ * Base URLs of the PayWay environments
+ */
+export declare const ENVIRONMENTS: Readonly<Record<PayWayEnvironment, string>>;
+
+/**
+ * Options for PayWayClient.create
+ */
+export interface PayWayClientCreateOptions<
+  Normalize extends boolean = boolean,
+> extends PayWayClientOptions<Normalize> {
+  /** PayWay environment (required) */
+  environment: PayWayEnvironment;
+  /** Your merchant ID (required) */
+  merchantId: string;
+  /** Your API key (required) */
+  apiKey: string;
+  /** Overrides the environment's base URL; must belong to the same environment */
+  baseUrl?: string;
+}
+
+/**
+ * PayWay API client for creating and managing payment transactions
+ */
+export declare class PayWayClient<Normalize extends boolean = false> {
+  /** Base URL for PayWay API */
+  public readonly base_url: string;
+  /** Merchant ID */
+  public readonly merchant_id: string;
+  /** API key for authentication */
+  public readonly api_key: string;
+  /** Time zone of req_time */
+  public readonly time_zone: string;
+  /** Last measured PayWay clock minus ours in milliseconds, or null */
+  public readonly clock_skew: number | null;
+  /** Milliseconds added to the clock when signing, with detectClockSkew */
+  public readonly clock_offset: number;
+
+  /**
+   * Creates a new PayWayClient instance
+   * @param base_url - Base URL for PayWay API
+   * @param merchant_id - Your merchant ID
+   * @param api_key - Your API key
+   * @param client_factory - Optional factory function to create custom HTTP client
+   * @param options - Client options
+   */
+  constructor(
+    base_url: string,
+    merchant_id: string,
+    api_key: string,
+    client_factory?: (thisRef: PayWayClient<Normalize>) => any,
+    options?: PayWayClientOptions<Normalize>
+  );
+
+  /**
+   * Creates a new PayWayClient instance with an options object
+   * @param base_url - Base URL for PayWay API
+   * @param merchant_id - Your merchant ID
+   * @param api_key - Your API key
+   * @param options - Client options
+   */
+  constructor(
+    base_url: string,
+    merchant_id: string,
+    api_key: string,
+    options?: PayWayClientOptions<Normalize>
+  );
+
+  /**
+   * Creates a client from an options object, using the built-in base URL of
+   * the chosen environment
+   */
+  static create<Normalize extends boolean = false>(
+    options: PayWayClientCreateOptions<Normalize>
+  ): PayWayClient<Normalize>;
+
+  /**
+   * Creates a client from PAYWAY_ENVIRONMENT, PAYWAY_MERCHANT_ID,
+   * PAYWAY_API_KEY and the optional PAYWAY_BASE_URL and PAYWAY_TIMEOUT
+   */
+  static fromEnv<Normalize extends boolean = false>(
+    env?: Record<string, string | undefined>,
+    options?: PayWayClientOptions<Normalize>
+  ): PayWayClient<Normalize>;
+
+  /**
+   * Creates a SHA512 HMAC hash from an array of string values
+   * @throws {Error} In runtimes without synchronous HMAC (edge runtimes)
+   */
+  public create_hash(values: string[]): string;
+
+  /**
+   * Creates a SHA512 HMAC hash with Web Crypto; works in every runtime
+   */
+  public create_hash_async(values: string[]): Promise<string>;
+
+  /**
+   * Creates a FormData payload with required authentication fields
+   */
+  public create_payload(
+    hash_values: string[],
+    body?: any,
+    date?: Date
+  ): FormData;
+
+  /**
+   * Asynchronous version of create_payload, signing with create_hash_async
+   */
+  public create_payload_async(
+    hash_values: string[],
+    body?: any,
+    date?: Date
+  ): Promise<FormData>;
+
+  /**
+   * Explains how a request to an endpoint is signed: canonical string,
+   * field-by-field breakdown and resulting hash
+   */
+  public explain_signature(
+    endpoint: string,
+    params?: Record<string, any>,
+    options?: ExplainSignatureOptions
+  ): SignatureExplanation;
+
+  /**
+   * Asynchronous version of explain_signature, signing with create_hash_async
+   */
+  public explain_signature_async(
+    endpoint: string,
+    params?: Record<string, any>,
+    options?: ExplainSignatureOptions
+  ): Promise<SignatureExplanation>;
+
+  /**
+   * Creates a new payment transaction
+   */
+  public create_transaction(
+    args?: Partial<CreateTransactionParams>
+  ): Promise<CreateTransactionResponse>;
+
+  /**
+   * Builds the action URL and signed fields of a PayWay checkout form
+   */
+  public build_checkout_form(
+    args?: Partial<CreateTransactionParams>
+  ): CheckoutForm;
+
+  /**
+   * Renders a self-contained HTML checkout form, or an auto-submitting page
+   */
+  public render_checkout_html(
+    args?: Partial<CreateTransactionParams>,
+    options?: RenderCheckoutOptions
+  ): string;
+
+  /**
+   * Asynchronous version of build_checkout_form, for edge runtimes
+   */
+  public build_checkout_form_async(
+    args?: Partial<CreateTransactionParams>
+  ): Promise<CheckoutForm>;
+
+  /**
+   * Asynchronous version of render_checkout_html, for edge runtimes
+   */
+  public render_checkout_html_async(
+    args?: Partial<CreateTransactionParams>,
+    options?: RenderCheckoutOptions
+  ): Promise<string>;
+
+  /**
+   * Generates a KHQR code for a transaction
+   */
+  public generate_qr(args: GenerateQrParams): Promise<GenerateQrResponse>;
+
+  /**
+   * Checks the status of a transaction by transaction ID
+   */
+  public check_transaction(
+    tran_id: string,
+    options: { signal?: AbortSignal; normalize: true }
+  ): Promise<NormalizedTransaction>;
+  public check_transaction(
+    tran_id: string,
+    options: { signal?: AbortSignal; normalize: false }
+  ): Promise<CheckTransactionResponse>;
+  public check_transaction(
+    tran_id: string,
+    options?: { signal?: AbortSignal }
+  ): Promise<
+    NormalizedOr<Normalize, NormalizedTransaction, CheckTransactionResponse>
+  >;
+
+  /**
+   * Retrieves a transaction's payer, payment method, fees and operation history
+   */
+  public get_transaction_details(
+    tran_id: string,
+    options?: { signal?: AbortSignal }
+  ): Promise<TransactionDetails>;
+
+  /**
+   * Retrieves a list of transactions based on filter criteria
+   */
   public transaction_list(
-    args?: TransactionListParams
+    args: TransactionListParams & { normalize: true }
+  ): Promise<NormalizedTransactionList>;
+  public transaction_list(
+    args: TransactionListParams & { normalize: false }
   ): Promise<TransactionListResponse>;
+  public transaction_list(
+    args?: TransactionListParams
+  ): Promise<
+    NormalizedOr<Normalize, NormalizedTransactionList, TransactionListResponse>
+  >;
+
+  /**
+   * Iterates over every transaction matching the filters, page by page
+   */
+  public iterate_transactions(
+    args: IterateTransactionsParams & { normalize: true }
+  ): AsyncGenerator<NormalizedTransaction, void, undefined>;
+  public iterate_transactions(
+    args: IterateTransactionsParams & { normalize: false }
+  ): AsyncGenerator<CheckTransactionResponse, void, undefined>;
+  public iterate_transactions(
+    args?: IterateTransactionsParams
+  ): AsyncGenerator<
+    NormalizedOr<Normalize, NormalizedTransaction, CheckTransactionResponse>,
+    void,
+    undefined
+  >;
+
+  /**
+   * Reconciles our own ledger with PayWay's records for a date range
+   */
+  public reconcile(args: ReconcileParams): Promise<ReconciliationReport>;
+
+  /**
+   * Polls check_transaction and yields every status change until a final status
+   * @throws {PayWayTimeoutError} When no final status is reached within the timeout
+   */
+  public watch_transaction(
+    tran_id: string,
+    options?: WaitForTransactionOptions
+  ): AsyncGenerator<
+    TransactionStatusChange<
+      NormalizedOr<Normalize, NormalizedTransaction, CheckTransactionResponse>
+    >,
+    void,
+    undefined
+  >;
+
+  /**
+   * Waits until a transaction reaches a final status
+   * @throws {PayWayTimeoutError} When no final status is reached within the timeout
+   */
+  public wait_for_transaction(
+    tran_id: string,
+    options?: WaitForTransactionOptions
+  ): Promise<
+    NormalizedOr<Normalize, NormalizedTransaction, CheckTransactionResponse>
+  >;
+
+  /**
+   * Completes (captures) a pre-authorized transaction, possibly for a smaller amount
+   */
+  public complete_pre_auth(
+    tran_id: string,
+    amount: AmountInput,
+    options?: {
+      /** Currency of the transaction, for the amount's decimals (default "USD") */
+      currency?: "USD" | "KHR" | Lowercase<"USD" | "KHR">;
+    }
+  ): Promise<PreAuthResponse>;
+
+  /**
+   * Cancels a pre-authorized transaction and releases the held funds
+   */
+  public cancel_pre_auth(tran_id: string): Promise<PreAuthResponse>;
+
+  /**
+   * Refunds a captured transaction, fully or partially
+   * @throws {PayWayAlreadyRefundedError} When the transaction was already fully refunded
+   * @throws {PayWayRefundWindowExpiredError} When the transaction can no longer be refunded
+   */
+  public refund_transaction(
+    args: RefundTransactionParams
+  ): Promise<RefundTransactionResponse>;
+
+  /**
+   * Creates a shareable payment link
+   */
+  public create_payment_link(
+    args: CreatePaymentLinkParams
+  ): Promise<PaymentLink>;
+
+  /**
+   * Retrieves a payment link and its usage
+   */
+  public get_payment_link(
+    id: string,
+    options?: { signal?: AbortSignal }
+  ): Promise<PaymentLink>;
+
+  /**
+   * Disables a payment link so it no longer accepts payments
+   */
+  public disable_payment_link(id: string): Promise<PaymentLink>;
+
+  /**
+   * Starts a card-on-file session where the customer saves a card
+   */
+  public link_card(args: LinkCardParams): Promise<LinkCardResponse>;
+
+  /**
+   * Charges a saved card without redirecting the customer
+   */
+  public purchase_by_token(
+    args: PurchaseByTokenParams
+  ): Promise<CreateTransactionResponse>;
+
+  /**
+   * Lists the cards a customer saved
+   */
+  public list_saved_cards(
+    ctid: string,
+    options?: { signal?: AbortSignal }
+  ): Promise<ListSavedCardsResponse>;
+
+  /**
+   * Removes a saved card
+   */
+  public remove_saved_card(args: {
+    ctid: string;
+    pwt: string;
+  }): Promise<RemoveSavedCardResponse>;
+
+  /**
+   * Verifies a pushback (callback) request sent by PayWay
+   * @throws {PayWayCallbackError} When the hash is missing or does not match
+   */
+  public verify_callback(
+    payload: PayWayCallbackBody,
+    headers?: PayWayHeaders
+  ): PayWayCallback;
+
+  /**
+   * Asynchronous version of verify_callback, for edge runtimes
+   * @throws {PayWayCallbackError} When the hash is missing or does not match
+   */
+  public verify_callback_async(
+    payload: PayWayCallbackBody,
+    headers?: PayWayHeaders
+  ): Promise<PayWayCallback>;
+
+  /**
+   * Verifies the pushback sent once a customer saved a card through link_card
+   * @throws {PayWayCallbackError} When the hash is missing or does not match
+   */
+  public verify_card_callback(
+    payload: PayWayCallbackBody,
+    headers?: PayWayHeaders
+  ): PayWayCardCallback;
+
+  /**
+   * Asynchronous version of verify_card_callback, for edge runtimes
+   * @throws {PayWayCallbackError} When the hash is missing or does not match
+   */
+  public verify_card_callback_async(
+    payload: PayWayCallbackBody,
+    headers?: PayWayHeaders
+  ): Promise<PayWayCardCallback>;
+}
+
+/**
+ * Merchant profile held by a PayWayMerchantRegistry. Transport options
+ * (timeout and agents) are set on the registry and shared by all merchants.
+ */
+export type PayWayMerchantProfile = Omit<
+  PayWayClientCreateOptions,
+  "normalize" | "timeout" | "httpAgent" | "httpsAgent" | "client_factory"
+>;
+
+/**
+ * Options of a PayWayMerchantRegistry
+ */
+export interface PayWayMerchantRegistryOptions<
+  Normalize extends boolean = false,
+> {
+  /** Merchant profiles to register */
+  merchants?: PayWayMerchantProfile[];
+  /** Client options applied to every merchant, overridden by the profile's own */
+  defaults?: Omit<
+    PayWayClientOptions<Normalize>,
+    "timeout" | "httpAgent" | "httpsAgent" | "client_factory"
+  >;
+  /** Shared HTTP transport; defaults to axios when installed, fetch otherwise */
+  transport?: Transport;
+  /** Request timeout in milliseconds, for the default transport */
+  timeout?: number;
+  /** Agent for http:// requests, for the default transport */
+  httpAgent?: any;
+  /** Agent for https:// requests, for the default transport */
+  httpsAgent?: any;
+}
+
+/**
+ * Holds the profiles of several merchants and hands out one client per
+ * merchant, all sharing one transport. Callbacks are verified with the
+ * credentials of the merchant named in their merchant_id.
+ */
+export declare class PayWayMerchantRegistry<
+  Normalize extends boolean = false,
+> implements PayWayCallbackVerifier {
+  /** Client options applied to every merchant */
+  readonly defaults: PayWayClientOptions<Normalize>;
+  /** Transport shared by every merchant's client */
+  readonly transport: Transport;
+
+  constructor(options?: PayWayMerchantRegistryOptions<Normalize>);
+
+  /**
+   * Adds a merchant profile
+   * @throws {Error} When the profile is invalid or the merchant is already registered
+   */
+  add(profile: PayWayMerchantProfile): PayWayClient<Normalize>;
+  /** Removes a merchant profile; clients already handed out keep working */
+  remove(merchantId: string): boolean;
+  /** Whether a merchant is registered */
+  has(merchantId: string): boolean;
+  /** Registered merchant IDs, in the order they were added */
+  merchants(): string[];
+  /**
+   * Returns the client of a merchant
+   * @throws {Error} When the merchant is not registered
+   */
+  for(merchantId: string): PayWayClient<Normalize>;
+
+  /**
+   * Verifies a payment callback with the key of the merchant it names
+   * @throws {PayWayCallbackError} When the merchant is unknown or the hash does not match
+   */
+  verify_callback(
+    payload: PayWayCallbackBody,
+    headers?: PayWayHeaders
+  ): PayWayCallback;
+  verify_callback_async(
+    payload: PayWayCallbackBody,
+    headers?: PayWayHeaders
+  ): Promise<PayWayCallback>;
+  /**
+   * Verifies a card token callback with the key of the merchant it names
+   * @throws {PayWayCallbackError} When the merchant is unknown or the hash does not match
+   */
+  verify_card_callback(
+    payload: PayWayCallbackBody,
+    headers?: PayWayHeaders
+  ): PayWayCardCallback;
+  verify_card_callback_async(
+    payload: PayWayCallbackBody,
+    headers?: PayWayHeaders
+  ): Promise<PayWayCardCallback>;
 }
@@ -1,7 +1,15 @@
-const { format } = require("date-fns");
-const { createHmac } = require("node:crypto");
-const axios = require("axios").default;
-const { FormData } = require("formdata-node");
+const {
+  format,
+  parse,
+  isValid,
+  addDays,
+  addMonths,
+  startOfMonth,
+  endOfMonth,
+  min,
+} = require("date-fns");
+const runtime = require("#runtime");
+const { render_qr, khqr_frame_dimensions } = require("./qr.js");
 
 /**
  * Trims whitespace from a string value, or returns the value unchanged if it's not a string.
@@ -15,326 +23,4368 @@ function trim(value) {
 
 exports.trim = trim;
 
+/**
+ * Number of decimal places PayWay expects for each currency.
+ */
+const CURRENCY_DECIMALS = {
+  USD: 2,
+  KHR: 0,
+};
+
+exports.CURRENCY_DECIMALS = CURRENCY_DECIMALS;
+
+/**
+ * Converts an amount to integer minor units (cents for USD, riels for KHR)
+ * without going through floating point arithmetic.
+ * @param {number|string|bigint} amount - Decimal number or string, or a bigint already in minor units
+ * @param {string} currency - Currency code ("USD" or "KHR")
+ * @param {string} [label="amount"] - Name used in error messages
+ * @returns {bigint} Amount in minor units
+ */
+function to_minor_units(amount, currency, label = "amount") {
+  const decimals = CURRENCY_DECIMALS[currency];
+  if (decimals === undefined) {
+    throw new Error(`${label} currency must be "USD" or "KHR"`);
+  }
+  if (typeof amount === "bigint") return amount;
+
+  let text;
+  if (typeof amount === "number") {
+    if (!Number.isFinite(amount)) {
+      throw new Error(`${label} must be a finite number`);
+    }
+    text = String(amount);
+  } else if (typeof amount === "string") {
+    text = amount.trim();
+  } else {
+    throw new Error(`${label} must be a number, a decimal string or a bigint`);
+  }
+
+  const match = /^(-?)(\d+)(?:\.(\d+))?$/.exec(text);
+  if (!match) {
+    throw new Error(`${label} must be a plain decimal number, got "${text}"`);
+  }
+
+  const [, sign, whole, fraction = ""] = match;
+  const significant = fraction.replace(/0+$/, "");
+  if (significant.length > decimals) {
+    throw new Error(
+      `${label} must not have more than ${decimals} decimal places for ${currency}, got "${text}"`
+    );
+  }
+
+  const units = BigInt(whole + significant.padEnd(decimals, "0"));
+  return sign ? -units : units;
+}
+
+/**
+ * Formats integer minor units as the decimal string PayWay hashes: two
+ * decimals for USD, whole riels for KHR.
+ * @param {bigint|number} units - Amount in minor units
+ * @param {string} currency - Currency code ("USD" or "KHR")
+ * @returns {string} Decimal amount string
+ */
+function from_minor_units(units, currency) {
+  const decimals = CURRENCY_DECIMALS[currency];
+  if (decimals === undefined) {
+    throw new Error('from_minor_units: currency must be "USD" or "KHR"');
+  }
+  if (typeof units === "number" && !Number.isSafeInteger(units)) {
+    throw new Error("from_minor_units: units must be an integer");
+  }
+
+  const value = BigInt(units);
+  const digits = (value < 0n ? -value : value)
+    .toString()
+    .padStart(decimals + 1, "0");
+  const whole = digits.slice(0, digits.length - decimals);
+  const fraction = decimals ? `.${digits.slice(-decimals)}` : "";
+  return `${value < 0n ? "-" : ""}${whole}${fraction}`;
+}
+
+/**
+ * Validates an amount and normalizes it to the exact string form PayWay
+ * hashes. Negative amounts, NaN, excess decimals and amounts outside
+ * `min`/`max` are rejected.
+ * @param {number|string|bigint} amount - Decimal number or string, or a bigint in minor units
+ * @param {string} currency - Currency code ("USD" or "KHR")
+ * @param {object} [options={}]
+ * @param {number|string} [options.min] - Smallest accepted amount (defaults to the smallest unit)
+ * @param {number|string} [options.max] - Largest accepted amount
+ * @param {boolean} [options.allow_zero=false] - Whether zero is accepted
+ * @param {string} [options.label="amount"] - Name used in error messages
+ * @returns {string} Normalized amount, e.g. "10.50" for USD or "4000" for KHR
+ */
+function normalize_amount(
+  amount,
+  currency,
+  { min, max, allow_zero = false, label = "amount" } = {}
+) {
+  const units = to_minor_units(amount, currency, label);
+  if (units < 0n || (units === 0n && !allow_zero)) {
+    throw new Error(
+      `${label} must be ${allow_zero ? "zero or more" : "greater than zero"}`
+    );
+  }
+  if (min != null && units < to_minor_units(min, currency, `${label} min`)) {
+    throw new Error(`${label} must be at least ${min} ${currency}`);
+  }
+  if (max != null && units > to_minor_units(max, currency, `${label} max`)) {
+    throw new Error(`${label} must be at most ${max} ${currency}`);
+  }
+  return from_minor_units(units, currency);
+}
+
+exports.to_minor_units = to_minor_units;
+exports.from_minor_units = from_minor_units;
+exports.normalize_amount = normalize_amount;
+
+/**
+ * Longest item name PayWay accepts.
+ */
+const ITEM_NAME_MAX_LENGTH = 255;
+
+exports.ITEM_NAME_MAX_LENGTH = ITEM_NAME_MAX_LENGTH;
+
+/**
+ * Creates an order line item.
+ * @param {string} name - Item name
+ * @param {number} quantity - Quantity, a positive integer
+ * @param {number|string|bigint} price - Unit price
+ * @returns {{name: string, quantity: number, price: number|string|bigint}} Line item
+ */
+function line_item(name, quantity, price) {
+  return { name, quantity, price };
+}
+
+/**
+ * Creates a shipping line, added to the item total.
+ * @param {number|string|bigint} price - Shipping cost
+ * @param {string} [name="Shipping"] - Line name
+ * @returns {{name: string, quantity: number, price: number|string|bigint, type: string}} Shipping line
+ */
+function shipping_line(price, name = "Shipping") {
+  return { name, quantity: 1, price, type: "shipping" };
+}
+
+/**
+ * Creates a discount line, subtracted from the item total.
+ * @param {number|string|bigint} price - Discount amount, as a positive value
+ * @param {string} [name="Discount"] - Line name
+ * @returns {{name: string, quantity: number, price: number|string|bigint, type: string}} Discount line
+ */
+function discount_line(price, name = "Discount") {
+  return { name, quantity: 1, price, type: "discount" };
+}
+
+/**
+ * Validates order items and converts them to the shape PayWay expects, with
+ * prices normalized for the currency and discounts as negative prices.
+ * @param {Array<object>} items - Line items, shipping lines and discount lines
+ * @param {string} currency - Currency code ("USD" or "KHR")
+ * @param {string} [label="items"] - Name used in error messages
+ * @returns {{items: Array<{name: string, quantity: number, price: string}>, total: bigint}} Normalized items and their total in minor units
+ */
+function normalize_items(items, currency, label = "items") {
+  if (!Array.isArray(items)) {
+    throw new Error(`${label} must be an array`);
+  }
+
+  let total = 0n;
+  const normalized = items.map((item, index) => {
+    const line = `${label}[${index}]`;
+    if (item == null || typeof item !== "object") {
+      throw new Error(`${line} must be an object`);
+    }
+
+    const { name, quantity, type = "item" } = item;
+    const price = item.price ?? item.amount;
+
+    if (typeof name !== "string" || name.trim() === "") {
+      throw new Error(`${line}.name is required and must be a string`);
+    }
+    if (name.trim().length > ITEM_NAME_MAX_LENGTH) {
+      throw new Error(
+        `${line}.name must be at most ${ITEM_NAME_MAX_LENGTH} characters`
+      );
+    }
+    if (!Number.isSafeInteger(quantity) || quantity < 1) {
+      throw new Error(`${line}.quantity must be a positive integer`);
+    }
+    if (price == null) {
+      throw new Error(`${line}.price is required`);
+    }
+    if (type !== "item" && type !== "shipping" && type !== "discount") {
+      throw new Error(`${line}.type must be "item", "shipping" or "discount"`);
+    }
+
+    const unit = to_minor_units(
+      normalize_amount(price, currency, {
+        allow_zero: type !== "discount",
+        label: `${line}.price`,
+      }),
+      currency
+    );
+    const signed = type === "discount" ? -unit : unit;
+    total += signed * BigInt(quantity);
+
+    return {
+      name: name.trim(),
+      quantity,
+      price: from_minor_units(signed, currency),
+    };
+  });
+
+  return { items: normalized, total };
+}
+
+/**
+ * Sums line items, shipping and discounts.
+ * @param {Array<object>} items - Line items, shipping lines and discount lines
+ * @param {string} currency - Currency code ("USD" or "KHR")
+ * @returns {string} Total as a normalized amount string
+ */
+function items_total(items, currency) {
+  return from_minor_units(
+    normalize_items(items, currency, "items_total: items").total,
+    currency
+  );
+}
+
+exports.line_item = line_item;
+exports.shipping_line = shipping_line;
+exports.discount_line = discount_line;
+exports.normalize_items = normalize_items;
+exports.items_total = items_total;
+
 /**
  * Custom error class for PayWay API errors
  * @class
  * @extends Error
- * @property {string|null} errorCode - Error code from PayWay API
+ * @property {string|null} errorCode - Raw error code from PayWay API, top-level or in `status.code`
  * @property {number|null} statusCode - HTTP status code
  * @property {object|null} details - Detailed error information from API response
  * @property {object|null} response - Full API response object (for backward compatibility)
+ * @property {boolean} isRetryable - Whether sending the request again may succeed
+ * @property {string|null} requestId - Request ID reported by PayWay, if any
  */
 class PayWayError extends Error {
   /**
    * @param {string} message - Error message
    * @param {object} [response] - API response object
    * @param {number} [statusCode] - HTTP status code
+   * @param {object} [details={}]
+   * @param {string} [details.requestId] - Request ID reported by PayWay
+   * @param {boolean} [details.isRetryable] - Defaults to true for 429 and 5xx status codes
+   */
+  constructor(
+    message,
+    response = null,
+    statusCode = null,
+    { requestId = null, isRetryable } = {}
+  ) {
+    super(message);
+    this.name = "PayWayError";
+    const code = response?.code ?? response?.status?.code;
+    this.errorCode = code == null || code === "" ? null : String(code);
+    this.statusCode = statusCode;
+    this.details = response || null;
+    this.response = response; // For backward compatibility
+    this.isRetryable = isRetryable ?? (statusCode === 429 || statusCode >= 500);
+    this.requestId = requestId;
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+/**
+ * Custom error class for PayWay network/request errors
+ */
+class PayWayRequestError extends PayWayError {
+  /**
+   * @param {string} message - Error message
+   * @param {Error} [originalError] - Original error object
+   * @param {object} [flags={}]
+   * @param {boolean} [flags.isTimeout=false] - Whether the request timed out
+   * @param {boolean} [flags.isAborted=false] - Whether the request was cancelled through an AbortSignal
+   * @param {boolean} [flags.isRetryable=isTimeout] - Whether sending the request again may succeed
+   */
+  constructor(
+    message,
+    originalError = null,
+    { isTimeout = false, isAborted = false, isRetryable = isTimeout } = {}
+  ) {
+    super(message, null, null, { isRetryable });
+    this.name = "PayWayRequestError";
+    this.originalError = originalError;
+    this.isTimeout = isTimeout;
+    this.isAborted = isAborted;
+  }
+}
+
+/**
+ * Error thrown when an incoming pushback (callback) request cannot be verified
+ */
+class PayWayCallbackError extends PayWayError {
+  /**
+   * @param {string} message - Error message
+   * @param {object} [payload] - The callback payload that failed verification
+   */
+  constructor(message, payload = null) {
+    super(message, null, 401);
+    this.name = "PayWayCallbackError";
+    this.payload = payload;
+  }
+}
+
+/**
+ * Error thrown when refunding a transaction that has already been fully refunded
+ */
+class PayWayAlreadyRefundedError extends PayWayError {
+  constructor(message, response = null, statusCode = null, details = {}) {
+    super(message, response, statusCode, details);
+    this.name = "PayWayAlreadyRefundedError";
+  }
+}
+
+/**
+ * Error thrown when PayWay does not know the requested transaction
+ */
+class PayWayNotFoundError extends PayWayError {
+  constructor(message, response = null, statusCode = null, details = {}) {
+    super(message, response, statusCode, details);
+    this.name = "PayWayNotFoundError";
+  }
+}
+
+/**
+ * Error thrown when a transaction is too old to be refunded
+ */
+class PayWayRefundWindowExpiredError extends PayWayError {
+  constructor(message, response = null, statusCode = null, details = {}) {
+    super(message, response, statusCode, details);
+    this.name = "PayWayRefundWindowExpiredError";
+  }
+}
+
+/**
+ * Error thrown when a transaction does not reach a final status in time
+ */
+class PayWayTimeoutError extends PayWayError {
+  /**
+   * @param {string} message - Error message
+   * @param {string} tranId - Transaction ID that was being watched
+   * @param {object} [lastResponse] - Last check_transaction response received
+   */
+  constructor(message, tranId, lastResponse = null) {
+    super(message);
+    this.name = "PayWayTimeoutError";
+    this.tranId = tranId;
+    this.lastResponse = lastResponse;
+  }
+}
+
+/**
+ * Error thrown when PayWay rejects a request because its `req_time` is too
+ * far from PayWay's clock
+ */
+class PayWayClockSkewError extends PayWayError {
+  /**
+   * @param {string} message - Error message
+   * @param {object} [response] - API response data
+   * @param {number} [statusCode] - HTTP status code
+   * @param {object} [details={}]
+   * @param {string} [details.reqTime] - req_time of the rejected request
+   * @param {number|null} [details.skew] - PayWay's clock minus ours in milliseconds, from its Date header
+   * @param {string} [details.timeZone] - Time zone req_time was formatted in
+   * @param {string} [details.requestId] - Request ID reported by PayWay
+   */
+  constructor(
+    message,
+    response = null,
+    statusCode = null,
+    { reqTime = null, skew = null, timeZone = null, requestId = null } = {}
+  ) {
+    super(message, response, statusCode, { requestId, isRetryable: false });
+    this.name = "PayWayClockSkewError";
+    this.reqTime = reqTime;
+    this.skew = skew;
+    this.timeZone = timeZone;
+  }
+}
+
+/**
+ * Error thrown when PayWay rejects the credentials: wrong hash, unknown or
+ * disabled merchant, or a domain that is not whitelisted
+ */
+class PayWayAuthError extends PayWayError {
+  constructor(message, response = null, statusCode = null, details = {}) {
+    super(message, response, statusCode, details);
+    this.name = "PayWayAuthError";
+  }
+}
+
+/**
+ * Error thrown when PayWay rejects a request field
+ * @property {string|null} field - Name of the rejected field, when PayWay or its message tells
+ */
+class PayWayValidationError extends PayWayError {
+  /**
+   * @param {string} message - Error message
+   * @param {object} [response] - API response data
+   * @param {number} [statusCode] - HTTP status code
+   * @param {object} [details={}]
+   * @param {string} [details.field] - Name of the rejected field
+   * @param {string} [details.requestId] - Request ID reported by PayWay
+   */
+  constructor(message, response = null, statusCode = null, details = {}) {
+    super(message, response, statusCode, details);
+    this.name = "PayWayValidationError";
+    this.field = details.field ?? null;
+  }
+}
+
+/**
+ * Error thrown when a transaction ID has already been used
+ */
+class PayWayDuplicateTransactionError extends PayWayError {
+  constructor(message, response = null, statusCode = null, details = {}) {
+    super(message, response, statusCode, details);
+    this.name = "PayWayDuplicateTransactionError";
+  }
+}
+
+/**
+ * Error thrown when PayWay throttles the merchant
+ * @property {number|null} retryAfter - Milliseconds to wait, from the Retry-After header
+ */
+class PayWayRateLimitError extends PayWayError {
+  /**
+   * @param {string} message - Error message
+   * @param {object} [response] - API response data
+   * @param {number} [statusCode] - HTTP status code
+   * @param {object} [details={}]
+   * @param {number} [details.retryAfter] - Milliseconds to wait before retrying
+   * @param {string} [details.requestId] - Request ID reported by PayWay
+   */
+  constructor(message, response = null, statusCode = null, details = {}) {
+    super(message, response, statusCode, { ...details, isRetryable: true });
+    this.name = "PayWayRateLimitError";
+    this.retryAfter = details.retryAfter ?? null;
+  }
+}
+
+exports.PayWayError = PayWayError;
+exports.PayWayRequestError = PayWayRequestError;
+exports.PayWayCallbackError = PayWayCallbackError;
+exports.PayWayAlreadyRefundedError = PayWayAlreadyRefundedError;
+exports.PayWayRefundWindowExpiredError = PayWayRefundWindowExpiredError;
+exports.PayWayNotFoundError = PayWayNotFoundError;
+exports.PayWayTimeoutError = PayWayTimeoutError;
+exports.PayWayClockSkewError = PayWayClockSkewError;
+exports.PayWayAuthError = PayWayAuthError;
+exports.PayWayValidationError = PayWayValidationError;
+exports.PayWayDuplicateTransactionError = PayWayDuplicateTransactionError;
+exports.PayWayRateLimitError = PayWayRateLimitError;
+
+/**
+ * Transaction statuses, as returned by normalized responses. UNKNOWN stands
+ * for statuses PayWay reports that are not listed here.
+ */
+const TransactionStatus = Object.freeze({
+  APPROVED: "APPROVED",
+  DECLINED: "DECLINED",
+  PENDING: "PENDING",
+  PRE_AUTH: "PRE-AUTH",
+  CANCELLED: "CANCELLED",
+  REFUNDED: "REFUNDED",
+  UNKNOWN: "UNKNOWN",
+});
+
+exports.TransactionStatus = TransactionStatus;
+
+/**
+ * Status spellings PayWay uses besides the TransactionStatus values.
+ * @private
+ */
+const STATUS_ALIASES = {
+  PRE_AUTH: "PRE-AUTH",
+  PREAUTH: "PRE-AUTH",
+  CANCELED: "CANCELLED",
+};
+
+/**
+ * Transaction statuses after which a transaction no longer changes on its own.
+ */
+const FINAL_STATUSES = ["APPROVED", "DECLINED", "CANCELLED", "REFUNDED"];
+
+exports.FINAL_STATUSES = FINAL_STATUSES;
+
+/**
+ * Unwraps the transaction from PayWay's `{ data, status: { code } }`
+ * envelope, returning flat records as they are.
+ * @private
+ */
+function transaction_detail(response) {
+  return response?.data &&
+    typeof response.data === "object" &&
+    !Array.isArray(response.data)
+    ? response.data
+    : (response ?? {});
+}
+
+/**
+ * Extracts the upper-cased transaction status from a check_transaction
+ * response, flat or wrapped in PayWay's `{ data, status }` envelope.
+ * @param {object} response - check_transaction response data
+ * @returns {string|null} Transaction status, or null if absent
+ */
+function transaction_status(response) {
+  const detail = transaction_detail(response);
+  const status =
+    typeof detail.status === "string" ? detail.status : detail.payment_status;
+  return typeof status === "string" ? status.toUpperCase() : null;
+}
+
+exports.transaction_status = transaction_status;
+
+/**
+ * Body codes with which PayWay itself reports an unknown transaction. Unlike
+ * a bare HTTP 404, which a proxy or a wrong base URL can also produce, they
+ * prove that a transaction was never created.
+ * @private
+ */
+const TRANSACTION_NOT_FOUND_CODES = ["TXN_NOT_FOUND", "TRANSACTION_NOT_FOUND"];
+
+/**
+ * Maps refund API error responses to their dedicated error classes.
+ * @private
+ */
+const REFUND_ERRORS = [
+  {
+    ErrorClass: PayWayAlreadyRefundedError,
+    codes: ["ALREADY_REFUNDED"],
+    pattern: /already.*refunded/i,
+  },
+  {
+    ErrorClass: PayWayRefundWindowExpiredError,
+    codes: ["REFUND_WINDOW_EXPIRED", "REFUND_EXPIRED"],
+    pattern: /refund.*(window|period).*expired|expired.*refund/i,
+  },
+];
+
+/**
+ * Maps error responses of every endpoint to the error hierarchy, checked in
+ * order after the endpoint-specific mappings. Numeric codes are those of
+ * PayWay's in-body `status.code`. Only used for status codes below 500.
+ * @private
+ */
+const API_ERRORS = [
+  {
+    ErrorClass: PayWayAuthError,
+    codes: ["1", "6", "WRONG_HASH", "INVALID_HASH", "INVALID_MERCHANT"],
+    pattern:
+      /(?:wrong|invalid) (?:hash|merchant|api key)|merchant (?:is )?(?:disabled|inactive)|domain (?:is )?not (?:allowed|whitelisted)|unauthori[sz]ed|forbidden/i,
+    statuses: [401, 403],
+  },
+  {
+    ErrorClass: PayWayRateLimitError,
+    codes: ["RATE_LIMITED", "TOO_MANY_REQUESTS"],
+    pattern: /too many requests|rate.?limit/i,
+    statuses: [429],
+  },
+  {
+    ErrorClass: PayWayDuplicateTransactionError,
+    codes: ["4", "DUPLICATE_TRAN_ID", "DUPLICATE_TRANSACTION"],
+    pattern: /duplicate/i,
+    statuses: [409],
+  },
+  {
+    ErrorClass: PayWayNotFoundError,
+    codes: ["TXN_NOT_FOUND", "TRANSACTION_NOT_FOUND", "NOT_FOUND"],
+    pattern: /not.?found/i,
+    statuses: [404],
+  },
+  {
+    ErrorClass: PayWayValidationError,
+    codes: ["2", "3", "5", "7", "8", "MISSING_FIELD", "INVALID_FIELD"],
+    pattern: /invalid|required|missing|must be/i,
+    statuses: [400, 422],
+  },
+];
+
+/**
+ * Kinds of transaction operations, by the status PayWay reports for them.
+ */
+const OPERATION_TYPES = {
+  CREATED: "created",
+  PENDING: "created",
+  APPROVED: "approved",
+  "PRE-AUTH": "pre_auth",
+  COMPLETED: "completed",
+  DECLINED: "declined",
+  CANCELLED: "cancelled",
+  REFUNDED: "refunded",
+  "PARTIALLY-REFUNDED": "partial_refund",
+};
+
+/**
+ * Parses a PayWay timestamp ("yyyy-MM-dd HH:mm:ss", Phnom Penh time).
+ * @private
+ */
+function parse_payway_date(value) {
+  if (value == null || value === "") return null;
+  const match = /^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2}(?::\d{2})?)$/.exec(
+    String(value).trim()
+  );
+  const date = match
+    ? new Date(`${match[1]}T${match[2]}+07:00`)
+    : new Date(value);
+  return isValid(date) ? date : null;
+}
+
+/**
+ * Formats an amount from a PayWay response with the currency's decimals,
+ * keeping unexpected values as they are.
+ * @private
+ */
+function response_amount(value, currency) {
+  if (value == null || value === "") return null;
+  try {
+    return normalize_amount(value, currency, { allow_zero: true });
+  } catch (error) {
+    return String(value);
+  }
+}
+
+/**
+ * Normalizes a transaction detail response into a TransactionDetails object.
+ * @private
+ */
+function transaction_details(tran_id, data) {
+  const detail = data?.data ?? data ?? {};
+  const currency = String(
+    detail.payment_currency ?? detail.currency ?? "USD"
+  ).toUpperCase();
+  const amount = response_amount(
+    detail.original_amount ?? detail.amount,
+    currency
+  );
+
+  const operations = (detail.transaction_operations ?? detail.operations ?? [])
+    .map((operation) => {
+      const status = String(operation.status ?? "").toUpperCase();
+      const operation_amount = response_amount(operation.amount, currency);
+      let type = OPERATION_TYPES[status] ?? "unknown";
+      if (
+        type === "refunded" &&
+        operation_amount != null &&
+        amount != null &&
+        to_minor_units(operation_amount, currency) <
+          to_minor_units(amount, currency)
+      ) {
+        type = "partial_refund";
+      }
+      return {
+        type,
+        status,
+        amount: operation_amount,
+        created_at: parse_payway_date(
+          operation.transaction_date ?? operation.created_at
+        ),
+        bank_ref: operation.bank_ref ?? null,
+      };
+    })
+    .sort((a, b) => (a.created_at ?? 0) - (b.created_at ?? 0));
+
+  return {
+    tran_id: String(detail.transaction_id ?? detail.tran_id ?? tran_id),
+    status: transaction_status({
+      status: detail.payment_status ?? detail.status,
+    }),
+    amount,
+    total_amount: response_amount(detail.total_amount, currency),
+    refunded_amount: response_amount(detail.refund_amount, currency),
+    currency,
+    apv: detail.apv == null ? null : String(detail.apv),
+    payment_method: detail.payment_type ?? detail.payment_option ?? null,
+    payer: {
+      name: detail.payer_name ?? null,
+      account: detail.payer_account ?? null,
+      bank: detail.bank_name ?? null,
+    },
+    fees: {
+      amount: response_amount(
+        detail.transaction_fee ?? detail.fee_amount,
+        currency
+      ),
+      currency,
+    },
+    created_at: parse_payway_date(detail.transaction_date),
+    operations,
+    raw: data,
+  };
+}
+
+/**
+ * Converts a snake_case key to camelCase.
+ * @private
+ */
+function camel_case(key) {
+  return key.replace(/_([a-z0-9])/g, (_, letter) => letter.toUpperCase());
+}
+
+/**
+ * Converts a response amount into a Money object, or null when it is absent
+ * or not a valid amount in the currency.
+ * @private
+ */
+function to_money(value, currency) {
+  if (value == null || value === "") return null;
+  try {
+    const units = to_minor_units(value, currency);
+    return {
+      amount: from_minor_units(units, currency),
+      currency,
+      minorUnits: Number(units),
+    };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Camel-cases the keys of a response object, recursively, turning amounts
+ * into Money objects and timestamps into Dates.
+ * @private
+ */
+function normalize_fields(value, currency) {
+  if (Array.isArray(value)) {
+    return value.map((item) => normalize_fields(item, currency));
+  }
+  if (value == null || typeof value !== "object") return value;
+
+  const fields = {};
+  for (const [key, field] of Object.entries(value)) {
+    let normalized;
+    if (/(?:^|_)amount$/.test(key)) {
+      normalized = to_money(field, currency);
+    } else if (/(?:^|_)(?:at|date|datetime)$/.test(key)) {
+      normalized = parse_payway_date(field);
+    } else {
+      normalized = normalize_fields(field, currency);
+    }
+    fields[camel_case(key)] = normalized;
+  }
+  return fields;
+}
+
+/**
+ * Normalizes a transaction from check_transaction or transaction_list: keys
+ * are camel-cased, amounts become Money objects in the transaction's
+ * currency, timestamps become Dates (PayWay sends Phnom Penh time) and the
+ * status is mapped onto TransactionStatus. Unlisted statuses become UNKNOWN,
+ * with the original in `rawStatus`.
+ * @param {object} data - Transaction or check_transaction response data
+ * @returns {object} Normalized transaction, with the original data in `raw`
+ */
+function normalize_transaction(data) {
+  const detail = transaction_detail(data);
+  const currency = String(
+    detail.payment_currency ?? detail.currency ?? "USD"
+  ).toUpperCase();
+  const raw_status = transaction_status({
+    status: detail.payment_status ?? detail.status,
+  });
+  const status = STATUS_ALIASES[raw_status] ?? raw_status;
+  const fields = { ...detail };
+  delete fields.status;
+
+  return {
+    ...normalize_fields(fields, currency),
+    tranId: String(
+      detail.tran_id ?? detail.transaction_id ?? data?.status?.tran_id ?? ""
+    ),
+    status: Object.values(TransactionStatus).includes(status)
+      ? status
+      : TransactionStatus.UNKNOWN,
+    rawStatus: raw_status,
+    amount: to_money(
+      detail.amount ?? detail.original_amount ?? detail.total_amount,
+      currency
+    ),
+    currency,
+    createdAt: parse_payway_date(detail.created_at ?? detail.transaction_date),
+    updatedAt: parse_payway_date(detail.updated_at),
+    raw: data,
+  };
+}
+
+/**
+ * Normalizes a transaction_list response: every transaction goes through
+ * normalize_transaction and the paging fields are camel-cased.
+ * @param {object} data - transaction_list response data
+ * @returns {object} `{ transactions, page, perPage, total, totalPages, raw }`
+ */
+function normalize_transaction_list(data) {
+  const transactions = data?.transactions ?? data?.data ?? [];
+  const number = (value) =>
+    value == null || value === "" || Number.isNaN(Number(value))
+      ? null
+      : Number(value);
+  return {
+    transactions: transactions.map(normalize_transaction),
+    page: number(data?.page),
+    perPage: number(data?.per_page ?? data?.pagination),
+    total: number(data?.total),
+    totalPages: number(data?.total_pages),
+    raw: data,
+  };
+}
+
+exports.normalize_transaction = normalize_transaction;
+exports.normalize_transaction_list = normalize_transaction_list;
+
+/**
+ * Maximum length of a payment link title.
+ */
+const PAYMENT_LINK_TITLE_MAX_LENGTH = 250;
+
+exports.PAYMENT_LINK_TITLE_MAX_LENGTH = PAYMENT_LINK_TITLE_MAX_LENGTH;
+
+/**
+ * Path of the purchase endpoint, also the action of checkout forms.
+ * @private
+ */
+const PURCHASE_ENDPOINT = "/api/payment-gateway/v1/payments/purchase";
+
+/**
+ * Signing specs of the PayWay endpoints, by path. `fields` lists the request
+ * fields in the order PayWay hashes them, after `req_time` and
+ * `merchant_id`. `defaults` fill in missing values, `aliases` map a field to
+ * the option name the client methods use for it, and `encodings` transform a
+ * value before it is sent and signed (see SIGNING_ENCODINGS).
+ */
+const SIGNING_SPECS = {
+  [PURCHASE_ENDPOINT]: {
+    fields: [
+      "tran_id",
+      "amount",
+      "items",
+      "firstname",
+      "lastname",
+      "email",
+      "phone",
+      "type",
+      "payment_option",
+      "continue_success_url",
+      "return_url",
+      "return_deeplink",
+      "currency",
+      "custom_fields",
+      "ctid",
+      "pwt",
+    ],
+    defaults: { type: "purchase" },
+    encodings: {
+      amount: "amount",
+      items: "items",
+      firstname: "trim",
+      lastname: "trim",
+      email: "trim",
+      phone: "trim",
+      return_url: "base64",
+      return_deeplink: "base64",
+    },
+  },
+  "/api/payment-gateway/v1/payments/generate-qr": {
+    fields: [
+      "tran_id",
+      "amount",
+      "items",
+      "first_name",
+      "last_name",
+      "email",
+      "phone",
+      "purchase_type",
+      "payment_option",
+      "callback_url",
+      "return_deeplink",
+      "currency",
+      "custom_fields",
+      "return_params",
+      "lifetime",
+      "qr_image_template",
+    ],
+    defaults: { purchase_type: "purchase", payment_option: "abapay_khqr" },
+    aliases: {
+      first_name: "firstname",
+      last_name: "lastname",
+      purchase_type: "type",
+    },
+    encodings: {
+      amount: "amount",
+      items: "items",
+      first_name: "trim",
+      last_name: "trim",
+      email: "trim",
+      phone: "trim",
+      callback_url: "base64",
+      return_deeplink: "base64",
+    },
+  },
+  "/api/payment-gateway/v1/payments/check-transaction": {
+    fields: ["tran_id"],
+  },
+  "/api/payment-gateway/v1/payments/transaction-detail": {
+    fields: ["tran_id"],
+  },
+  "/api/payment-gateway/v1/payments/transaction-list": {
+    fields: [
+      "from_date",
+      "to_date",
+      "from_amount",
+      "to_amount",
+      "status",
+      "page",
+      "pagination",
+    ],
+    encodings: { from_amount: "amount", to_amount: "amount" },
+  },
+  "/api/payment-gateway/v1/payments/pre-auth-completion": {
+    fields: ["tran_id", "complete_amount"],
+    aliases: { complete_amount: "amount" },
+    encodings: { complete_amount: "amount" },
+  },
+  "/api/payment-gateway/v1/payments/cancel-pre-auth": {
+    fields: ["tran_id"],
+  },
+  "/api/payment-gateway/v1/payments/refund": {
+    fields: ["tran_id", "refund_amount", "reason"],
+    encodings: { refund_amount: "amount", reason: "trim" },
+  },
+  "/api/payment-gateway/v1/cof/initial": {
+    fields: [
+      "ctid",
+      "firstname",
+      "lastname",
+      "email",
+      "phone",
+      "return_url",
+      "continue_success_url",
+      "return_param",
+    ],
+    encodings: {
+      firstname: "trim",
+      lastname: "trim",
+      email: "trim",
+      phone: "trim",
+      return_url: "base64",
+    },
+  },
+  "/api/payment-gateway/v1/cof/list": {
+    fields: ["ctid"],
+  },
+  "/api/payment-gateway/v1/cof/remove": {
+    fields: ["ctid", "pwt"],
+  },
+  "/api/merchant-portal/merchant-access/payment-link/create": {
+    fields: [
+      "title",
+      "amount",
+      "currency",
+      "description",
+      "expired_date",
+      "payment_limit",
+      "return_url",
+      "merchant_ref_no",
+    ],
+    aliases: { payment_limit: "max_usage" },
+    encodings: {
+      title: "trim",
+      amount: "amount",
+      description: "trim",
+      return_url: "base64",
+    },
+  },
+  "/api/merchant-portal/merchant-access/payment-link/detail": {
+    fields: ["id"],
+  },
+  "/api/merchant-portal/merchant-access/payment-link/disable": {
+    fields: ["id"],
+  },
+};
+
+/**
+ * Encodings a signing spec can apply to a field. Each receives the value and
+ * the request parameters.
+ */
+const SIGNING_ENCODINGS = {
+  /** Strips surrounding whitespace */
+  trim: (value) => trim(value),
+  /** Base64 of strings, or of the JSON of other values */
+  base64: (value) =>
+    base64_encode(typeof value === "string" ? value : JSON.stringify(value)),
+  /** Base64 JSON of line items, normalized as by normalize_items */
+  items: (value, params) =>
+    SIGNING_ENCODINGS.base64(
+      Array.isArray(value)
+        ? normalize_items(value, signing_currency(params)).items
+        : value
+    ),
+  /** Decimal string with the decimals of `currency` (USD by default) */
+  amount: (value, params) =>
+    normalize_amount(value, signing_currency(params), { allow_zero: true }),
+};
+
+/**
+ * Currency used by the amount encodings.
+ * @private
+ */
+function signing_currency(params) {
+  return String(params.currency ?? "USD").toUpperCase();
+}
+
+exports.SIGNING_SPECS = SIGNING_SPECS;
+exports.SIGNING_ENCODINGS = SIGNING_ENCODINGS;
+
+/**
+ * Applies an endpoint's signing spec to request parameters.
+ * @param {string} endpoint - API endpoint path
+ * @param {object} params - Request parameters
+ * @param {string} [label="signing_request"] - Name used in error messages
+ * @returns {{body: object, hash_values: string[], breakdown: object[]}} Request body without nullish fields, ordered hash values, and how each field was resolved
+ * @private
+ */
+function signing_request(endpoint, params = {}, label = "signing_request") {
+  const spec = Object.hasOwn(SIGNING_SPECS, endpoint)
+    ? SIGNING_SPECS[endpoint]
+    : null;
+  if (!spec) {
+    throw new Error(`${label}: no signing spec for endpoint ${endpoint}`);
+  }
+
+  const body = {};
+  const breakdown = spec.fields.map((field) => {
+    const alias = spec.aliases?.[field];
+    let source = "params";
+    let input = params[field];
+    if (input == null && alias && params[alias] != null) {
+      input = params[alias];
+      source = `params.${alias}`;
+    }
+    if (input == null && spec.defaults?.[field] != null) {
+      input = spec.defaults[field];
+      source = "default";
+    }
+    if (input == null) source = "empty";
+
+    const encoding = spec.encodings?.[field] ?? null;
+    const value =
+      input != null && encoding
+        ? SIGNING_ENCODINGS[encoding](input, params)
+        : input;
+    if (value != null) body[field] = value;
+    return {
+      field,
+      value: value == null ? "" : String(value),
+      input: input ?? null,
+      source,
+      encoding,
+    };
+  });
+
+  return {
+    body,
+    hash_values: breakdown.map(({ value }) => value),
+    breakdown,
+  };
+}
+
+/**
+ * Fields of a pushback request covered by its hash, in signing order.
+ */
+const CALLBACK_HASH_FIELDS = [
+  "tran_id",
+  "apv",
+  "status",
+  "merchant_id",
+  "return_params",
+];
+
+/**
+ * Header that may carry the callback hash when it is not part of the body.
+ */
+const CALLBACK_HASH_HEADER = "x-payway-hmac-sha512";
+
+/**
+ * Fields of a card-on-file pushback request (sent once a customer saved a
+ * card through {@link PayWayClient#link_card}) covered by its hash, in
+ * signing order.
+ */
+const CARD_CALLBACK_HASH_FIELDS = [
+  "ctid",
+  "pwt",
+  "mask_pan",
+  "card_type",
+  "status",
+  "merchant_id",
+  "return_param",
+];
+
+exports.CALLBACK_HASH_FIELDS = CALLBACK_HASH_FIELDS;
+exports.CARD_CALLBACK_HASH_FIELDS = CARD_CALLBACK_HASH_FIELDS;
+
+/**
+ * Parses a raw callback body into a plain object. Accepts JSON and
+ * `application/x-www-form-urlencoded` bodies as strings or bytes, as well
+ * as already parsed objects and URLSearchParams.
+ * @param {string|Uint8Array|URLSearchParams|object} body - Raw or parsed body
+ * @returns {object} Parsed callback payload
+ */
+function parse_callback_body(body) {
+  if (body == null) return {};
+  if (body instanceof Uint8Array) body = new TextDecoder().decode(body);
+  if (body instanceof URLSearchParams) return Object.fromEntries(body);
+
+  if (typeof body === "string") {
+    const text = body.trim();
+    if (text === "") return {};
+    if (text.startsWith("{")) {
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        throw new PayWayCallbackError("Callback body is not valid JSON");
+      }
+    }
+    return Object.fromEntries(new URLSearchParams(text));
+  }
+
+  if (typeof body === "object") return { ...body };
+  throw new PayWayCallbackError("Callback body must be an object or string");
+}
+
+exports.parse_callback_body = parse_callback_body;
+
+/**
+ * Looks up a header value case-insensitively.
+ * @private
+ */
+function get_header(headers, name) {
+  if (!headers) return undefined;
+  if (typeof headers.get === "function") return headers.get(name) ?? undefined;
+  for (const [key, value] of Object.entries(headers)) {
+    if (key.toLowerCase() === name) {
+      return Array.isArray(value) ? value[0] : value;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Time zone PayWay expects `req_time` in.
+ */
+const DEFAULT_TIME_ZONE = "Asia/Phnom_Penh";
+
+exports.DEFAULT_TIME_ZONE = DEFAULT_TIME_ZONE;
+
+/**
+ * Cached `Intl.DateTimeFormat`s by time zone.
+ * @private
+ */
+const REQ_TIME_FORMATS = new Map();
+
+/**
+ * Formats a date as a PayWay `req_time` (yyyyMMddHHmmss) in a time zone,
+ * whatever the time zone of the machine.
+ * @param {Date|number} date - Date or timestamp in milliseconds
+ * @param {string} [time_zone="Asia/Phnom_Penh"] - IANA time zone
+ * @returns {string} req_time string
+ */
+function format_req_time(date, time_zone = DEFAULT_TIME_ZONE) {
+  let formatter = REQ_TIME_FORMATS.get(time_zone);
+  if (!formatter) {
+    try {
+      formatter = new Intl.DateTimeFormat("en-US", {
+        timeZone: time_zone,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+        hourCycle: "h23",
+      });
+    } catch (error) {
+      throw new Error(
+        `format_req_time: time zone "${time_zone}" is not a valid IANA time zone`
+      );
+    }
+    REQ_TIME_FORMATS.set(time_zone, formatter);
+  }
+
+  const parts = Object.fromEntries(
+    formatter.formatToParts(date).map(({ type, value }) => [type, value])
+  );
+  return `${parts.year}${parts.month}${parts.day}${parts.hour}${parts.minute}${parts.second}`;
+}
+
+exports.format_req_time = format_req_time;
+
+/**
+ * Error codes and messages PayWay uses when it rejects a `req_time`.
+ * @private
+ */
+const CLOCK_ERROR_CODES = [
+  "INVALID_REQ_TIME",
+  "REQ_TIME_EXPIRED",
+  "REQUEST_EXPIRED",
+];
+const CLOCK_ERROR_PATTERN = /req_?time|request (?:has |is )?expired/i;
+
+/**
+ * Tells whether an HTTP error is PayWay rejecting the request time.
+ * @private
+ */
+function is_clock_rejection(error) {
+  const data = error?.response?.data;
+  if (!data) return false;
+  const code = data.code ?? data.status?.code;
+  const message = data.message ?? data.status?.message ?? "";
+  return CLOCK_ERROR_CODES.includes(code) || CLOCK_ERROR_PATTERN.test(message);
+}
+
+/**
+ * Tells whether a response body carries a failing in-body status, as in
+ * `{ status: { code: "1", message: "Wrong hash" } }`. PayWay answers many
+ * failures with HTTP 200 and such a body; "0" and "00" mean success.
+ * @private
+ */
+function has_failing_status(data) {
+  const code = data?.status?.code;
+  return code != null && code !== "" && !/^0+$/.test(String(code));
+}
+
+/**
+ * Reads the request ID PayWay reports for an error response, from the
+ * `X-Request-Id` header or the body.
+ * @private
+ */
+function response_request_id(response) {
+  const data = response.data;
+  return (
+    get_header(response.headers, "x-request-id") ??
+    data?.request_id ??
+    data?.requestId ??
+    data?.status?.request_id ??
+    null
+  );
+}
+
+/**
+ * Reads a `Retry-After` header, in seconds or as an HTTP date.
+ * @returns {number|null} Milliseconds to wait, or null without a usable header
+ * @private
+ */
+function retry_after(headers) {
+  const value = get_header(headers, "retry-after");
+  if (value == null || value === "") return null;
+  if (/^\d+$/.test(value)) return Number(value) * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Finds the field a validation error is about: named by PayWay in the body,
+ * or the first signed field of the endpoint its message mentions.
+ * @private
+ */
+function rejected_field(data, endpoint) {
+  const named = data?.field ?? data?.status?.field;
+  if (named) return String(named);
+  const message = data?.message ?? data?.status?.message ?? "";
+  if (/transaction id/i.test(message)) return "tran_id";
+  const spec = SIGNING_SPECS[endpoint];
+  if (!spec) return null;
+  return (
+    spec.fields.find((field) =>
+      new RegExp(`(?:^|[^a-z_])${field}(?:$|[^a-z_])`, "i").test(message)
+    ) ?? null
+  );
+}
+
+/**
+ * Measures PayWay's clock against ours from a response `Date` header, which
+ * has a one second resolution.
+ * @param {object} headers - Response headers
+ * @param {number} sent_at - Our time when the request was sent, in milliseconds
+ * @param {number} received_at - Our time when the response arrived, in milliseconds
+ * @returns {number|null} PayWay's clock minus ours in milliseconds, or null without a usable header
+ * @private
+ */
+function measure_clock_skew(headers, sent_at, received_at) {
+  const server_time = Date.parse(get_header(headers, "date") ?? "");
+  if (Number.isNaN(server_time)) return null;
+  return Math.round(server_time + 500 - (sent_at + received_at) / 2);
+}
+
+/**
+ * Splits an inclusive YYYYMMDD date range into consecutive day or month
+ * windows.
+ * @param {string} from_date - Start date (YYYYMMDD)
+ * @param {string} to_date - End date (YYYYMMDD)
+ * @param {"day"|"month"} unit - Window size
+ * @returns {Array<[string, string]>} Inclusive [from, to] pairs in YYYYMMDD format
+ */
+function date_windows(from_date, to_date, unit) {
+  const from = parse(from_date, "yyyyMMdd", new Date());
+  const to = parse(to_date, "yyyyMMdd", new Date());
+  if (!isValid(from) || !isValid(to)) {
+    throw new Error("date_windows: dates must be in YYYYMMDD format");
+  }
+
+  const windows = [];
+  let start = from;
+  while (start <= to) {
+    const end = unit === "day" ? start : min([endOfMonth(start), to]);
+    windows.push([format(start, "yyyyMMdd"), format(end, "yyyyMMdd")]);
+    start =
+      unit === "day" ? addDays(start, 1) : startOfMonth(addMonths(start, 1));
+  }
+  return windows;
+}
+
+exports.date_windows = date_windows;
+
+/**
+ * Escapes a value for use in HTML text and double-quoted attributes.
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+function escape_html(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+exports.escape_html = escape_html;
+
+/**
+ * Columns of the CSV reconciliation report, in order.
+ */
+const RECONCILIATION_COLUMNS = [
+  "tran_id",
+  "result",
+  "issues",
+  "local_amount",
+  "remote_amount",
+  "local_currency",
+  "remote_currency",
+  "local_status",
+  "remote_status",
+];
+
+exports.RECONCILIATION_COLUMNS = RECONCILIATION_COLUMNS;
+
+/**
+ * Formats a reconcile date option as YYYYMMDD.
+ * @private
+ */
+function reconcile_date(value, name) {
+  if (value instanceof Date && isValid(value)) {
+    return format(value, "yyyyMMdd");
+  }
+  if (typeof value === "string" && /^\d{8}$/.test(value)) return value;
+  throw new Error(
+    `reconcile: ${name} is required and must be a Date or a YYYYMMDD string`
+  );
+}
+
+/**
+ * Extracts the compared fields of a local or PayWay record.
+ * @private
+ */
+function reconcile_side(record, fallback_currency) {
+  return {
+    amount: record.amount == null ? null : String(record.amount),
+    currency:
+      record.currency == null
+        ? (fallback_currency ?? null)
+        : String(record.currency).toUpperCase(),
+    status: transaction_status(record),
+  };
+}
+
+/**
+ * Extracts the compared fields of a transaction_list item or
+ * check_transaction response, accepting the same envelope and field aliases
+ * as normalize_transaction.
+ * @private
+ */
+function remote_side(transaction, fallback_currency) {
+  const detail = transaction_detail(transaction);
+  return reconcile_side(
+    {
+      amount: detail.amount ?? detail.original_amount ?? detail.total_amount,
+      currency: detail.payment_currency ?? detail.currency,
+      status: transaction_status(detail),
+    },
+    fallback_currency
+  );
+}
+
+/**
+ * Tells whether two amounts differ, comparing minor units when both parse.
+ * @private
+ */
+function amounts_differ(a, b, currency) {
+  try {
+    return to_minor_units(a, currency) !== to_minor_units(b, currency);
+  } catch (error) {
+    return String(a) !== String(b);
+  }
+}
+
+/**
+ * Compares a local record with PayWay's and builds a report row.
+ * @private
+ */
+function reconcile_row(tran_id, local, remote) {
+  const issues = [];
+  if (local && remote) {
+    if (local.currency !== remote.currency) {
+      issues.push("currency");
+    } else if (amounts_differ(local.amount, remote.amount, local.currency)) {
+      issues.push("amount");
+    }
+    if (local.status !== remote.status) issues.push("status");
+  }
+
+  let result = "matched";
+  if (!remote) result = "missing_remote";
+  else if (!local) result = "missing_local";
+  else if (issues.length) result = "mismatch";
+
+  return { tran_id, result, issues, local, remote };
+}
+
+/**
+ * Renders a reconciliation report as CSV, one row per transaction with the
+ * columns in RECONCILIATION_COLUMNS. Cells that a spreadsheet would evaluate
+ * as formulas are prefixed with a quote.
+ * @param {object} report - Report returned by `reconcile`
+ * @returns {string} CSV text with a header line and CRLF line endings
+ */
+function reconciliation_csv(report) {
+  const cell = (value) => {
+    let text = value == null ? "" : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = (report?.rows ?? []).map((row) =>
+    [
+      row.tran_id,
+      row.result,
+      row.issues.join(";"),
+      row.local?.amount,
+      row.remote?.amount,
+      row.local?.currency,
+      row.remote?.currency,
+      row.local?.status,
+      row.remote?.status,
+    ]
+      .map(cell)
+      .join(",")
+  );
+  return [RECONCILIATION_COLUMNS.join(","), ...lines].join("\r\n") + "\r\n";
+}
+
+exports.reconciliation_csv = reconciliation_csv;
+
+/**
+ * Renders a signed checkout form as HTML.
+ * @private
+ */
+function checkout_html(
+  { action, method, fields },
+  {
+    target = "_self",
+    autoSubmit = false,
+    submitLabel = "Pay with ABA PayWay",
+    formId = "payway-checkout",
+    nonce,
+  } = {}
+) {
+  const inputs = Object.entries(fields)
+    .map(
+      ([name, value]) =>
+        `  <input type="hidden" name="${escape_html(name)}" value="${escape_html(value)}">`
+    )
+    .join("\n");
+
+  const form = [
+    `<form id="${escape_html(formId)}" action="${escape_html(action)}" method="${method}" target="${escape_html(target)}" enctype="multipart/form-data">`,
+    inputs,
+    `  <button type="submit">${escape_html(submitLabel)}</button>`,
+    "</form>",
+  ].join("\n");
+
+  if (!autoSubmit) return form;
+
+  const nonce_attr = nonce ? ` nonce="${escape_html(nonce)}"` : "";
+  return [
+    "<!DOCTYPE html>",
+    '<html lang="en">',
+    "<head>",
+    '  <meta charset="utf-8">',
+    '  <meta name="robots" content="noindex">',
+    "  <title>Redirecting to ABA PayWay</title>",
+    "</head>",
+    "<body>",
+    form,
+    `<script${nonce_attr}>document.getElementById(${JSON.stringify(
+      formId
+    ).replace(/</g, "\\u003c")}).submit();</script>`,
+    "</body>",
+    "</html>",
+  ].join("\n");
+}
+
+/**
+ * Compares two strings in constant time.
+ * @private
+ */
+function safe_equal(a, b) {
+  const left = new TextEncoder().encode(String(a));
+  const right = new TextEncoder().encode(String(b));
+  if (left.length !== right.length) return false;
+
+  let diff = 0;
+  for (let i = 0; i < left.length; i++) diff |= left[i] ^ right[i];
+  return diff === 0;
+}
+
+/**
+ * Base64-encodes the UTF-8 bytes of a string or the given bytes, without
+ * relying on Node.js' Buffer.
+ * @private
+ */
+function base64_encode(value) {
+  const bytes =
+    typeof value === "string" ? new TextEncoder().encode(value) : value;
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Throws unless a callback hash matches the expected one.
+ * @private
+ */
+function check_callback_hash(raw, signature, expected) {
+  if (!safe_equal(expected, signature)) {
+    throw new PayWayCallbackError("Callback hash does not match", raw);
+  }
+}
+
+/**
+ * Converts an optional callback field to a string or null.
+ * @private
+ */
+function callback_string(value) {
+  return value == null ? null : String(value);
+}
+
+/**
+ * Shapes a verified payment callback.
+ * @private
+ */
+function payment_callback(raw) {
+  return {
+    tran_id: String(raw.tran_id ?? ""),
+    apv: callback_string(raw.apv),
+    status: callback_string(raw.status),
+    merchant_id: callback_string(raw.merchant_id),
+    return_params: raw.return_params ?? null,
+    raw,
+  };
+}
+
+/**
+ * Shapes a verified card-on-file callback.
+ * @private
+ */
+function card_callback(raw) {
+  return {
+    ctid: String(raw.ctid ?? ""),
+    pwt: String(raw.pwt ?? ""),
+    mask_pan: callback_string(raw.mask_pan),
+    card_type: callback_string(raw.card_type),
+    status: callback_string(raw.status),
+    merchant_id: callback_string(raw.merchant_id),
+    return_param: raw.return_param ?? null,
+    raw,
+  };
+}
+
+/**
+ * Appends signed payload fields and their hash to a FormData.
+ * @private
+ */
+function to_form_data(fields, hash) {
+  const formData = new FormData();
+  for (const [key, value] of Object.entries(fields)) {
+    formData.append(key, value);
+  }
+  formData.append("hash", hash);
+  return formData;
+}
+
+/**
+ * Default retry policy, applied when `retry: true` is passed to the client.
+ */
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 3,
+  baseDelay: 250,
+  maxDelay: 5000,
+  jitter: true,
+  retryOn: [408, 429, 500, 502, 503, 504],
+  onRetry: null,
+};
+
+exports.DEFAULT_RETRY_POLICY = DEFAULT_RETRY_POLICY;
+
+/**
+ * Resolves the `retry` client option into a complete retry policy. Retries
+ * are disabled unless explicitly enabled.
+ * @param {boolean|object} [retry] - `true` for the defaults, or a partial policy
+ * @returns {object} Complete retry policy
+ * @private
+ */
+function resolve_retry_policy(retry) {
+  if (!retry) return { ...DEFAULT_RETRY_POLICY, maxAttempts: 1 };
+  const policy = {
+    ...DEFAULT_RETRY_POLICY,
+    ...(retry === true ? {} : retry),
+  };
+  if (!Number.isInteger(policy.maxAttempts) || policy.maxAttempts < 1) {
+    throw new Error(
+      "PayWayClient: retry.maxAttempts must be a positive integer"
+    );
+  }
+  return policy;
+}
+
+/**
+ * Computes the exponential backoff delay before the next attempt, with full
+ * jitter when enabled.
+ * @param {number} attempt - The attempt that just failed, starting at 1
+ * @param {object} policy - Retry policy
+ * @returns {number} Delay in milliseconds
+ * @private
+ */
+function backoff_delay(attempt, policy) {
+  const delay = Math.min(
+    policy.maxDelay,
+    policy.baseDelay * 2 ** (attempt - 1)
+  );
+  return policy.jitter ? Math.round(Math.random() * delay) : delay;
+}
+
+/**
+ * Whether a failed HTTP call is worth retrying: a network failure, a timeout,
+ * or a response status listed in the policy. Cancelled requests are not.
+ * @private
+ */
+function is_transient_error(error, policy) {
+  const kind = classify_error(error);
+  if (kind === "response") {
+    return policy.retryOn.includes(error.response.status);
+  }
+  return kind === "network" || kind === "timeout";
+}
+
+/**
+ * Network-level error codes raised by Node.js and undici.
+ * @private
+ */
+const NETWORK_ERROR_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "EPIPE",
+  "ENETUNREACH",
+  "EHOSTUNREACH",
+  "UND_ERR_SOCKET",
+  "UND_ERR_CONNECT_TIMEOUT",
+  "ERR_NETWORK",
+];
+
+/**
+ * Classifies an error thrown while sending a request, whatever transport
+ * produced it.
+ * @param {Error} error - Error thrown by the transport or HTTP client
+ * @returns {"response"|"timeout"|"aborted"|"network"|"unknown"} Error kind
+ */
+function classify_error(error) {
+  if (error?.response) return "response";
+
+  const code = error?.code ?? error?.cause?.code;
+  if (
+    error?.name === "TimeoutError" ||
+    code === "ETIMEDOUT" ||
+    (code === "ECONNABORTED" && /timeout/i.test(error.message))
+  ) {
+    return "timeout";
+  }
+  if (
+    error?.name === "AbortError" ||
+    error?.name === "CanceledError" ||
+    code === "ERR_CANCELED"
+  ) {
+    return "aborted";
+  }
+  if (
+    error?.request ||
+    NETWORK_ERROR_CODES.includes(code) ||
+    (error instanceof TypeError && error.message === "fetch failed")
+  ) {
+    return "network";
+  }
+  return "unknown";
+}
+
+exports.classify_error = classify_error;
+
+/**
+ * Joins a base URL and an endpoint path the way axios' `baseURL` does.
+ * @private
+ */
+function join_url(base_url, path) {
+  if (!base_url) return path;
+  return `${String(base_url).replace(/\/+$/, "")}/${path.replace(/^\/+/, "")}`;
+}
+
+/**
+ * Combines several abort signals into one that aborts with the first reason.
+ * @private
+ */
+function any_signal(signals) {
+  const active = signals.filter(Boolean);
+  if (active.length <= 1) return active[0];
+
+  const controller = new AbortController();
+  for (const signal of active) {
+    if (signal.aborted) {
+      controller.abort(signal.reason);
+      break;
+    }
+    signal.addEventListener("abort", () => controller.abort(signal.reason), {
+      once: true,
+    });
+  }
+  return controller.signal;
+}
+
+/**
+ * Parses a response body as JSON when possible, falling back to text.
+ * @private
+ */
+function parse_body(text) {
+  if (text === "") return null;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Creates a transport that sends requests with the native `fetch` API and
+ * global `FormData`, with no dependencies.
+ * @param {object} [options={}]
+ * @param {Function} [options.fetch=globalThis.fetch] - fetch implementation (e.g. undici's)
+ * @param {number} [options.timeout] - Default request timeout in milliseconds
+ * @param {object} [options.dispatcher] - undici dispatcher, e.g. an `Agent` with keep-alive settings
+ * @returns {{request: Function}} Transport
+ */
+function fetch_transport({
+  fetch: fetch_impl = globalThis.fetch,
+  timeout,
+  dispatcher,
+} = {}) {
+  if (typeof fetch_impl !== "function") {
+    throw new Error("fetch_transport: fetch is not available in this runtime");
+  }
+
+  return {
+    async request({ method, url, headers = {}, body, signal, timeout: ms }) {
+      ms = ms ?? timeout;
+      const timer = ms ? new AbortController() : null;
+      const timeout_id = timer && setTimeout(() => timer.abort(), ms);
+
+      try {
+        const response = await fetch_impl(url, {
+          method,
+          headers,
+          body,
+          signal: any_signal([signal, timer?.signal]),
+          ...(dispatcher ? { dispatcher } : {}),
+        });
+        return {
+          status: response.status,
+          headers: Object.fromEntries(response.headers),
+          body: parse_body(await response.text()),
+        };
+      } catch (error) {
+        if (timer?.signal.aborted && !signal?.aborted) {
+          const timeout_error = new Error(`Request timed out after ${ms}ms`);
+          timeout_error.name = "TimeoutError";
+          timeout_error.cause = error;
+          throw timeout_error;
+        }
+        throw error;
+      } finally {
+        clearTimeout(timeout_id);
+      }
+    },
+  };
+}
+
+/**
+ * Creates a transport backed by axios.
+ * @param {object} [options={}] - axios request config defaults (timeout, httpAgent, httpsAgent, ...)
+ * @param {object} [options.instance] - An existing axios instance to use instead of creating one
+ * @returns {{request: Function}} Transport
+ */
+function axios_transport({ instance, ...config } = {}) {
+  const http = instance ?? runtime.load_axios().create(config);
+
+  return {
+    async request({ method, url, headers = {}, body, signal, timeout }) {
+      const response = await http.request({
+        method,
+        url,
+        headers,
+        data: body,
+        signal,
+        timeout,
+        validateStatus: () => true,
+      });
+      return {
+        status: response.status,
+        headers: { ...response.headers },
+        body: response.data,
+      };
+    },
+  };
+}
+
+/**
+ * Adapts a transport to the `post(url, body, config)` interface used by
+ * PayWayClient. Error responses (status >= 400) are thrown with a
+ * `response` of `{ status, headers, data }`.
+ * @param {{request: Function}} transport - Transport
+ * @param {string} base_url - Base URL prepended to request paths
+ * @returns {{post: Function}} HTTP client
+ * @private
+ */
+function transport_client(transport, base_url) {
+  return {
+    transport,
+    async post(url, body, { signal } = {}) {
+      const response = await transport.request({
+        method: "POST",
+        url: join_url(base_url, url),
+        headers: {},
+        body,
+        signal,
+      });
+      const result = {
+        status: response.status,
+        headers: response.headers ?? {},
+        data: response.body,
+      };
+
+      if (response.status >= 400) {
+        const error = new Error(
+          `Request failed with status code ${response.status}`
+        );
+        error.response = result;
+        throw error;
+      }
+      return result;
+    },
+  };
+}
+
+exports.fetch_transport = fetch_transport;
+exports.axios_transport = axios_transport;
+
+/**
+ * Resolves after `ms` milliseconds, or rejects with the signal's reason once
+ * `signal` is aborted.
+ * @private
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+
+    const on_abort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", on_abort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", on_abort, { once: true });
+  });
+}
+
+/**
+ * Field names whose values are replaced by `redact`: signatures, secrets,
+ * customer contact details and card data.
+ */
+const REDACTED_FIELDS = [
+  "hash",
+  "api_key",
+  "email",
+  "phone",
+  "card_number",
+  "card_no",
+  "pan",
+  "cvv",
+  "cvc",
+  "cvv2",
+  "expiry",
+  "expiry_date",
+  "exp_month",
+  "exp_year",
+  "card_holder",
+  "card_holder_name",
+  "mask_pan",
+  "payer_account",
+  "pwt",
+  "ctid",
+  "token",
+];
+
+exports.REDACTED_FIELDS = REDACTED_FIELDS;
+
+/**
+ * Returns a deep copy of `value` with sensitive fields replaced by
+ * "[REDACTED]".
+ * @param {*} value - Form fields, a response body or any JSON-like value
+ * @param {string[]} [fields=REDACTED_FIELDS] - Field names to redact (case-insensitive)
+ * @returns {*} Redacted copy
+ */
+function redact(value, fields = REDACTED_FIELDS) {
+  const names = new Set(fields.map((field) => field.toLowerCase()));
+  const walk = (node) => {
+    if (Array.isArray(node)) return node.map(walk);
+    if (node == null || typeof node !== "object") return node;
+    return Object.fromEntries(
+      Object.entries(node).map(([key, child]) => [
+        key,
+        names.has(key.toLowerCase()) && child != null
+          ? "[REDACTED]"
+          : walk(child),
+      ])
+    );
+  };
+  return walk(value);
+}
+
+exports.redact = redact;
+
+/**
+ * Creates request hooks that write redacted, structured logs to a console
+ * or pino-compatible logger. Pino-style loggers get `(object, message)`,
+ * console-style loggers get `(message, object)`. Without `style`, loggers
+ * with pino's `bindings()` method are treated as pino-style.
+ * @param {object} logger - `console`, a pino logger or anything with `info`/`error` methods
+ * @param {object} [options={}]
+ * @param {string[]} [options.redact=REDACTED_FIELDS] - Field names to redact
+ * @param {"pino"|"console"} [options.style] - Argument order of the logger's methods
+ * @returns {{onRequest: Function, onResponse: Function, onError: Function}} Hooks for the PayWayClient options
+ */
+function logger_hooks(
+  logger,
+  {
+    redact: fields = REDACTED_FIELDS,
+    style = typeof logger.bindings === "function" ? "pino" : "console",
+  } = {}
+) {
+  if (style !== "pino" && style !== "console") {
+    throw new Error('logger_hooks: style must be "pino" or "console"');
+  }
+  const object_first = style === "pino";
+  const log = (level, message, data) => {
+    const method = typeof logger[level] === "function" ? level : "info";
+    if (object_first) logger[method](data, message);
+    else logger[method](message, data);
+  };
+  const debug = typeof logger.debug === "function" ? "debug" : "info";
+
+  return {
+    onRequest: ({ endpoint, attempt, fields: form }) =>
+      log(debug, "PayWay request", {
+        endpoint,
+        attempt,
+        fields: redact(form, fields),
+      }),
+    onResponse: ({ endpoint, attempt, fields: form, status, body, duration }) =>
+      log("info", "PayWay response", {
+        endpoint,
+        attempt,
+        status,
+        duration: Math.round(duration),
+        fields: redact(form, fields),
+        body: redact(body, fields),
+      }),
+    onError: ({
+      endpoint,
+      attempt,
+      fields: form,
+      status,
+      body,
+      duration,
+      error,
+    }) =>
+      log("error", "PayWay error", {
+        endpoint,
+        attempt,
+        status,
+        duration: Math.round(duration),
+        error: error?.message,
+        fields: redact(form, fields),
+        body: redact(body, fields),
+      }),
+  };
+}
+
+exports.logger_hooks = logger_hooks;
+
+/**
+ * Base URLs of the PayWay environments.
+ */
+const ENVIRONMENTS = {
+  sandbox: "https://checkout-sandbox.payway.com.kh/",
+  production: "https://checkout.payway.com.kh/",
+};
+
+exports.ENVIRONMENTS = ENVIRONMENTS;
+
+/**
+ * Checks client configuration and describes every problem found.
+ * @param {object} config - `environment`, `merchantId`, `apiKey`, `baseUrl` and `timeout`
+ * @param {object} [names] - Names to use for each setting in messages
+ * @returns {string[]} Problems found; empty when the configuration is valid
+ * @private
+ */
+function check_client_config(
+  { environment, merchantId, apiKey, baseUrl, timeout },
+  names = {
+    environment: "environment",
+    merchantId: "merchantId",
+    apiKey: "apiKey",
+    baseUrl: "baseUrl",
+    timeout: "timeout",
+  }
+) {
+  const problems = [];
+
+  if (environment == null) {
+    problems.push(
+      `${names.environment} is required ("sandbox" or "production")`
+    );
+  } else if (!Object.hasOwn(ENVIRONMENTS, environment)) {
+    problems.push(
+      `${names.environment} must be "sandbox" or "production", got "${environment}"`
+    );
+  }
+
+  if (merchantId == null || merchantId === "") {
+    problems.push(`${names.merchantId} is required`);
+  } else if (typeof merchantId !== "string" || !/^[\w.-]+$/.test(merchantId)) {
+    problems.push(
+      `${names.merchantId} must only contain letters, digits, ".", "_" or "-"`
+    );
+  }
+
+  if (apiKey == null || apiKey === "") {
+    problems.push(`${names.apiKey} is required`);
+  } else if (typeof apiKey !== "string" || /\s/.test(apiKey)) {
+    problems.push(`${names.apiKey} must be a string without whitespace`);
+  }
+
+  if (baseUrl != null) {
+    let url = null;
+    try {
+      url = new URL(baseUrl);
+    } catch (error) {
+      problems.push(`${names.baseUrl} must be a valid URL`);
+    }
+    if (url && url.protocol !== "https:" && url.protocol !== "http:") {
+      problems.push(`${names.baseUrl} must be an http(s) URL`);
+    }
+    if (url && Object.hasOwn(ENVIRONMENTS, environment)) {
+      const sandbox_host = /sandbox/i.test(url.hostname);
+      if (environment === "production" && sandbox_host) {
+        problems.push(
+          `${names.baseUrl} points to a sandbox host but ${names.environment} is "production"`
+        );
+      }
+      if (
+        environment === "sandbox" &&
+        url.hostname === new URL(ENVIRONMENTS.production).hostname
+      ) {
+        problems.push(
+          `${names.baseUrl} points to the production host but ${names.environment} is "sandbox"`
+        );
+      }
+    }
+  }
+
+  if (timeout != null && !(Number.isInteger(timeout) && timeout > 0)) {
+    problems.push(`${names.timeout} must be a positive integer (milliseconds)`);
+  }
+
+  return problems;
+}
+
+class PayWayClient {
+  /**
+   * @param {string} base_url - Base URL for PayWay API
+   * @param {string} merchant_id - Your merchant ID
+   * @param {string} api_key - Your API key
+   * @param {Function|object} [client_factory] - Factory for a custom HTTP client, or an options object
+   * @param {object} [options={}] - Client options
+   * @param {boolean|object} [options.retry] - Retry policy for transient failures (disabled by default)
+   * @param {object} [options.amountLimits] - Per-currency `{ min, max }` limits for transaction amounts
+   * @param {Function} [options.onRequest] - Called before every HTTP attempt with the endpoint and form fields
+   * @param {Function} [options.onResponse] - Called after every successful attempt with status, body and duration
+   * @param {Function} [options.onError] - Called after every failed attempt with the error, status, body and duration
+   * @param {object} [options.logger] - Console or pino-compatible logger receiving redacted request logs
+   * @param {"pino"|"console"} [options.loggerStyle] - Argument order of the logger's methods; detected when omitted
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   * @param {object} [options.httpAgent] - Agent for http:// requests (e.g. a keep-alive agent)
+   * @param {object} [options.httpsAgent] - Agent for https:// requests (e.g. a keep-alive agent)
+   * @param {{request: Function}} [options.transport] - HTTP transport, e.g. `fetch_transport()`; defaults to axios when installed, fetch otherwise
+   * @param {string} [options.timeZone="Asia/Phnom_Penh"] - Time zone of `req_time`
+   * @param {() => Date|number} [options.clock] - Returns the current time; defaults to the system clock
+   * @param {boolean} [options.detectClockSkew=false] - Measures PayWay's clock from response `Date` headers and shifts `req_time` to match it
+   * @param {boolean} [options.normalize=false] - Returns normalized transactions from check_transaction, transaction_list and iterate_transactions
+   */
+  constructor(base_url, merchant_id, api_key, client_factory, options = {}) {
+    if (client_factory && typeof client_factory === "object") {
+      options = client_factory;
+      client_factory = options.client_factory;
+    }
+
+    this.base_url = base_url;
+    this.merchant_id = merchant_id;
+    this.api_key = api_key;
+    this._retry = resolve_retry_policy(options.retry);
+    this._amount_limits = options.amountLimits ?? {};
+    this.time_zone = options.timeZone ?? DEFAULT_TIME_ZONE;
+    try {
+      format_req_time(0, this.time_zone);
+    } catch (error) {
+      throw new Error(
+        `PayWayClient: timeZone "${this.time_zone}" is not a valid IANA time zone`
+      );
+    }
+    if (options.clock != null && typeof options.clock !== "function") {
+      throw new Error("PayWayClient: clock must be a function");
+    }
+    this._clock = options.clock ?? (() => Date.now());
+    this._detect_clock_skew = options.detectClockSkew === true;
+    this._normalize = options.normalize === true;
+    this.clock_skew = null;
+    this.clock_offset = 0;
+    this._hooks = [
+      {
+        onRequest: options.onRequest,
+        onResponse: options.onResponse,
+        onError: options.onError,
+      },
+    ];
+    if (options.logger) {
+      this._hooks.push(
+        logger_hooks(options.logger, { style: options.loggerStyle })
+      );
+    }
+
+    const axios = runtime.load_axios();
+    if (typeof client_factory === "function") {
+      this._client = client_factory(this);
+    } else if (options.transport) {
+      this._client = transport_client(options.transport, base_url);
+    } else if (axios) {
+      this._client = axios.create({
+        baseURL: base_url,
+        headers: { "Content-Type": "multipart/form-data" },
+        timeout: options.timeout,
+        httpAgent: options.httpAgent,
+        httpsAgent: options.httpsAgent,
+      });
+    } else {
+      this._client = transport_client(
+        fetch_transport({ timeout: options.timeout }),
+        base_url
+      );
+    }
+  }
+
+  /**
+   * Creates a client from an options object, using the built-in base URL of
+   * the chosen environment.
+   * @param {object} options - Client options (see the constructor for the rest)
+   * @param {"sandbox"|"production"} options.environment - PayWay environment (required)
+   * @param {string} options.merchantId - Your merchant ID (required)
+   * @param {string} options.apiKey - Your API key (required)
+   * @param {string} [options.baseUrl] - Overrides the environment's base URL; must belong to the same environment
+   * @returns {PayWayClient}
+   */
+  static create({ environment, merchantId, apiKey, baseUrl, ...options } = {}) {
+    const problems = check_client_config({
+      environment,
+      merchantId,
+      apiKey,
+      baseUrl,
+      timeout: options.timeout,
+    });
+    if (problems.length > 0) {
+      throw new Error(`PayWayClient.create: ${problems.join("; ")}`);
+    }
+
+    return new PayWayClient(
+      baseUrl ?? ENVIRONMENTS[environment],
+      merchantId,
+      apiKey,
+      options
+    );
+  }
+
+  /**
+   * Creates a client from `PAYWAY_*` environment variables:
+   * `PAYWAY_ENVIRONMENT`, `PAYWAY_MERCHANT_ID`, `PAYWAY_API_KEY` and the
+   * optional `PAYWAY_BASE_URL` and `PAYWAY_TIMEOUT`. All problems are
+   * reported at once.
+   * @param {object} [env=process.env] - Environment variables
+   * @param {object} [options={}] - Additional client options
+   * @returns {PayWayClient}
+   */
+  static fromEnv(env = globalThis.process?.env ?? {}, options = {}) {
+    const value = (name) =>
+      env[name] == null || env[name].trim() === ""
+        ? undefined
+        : env[name].trim();
+    const config = {
+      environment: value("PAYWAY_ENVIRONMENT"),
+      merchantId: value("PAYWAY_MERCHANT_ID"),
+      apiKey: value("PAYWAY_API_KEY"),
+      baseUrl: value("PAYWAY_BASE_URL"),
+      timeout:
+        value("PAYWAY_TIMEOUT") === undefined
+          ? undefined
+          : Number(value("PAYWAY_TIMEOUT")),
+    };
+
+    const problems = check_client_config(config, {
+      environment: "PAYWAY_ENVIRONMENT",
+      merchantId: "PAYWAY_MERCHANT_ID",
+      apiKey: "PAYWAY_API_KEY",
+      baseUrl: "PAYWAY_BASE_URL",
+      timeout: "PAYWAY_TIMEOUT",
+    });
+    if (problems.length > 0) {
+      throw new Error(`PayWayClient.fromEnv: ${problems.join("; ")}`);
+    }
+
+    return PayWayClient.create({
+      ...options,
+      ...Object.fromEntries(
+        Object.entries(config).filter(([, v]) => v !== undefined)
+      ),
+    });
+  }
+
+  /**
+   * Creates a SHA512 HMAC hash from an array of string values.
+   * @param {string[]} values - Array of string values to hash
+   * @returns {string} Base64-encoded hash
+   */
+  create_hash(values) {
+    if (!runtime.hmac_sha512) {
+      throw new Error(
+        "create_hash: synchronous signing is not available in this runtime, use create_hash_async"
+      );
+    }
+    return runtime.hmac_sha512(this.api_key, values.join(""));
+  }
+
+  /**
+   * Creates a SHA512 HMAC hash with Web Crypto. Works in every runtime,
+   * including those without synchronous HMAC (Cloudflare Workers, Vercel
+   * Edge, Deno).
+   * @param {string[]} values - Array of string values to hash
+   * @returns {Promise<string>} Base64-encoded hash
+   */
+  async create_hash_async(values) {
+    if (!runtime.subtle) {
+      throw new Error("create_hash_async: crypto.subtle is not available");
+    }
+    this._hmac_key ??= runtime.subtle.importKey(
+      "raw",
+      new TextEncoder().encode(this.api_key),
+      { name: "HMAC", hash: "SHA-512" },
+      false,
+      ["sign"]
+    );
+    const signature = await runtime.subtle.sign(
+      "HMAC",
+      await this._hmac_key,
+      new TextEncoder().encode(values.join(""))
+    );
+    return base64_encode(new Uint8Array(signature));
+  }
+
+  /**
+   * Creates a FormData payload with required authentication fields.
+   * @param {string[]} hash_values - Array of values to be used for hash generation in correct order
+   * @param {object} [body={}] - Request body parameters
+   * @param {Date} [date] - Date to use for req_time; defaults to the client's clock
+   * @returns {FormData} FormData object with all required fields including hash
+   */
+  create_payload(hash_values, body = {}, date = this._now()) {
+    const { fields, values } = this._unsigned_payload(hash_values, body, date);
+    return to_form_data(fields, this.create_hash(values));
+  }
+
+  /**
+   * Asynchronous version of {@link create_payload}, signing with
+   * {@link create_hash_async}.
+   * @param {string[]} hash_values - Array of values to be used for hash generation in correct order
+   * @param {object} [body={}] - Request body parameters
+   * @param {Date} [date] - Date to use for req_time; defaults to the client's clock
+   * @returns {Promise<FormData>} FormData object with all required fields including hash
+   */
+  async create_payload_async(hash_values, body = {}, date = this._now()) {
+    const { fields, values } = this._unsigned_payload(hash_values, body, date);
+    return to_form_data(fields, await this.create_hash_async(values));
+  }
+
+  /**
+   * Prepares the fields of a payload and the values covered by its hash.
+   * @private
+   */
+  _unsigned_payload(hash_values, body, date) {
+    const req_time =
+      typeof date === "string" ? date : format_req_time(date, this.time_zone);
+    const merchant_id = this.merchant_id;
+
+    return {
+      fields: {
+        req_time,
+        merchant_id,
+        ...Object.fromEntries(
+          Object.entries(body).filter(([k, v]) => v != null)
+        ),
+      },
+      values: [req_time, merchant_id, ...hash_values],
+    };
+  }
+
+  /**
+   * Explains how a request is signed, to diagnose "wrong hash" errors: the
+   * canonical string the HMAC is computed over, how each field was resolved
+   * from `params` (value, source, encoding), the resulting hash and body,
+   * and the parameters the endpoint's spec ignores (often a misspelled
+   * option).
+   * @param {string} endpoint - API endpoint path, a key of SIGNING_SPECS
+   * @param {object} [params={}] - Request parameters, with PayWay's field names or the client methods' option names
+   * @param {object} [options={}]
+   * @param {Date|string} [options.req_time] - Request time, as a Date or the `req_time` of a failed request; defaults to the client's clock
+   * @returns {object} Explanation with `endpoint`, `canonical`, `fields`, `hash`, `body` and `ignored`
+   */
+  explain_signature(endpoint, params = {}, options = {}) {
+    const explanation = this._explain(endpoint, params, options);
+    return this._explained(explanation, this.create_hash(explanation.values));
+  }
+
+  /**
+   * Asynchronous version of {@link explain_signature}, signing with
+   * {@link create_hash_async}.
+   * @param {string} endpoint - API endpoint path, a key of SIGNING_SPECS
+   * @param {object} [params={}] - Request parameters
+   * @param {object} [options={}]
+   * @param {Date|string} [options.req_time] - Request time
+   * @returns {Promise<object>} Explanation, as for explain_signature
+   */
+  async explain_signature_async(endpoint, params = {}, options = {}) {
+    const explanation = this._explain(endpoint, params, options);
+    return this._explained(
+      explanation,
+      await this.create_hash_async(explanation.values)
+    );
+  }
+
+  /**
+   * @private
+   */
+  _explain(endpoint, params, { req_time = this._now() } = {}) {
+    if (typeof req_time === "string" && !/^\d{14}$/.test(req_time)) {
+      throw new Error(
+        "explain_signature: req_time must be a Date or a yyyyMMddHHmmss string"
+      );
+    }
+    const { body, hash_values, breakdown } = signing_request(
+      endpoint,
+      params,
+      "explain_signature"
+    );
+    const { fields, values } = this._unsigned_payload(
+      hash_values,
+      body,
+      req_time
+    );
+
+    const spec = SIGNING_SPECS[endpoint];
+    const known = new Set([
+      ...spec.fields,
+      ...Object.values(spec.aliases ?? {}),
+    ]);
+    return {
+      endpoint,
+      fields,
+      values,
+      breakdown: [
+        {
+          field: "req_time",
+          value: values[0],
+          input: req_time,
+          source: "request",
+          encoding: null,
+        },
+        {
+          field: "merchant_id",
+          value: values[1],
+          input: this.merchant_id,
+          source: "client",
+          encoding: null,
+        },
+        ...breakdown,
+      ],
+      ignored: Object.keys(params).filter(
+        (key) => !known.has(key) && params[key] != null
+      ),
+    };
+  }
+
+  /**
+   * @private
+   */
+  _explained({ endpoint, fields, values, breakdown, ignored }, hash) {
+    return {
+      endpoint,
+      canonical: values.join(""),
+      fields: breakdown,
+      hash,
+      body: { ...fields, hash },
+      ignored,
+    };
+  }
+
+  /**
+   * Signs the parameters of a request with its endpoint's signing spec,
+   * synchronously when the runtime allows it.
+   * @returns {FormData|Promise<FormData>} Signed payload
+   * @private
+   */
+  _sign(endpoint, params) {
+    const { body, hash_values } = signing_request(endpoint, params);
+    return runtime.hmac_sha512
+      ? this.create_payload(hash_values, body)
+      : this.create_payload_async(hash_values, body);
+  }
+
+  /**
+   * Creates a new payment transaction.
+   * @param {object} [options={}] - Transaction options
+   * @param {string} options.tran_id - Transaction ID (unique identifier, required)
+   * @param {string} options.payment_option - Payment method (e.g., "abapay", "cards", required)
+   * @param {number|string|bigint} options.amount - Transaction amount as a number or decimal string, or a bigint in minor units (required)
+   * @param {string} options.currency - Currency code ("USD" or "KHR", required)
+   * @param {string} [options.return_url] - URL to redirect after payment (base64 encoded automatically)
+   * @param {string|object} [options.return_deeplink] - Deeplink for mobile apps (base64 encoded automatically)
+   * @param {string} [options.continue_success_url] - URL to continue after successful payment
+   * @param {string} [options.ctid] - Customer token of a saved card, see {@link purchase_by_token}
+   * @param {string} [options.pwt] - PayWay token of a saved card, see {@link purchase_by_token}
+   * @param {string} [options.firstname] - Customer first name
+   * @param {string} [options.lastname] - Customer last name
+   * @param {string} [options.email] - Customer email
+   * @param {string} [options.phone] - Customer phone number
+   * @param {string|object[]} [options.items] - Order items (will be base64 encoded JSON). Arrays are validated and must add up to `amount`
+   * @param {string} [options.type="purchase"] - Transaction type, e.g. "purchase" or "pre-auth"; other PayWay types are passed through
+   * @param {string} [options.custom_fields] - Custom fields
+   * @returns {Promise<object>} API response data with payment URL or deeplink
+   */
+  async create_transaction(options = {}) {
+    const params = this._purchase_request(options, "create_transaction");
+
+    try {
+      const response = await this._post(PURCHASE_ENDPOINT, params, {
+        can_retry: () => this._transaction_missing(params.tran_id),
+      });
+
+      return response.data;
+    } catch (error) {
+      this._handle_error(error);
+    }
+  }
+
+  /**
+   * Builds the signed fields of a PayWay checkout form, for server-rendered
+   * pages that POST to PayWay from the browser (in a popup, an iframe or the
+   * current window). Accepts the same options as {@link create_transaction}.
+   * @param {object} [options={}] - Transaction options
+   * @returns {{action: string, method: string, fields: Object<string, string>}} Form action URL, method and signed fields
+   */
+  build_checkout_form(options = {}) {
+    const { body, hash_values } = signing_request(
+      PURCHASE_ENDPOINT,
+      this._purchase_request(options, "build_checkout_form")
+    );
+    return this._checkout_form(this.create_payload(hash_values, body));
+  }
+
+  /**
+   * Asynchronous version of {@link build_checkout_form}, for runtimes
+   * without synchronous HMAC.
+   * @param {object} [options={}] - Transaction options
+   * @returns {Promise<{action: string, method: string, fields: Object<string, string>}>} Form action URL, method and signed fields
+   */
+  async build_checkout_form_async(options = {}) {
+    const { body, hash_values } = signing_request(
+      PURCHASE_ENDPOINT,
+      this._purchase_request(options, "build_checkout_form_async")
+    );
+    return this._checkout_form(
+      await this.create_payload_async(hash_values, body)
+    );
+  }
+
+  /**
+   * @private
+   */
+  _checkout_form(payload) {
+    return {
+      action: join_url(this.base_url, PURCHASE_ENDPOINT),
+      method: "POST",
+      fields: Object.fromEntries(payload),
+    };
+  }
+
+  /**
+   * Renders a self-contained HTML checkout form. With `autoSubmit`, a
+   * complete page is returned that submits itself as soon as it loads.
+   * @param {object} [options={}] - Transaction options, as for {@link create_transaction}
+   * @param {object} [render={}] - Rendering options
+   * @param {string} [render.target="_self"] - Form target: a window name, iframe name, "_blank", "_top", ...
+   * @param {boolean} [render.autoSubmit=false] - Return a full page that submits the form on load
+   * @param {string} [render.submitLabel="Pay with ABA PayWay"] - Label of the submit button
+   * @param {string} [render.formId="payway-checkout"] - `id` attribute of the form
+   * @param {string} [render.nonce] - CSP nonce for the auto-submit script
+   * @returns {string} HTML markup
+   */
+  render_checkout_html(options = {}, render = {}) {
+    return checkout_html(this.build_checkout_form(options), render);
+  }
+
+  /**
+   * Asynchronous version of {@link render_checkout_html}, for runtimes
+   * without synchronous HMAC.
+   * @param {object} [options={}] - Transaction options, as for {@link create_transaction}
+   * @param {object} [render={}] - Rendering options, as for {@link render_checkout_html}
+   * @returns {Promise<string>} HTML markup
+   */
+  async render_checkout_html_async(options = {}, render = {}) {
+    return checkout_html(await this.build_checkout_form_async(options), render);
+  }
+
+  /**
+   * Validates purchase options and prepares the parameters of the purchase
+   * request, shared by create_transaction and the checkout form builders.
+   * @param {object} options - Transaction options, as for create_transaction
+   * @param {string} label - Method name used in error messages
+   * @returns {object} Request parameters, to sign with the purchase spec
+   * @private
+   */
+  _purchase_request(
+    {
+      tran_id,
+      payment_option,
+      amount,
+      currency,
+      return_url,
+      return_deeplink,
+      continue_success_url,
+      ctid,
+      pwt,
+      firstname,
+      lastname,
+      email,
+      phone,
+      items,
+      type = "purchase",
+      custom_fields,
+    },
+    label
+  ) {
+    // Parameter validation
+    if (!tran_id || typeof tran_id !== "string") {
+      throw new Error(`${label}: tran_id is required and must be a string`);
+    }
+    if (!payment_option || typeof payment_option !== "string") {
+      throw new Error(
+        `${label}: payment_option is required and must be a string`
+      );
+    }
+    if (amount === undefined || amount === null) {
+      throw new Error(`${label}: amount is required`);
+    }
+    if (!currency || (currency !== "USD" && currency !== "KHR")) {
+      throw new Error(
+        `${label}: currency is required and must be "USD" or "KHR"`
+      );
+    }
+    // Items are normalized again by the "items" encoding when signing
+    ({ amount } = this._normalize_order(amount, currency, items, label));
+
+    return {
+      tran_id,
+      amount,
+      items,
+      firstname,
+      lastname,
+      email,
+      phone,
+      type,
+      payment_option,
+      continue_success_url,
+      return_url,
+      return_deeplink,
+      currency,
+      custom_fields,
+      ctid,
+      pwt,
+    };
+  }
+
+  /**
+   * Normalizes an order amount with the client's limits and checks that
+   * item arrays add up to it.
+   * @returns {{amount: string, items: *}} Normalized amount and items
+   * @private
+   */
+  _normalize_order(amount, currency, items, label) {
+    amount = normalize_amount(amount, currency, {
+      ...this._amount_limits[currency],
+      label: `${label}: amount`,
+    });
+    if (Array.isArray(items)) {
+      const normalized = normalize_items(items, currency, `${label}: items`);
+      if (normalized.total !== to_minor_units(amount, currency)) {
+        throw new Error(
+          `${label}: items total ${from_minor_units(
+            normalized.total,
+            currency
+          )} does not match amount ${amount}`
+        );
+      }
+      items = normalized.items;
+    }
+    return { amount, items };
+  }
+
+  /**
+   * Generates a KHQR code for a transaction, to show on a POS or kiosk
+   * screen. Render the returned `qr_string` with {@link render_qr}.
+   * @param {object} [options={}] - QR options
+   * @param {string} options.tran_id - Transaction ID (required)
+   * @param {number|string|bigint} options.amount - Transaction amount (required)
+   * @param {string} options.currency - Currency code ("USD" or "KHR", required)
+   * @param {number} [options.lifetime] - Minutes before the QR code expires, from 3 to 43200 (30 days)
+   * @param {string} [options.payment_option="abapay_khqr"] - Payment option
+   * @param {string} [options.firstname] - Customer first name
+   * @param {string} [options.lastname] - Customer last name
+   * @param {string} [options.email] - Customer email
+   * @param {string} [options.phone] - Customer phone number
+   * @param {string|object[]} [options.items] - Order items, validated as for create_transaction
+   * @param {string} [options.type="purchase"] - Transaction type ("purchase" or "pre-auth")
+   * @param {string} [options.callback_url] - URL receiving the payment pushback (base64 encoded automatically)
+   * @param {string|object} [options.return_deeplink] - Deeplink for mobile apps (base64 encoded automatically)
+   * @param {string} [options.custom_fields] - Custom fields
+   * @param {string} [options.return_params] - Value echoed back in the pushback
+   * @param {string} [options.qr_image_template] - Template of the QR image rendered by PayWay
+   * @returns {Promise<object>} API response data, plus `qr_string` and `expires_at` (a Date, or null without `lifetime`)
+   */
+  async generate_qr({
+    tran_id,
+    amount,
+    currency,
+    lifetime,
+    payment_option = "abapay_khqr",
+    firstname,
+    lastname,
+    email,
+    phone,
+    items,
+    type = "purchase",
+    callback_url,
+    return_deeplink,
+    custom_fields,
+    return_params,
+    qr_image_template,
+  } = {}) {
+    if (!tran_id || typeof tran_id !== "string") {
+      throw new Error("generate_qr: tran_id is required and must be a string");
+    }
+    if (amount === undefined || amount === null) {
+      throw new Error("generate_qr: amount is required");
+    }
+    if (!currency || (currency !== "USD" && currency !== "KHR")) {
+      throw new Error(
+        'generate_qr: currency is required and must be "USD" or "KHR"'
+      );
+    }
+    if (
+      lifetime != null &&
+      !(Number.isInteger(lifetime) && lifetime >= 3 && lifetime <= 43200)
+    ) {
+      throw new Error(
+        "generate_qr: lifetime must be an integer number of minutes from 3 to 43200"
+      );
+    }
+    if (type !== "purchase" && type !== "pre-auth") {
+      throw new Error('generate_qr: type must be "purchase" or "pre-auth"');
+    }
+    ({ amount } = this._normalize_order(
+      amount,
+      currency,
+      items,
+      "generate_qr"
+    ));
+
+    try {
+      const requested_at = this._now().getTime();
+      const response = await this._post(
+        "/api/payment-gateway/v1/payments/generate-qr",
+        {
+          tran_id,
+          amount,
+          items,
+          firstname,
+          lastname,
+          email,
+          phone,
+          type,
+          payment_option,
+          callback_url,
+          return_deeplink,
+          currency,
+          custom_fields,
+          return_params,
+          lifetime,
+          qr_image_template,
+        },
+        { can_retry: () => this._transaction_missing(tran_id) }
+      );
+
+      const data = response.data ?? {};
+      return {
+        ...data,
+        qr_string: data.qr_string ?? data.qrString ?? null,
+        expires_at:
+          lifetime == null ? null : new Date(requested_at + lifetime * 60000),
+      };
+    } catch (error) {
+      this._handle_error(error);
+    }
+  }
+
+  /**
+   * Checks the status of a transaction by transaction ID.
+   * @param {string} tran_id - Transaction ID to check (required)
+   * @param {object} [options={}]
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {boolean} [options.normalize] - Returns a normalized transaction (see normalize_transaction); defaults to the client option
+   * @returns {Promise<object>} API response data with transaction status and details
+   */
+  async check_transaction(
+    tran_id,
+    { signal, normalize = this._normalize } = {}
+  ) {
+    if (!tran_id || typeof tran_id !== "string") {
+      throw new Error(
+        "check_transaction: tran_id is required and must be a string"
+      );
+    }
+
+    try {
+      const response = await this._post(
+        "/api/payment-gateway/v1/payments/check-transaction",
+        { tran_id },
+        { idempotent: true, signal }
+      );
+      return normalize ? normalize_transaction(response.data) : response.data;
+    } catch (error) {
+      this._handle_error(error);
+    }
+  }
+
+  /**
+   * Retrieves the full details of a transaction, for disputes and support:
+   * payer account, payment method, approval code, fees and the history of
+   * operations (creation, approval, refunds), oldest first. Amounts are
+   * formatted with the currency's decimals and timestamps parsed as Phnom
+   * Penh time.
+   * @param {string} tran_id - Transaction ID (required)
+   * @param {object} [options={}]
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<object>} Normalized TransactionDetails, with the original response in `raw`
+   * @throws {PayWayNotFoundError} When PayWay does not know the transaction
+   */
+  async get_transaction_details(tran_id, { signal } = {}) {
+    if (!tran_id || typeof tran_id !== "string") {
+      throw new Error(
+        "get_transaction_details: tran_id is required and must be a string"
+      );
+    }
+
+    try {
+      const response = await this._post(
+        "/api/payment-gateway/v1/payments/transaction-detail",
+        { tran_id },
+        { idempotent: true, signal }
+      );
+      return transaction_details(tran_id, response.data);
+    } catch (error) {
+      this._handle_error(error);
+    }
+  }
+
+  /**
+   * Retrieves a list of transactions based on filter criteria.
+   * @param {object} [options={}] - Filter options (all optional)
+   * @param {string} [options.from_date] - Start date (YYYYMMDD)
+   * @param {string} [options.to_date] - End date (YYYYMMDD)
+   * @param {number|string} [options.from_amount] - Minimum amount
+   * @param {number|string} [options.to_amount] - Maximum amount
+   * @param {string} [options.currency="USD"] - Currency of `from_amount`/`to_amount`, for their decimals
+   * @param {string} [options.status] - Transaction status
+   * @param {number} [options.page] - Page number, starting at 1
+   * @param {number} [options.pagination] - Number of transactions per page
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @param {boolean} [options.normalize] - Returns a normalized list (see normalize_transaction_list); defaults to the client option
+   * @returns {Promise<object>} API response data with transaction list and pagination info
+   */
+  async transaction_list({
+    from_date,
+    to_date,
+    from_amount,
+    to_amount,
+    currency = "USD",
+    status,
+    page,
+    pagination,
+    signal,
+    normalize = this._normalize,
+  } = {}) {
+    if (from_date && typeof from_date !== "string") {
+      throw new Error(
+        "transaction_list: from_date must be a string in YYYYMMDD format"
+      );
+    }
+    if (to_date && typeof to_date !== "string") {
+      throw new Error(
+        "transaction_list: to_date must be a string in YYYYMMDD format"
+      );
+    }
+    currency = String(currency).toUpperCase();
+    if (from_amount != null) {
+      from_amount = normalize_amount(from_amount, currency, {
+        allow_zero: true,
+        label: "transaction_list: from_amount",
+      });
+    }
+    if (to_amount != null) {
+      to_amount = normalize_amount(to_amount, currency, {
+        allow_zero: true,
+        label: "transaction_list: to_amount",
+      });
+    }
+    if (
+      from_amount != null &&
+      to_amount != null &&
+      to_minor_units(from_amount, currency) >
+        to_minor_units(to_amount, currency)
+    ) {
+      throw new Error(
+        "transaction_list: from_amount must not be greater than to_amount"
+      );
+    }
+
+    try {
+      const response = await this._post(
+        "/api/payment-gateway/v1/payments/transaction-list",
+        {
+          from_date,
+          to_date,
+          from_amount,
+          to_amount,
+          currency,
+          status,
+          page,
+          pagination,
+        },
+        { idempotent: true, signal }
+      );
+      return normalize
+        ? normalize_transaction_list(response.data)
+        : response.data;
+    } catch (error) {
+      this._handle_error(error);
+    }
+  }
+
+  /**
+   * Iterates over every transaction matching the filters, requesting
+   * successive pages of `transaction_list` as needed. With `window`, the
+   * `from_date`/`to_date` range is split into day or month windows that are
+   * listed one after the other, keeping each query under server-side limits.
+   * @param {object} [options={}] - Filter and paging options
+   * @param {string} [options.from_date] - Start date (YYYYMMDD)
+   * @param {string} [options.to_date] - End date (YYYYMMDD)
+   * @param {number|string} [options.from_amount] - Minimum amount
+   * @param {number|string} [options.to_amount] - Maximum amount
+   * @param {string} [options.currency="USD"] - Currency of `from_amount`/`to_amount`, for their decimals
+   * @param {string} [options.status] - Transaction status
+   * @param {number} [options.page_size=50] - Number of transactions per page
+   * @param {number} [options.max_items] - Stop after yielding this many transactions
+   * @param {"day"|"month"} [options.window] - Split the date range into windows of this size
+   * @param {AbortSignal} [options.signal] - Aborts the iteration between pages
+   * @param {boolean} [options.normalize] - Yields normalized transactions; defaults to the client option
+   * @yields {object} Individual transactions
+   */
+  async *iterate_transactions({
+    from_date,
+    to_date,
+    from_amount,
+    to_amount,
+    currency,
+    status,
+    page_size = 50,
+    max_items = Infinity,
+    window,
+    signal,
+    normalize = this._normalize,
+  } = {}) {
+    if (!Number.isInteger(page_size) || page_size < 1) {
+      throw new Error(
+        "iterate_transactions: page_size must be a positive integer"
+      );
+    }
+    if (
+      max_items !== Infinity &&
+      (!Number.isInteger(max_items) || max_items < 1)
+    ) {
+      throw new Error(
+        "iterate_transactions: max_items must be a positive integer"
+      );
+    }
+    if (from_date && to_date && from_date > to_date) {
+      throw new Error(
+        "iterate_transactions: from_date must not be greater than to_date"
+      );
+    }
+    if (window != null && window !== "day" && window !== "month") {
+      throw new Error('iterate_transactions: window must be "day" or "month"');
+    }
+    if (window && (!from_date || !to_date)) {
+      throw new Error(
+        "iterate_transactions: from_date and to_date are required with window"
+      );
+    }
+
+    const ranges = window
+      ? date_windows(from_date, to_date, window)
+      : [[from_date, to_date]];
+    let yielded = 0;
+
+    for (const [window_from, window_to] of ranges) {
+      for (let page = 1; ; page++) {
+        if (yielded >= max_items) return;
+        signal?.throwIfAborted();
+
+        const data = await this.transaction_list({
+          from_date: window_from,
+          to_date: window_to,
+          from_amount,
+          to_amount,
+          currency,
+          status,
+          page,
+          pagination: page_size,
+          signal,
+          normalize: false,
+        });
+        const transactions = data?.transactions ?? data?.data ?? [];
+
+        for (const transaction of transactions) {
+          if (yielded >= max_items) return;
+          yield normalize ? normalize_transaction(transaction) : transaction;
+          yielded++;
+        }
+
+        const total_pages = Number(data?.total_pages);
+        const last_page = Number.isFinite(total_pages)
+          ? page >= total_pages
+          : transactions.length < page_size;
+        if (last_page || transactions.length === 0) break;
+      }
+    }
+  }
+
+  /**
+   * Reconciles our own ledger with PayWay's records for a date range. PayWay's
+   * side is read with transaction_list, one day at a time; local records it
+   * did not list (e.g. created just before midnight) are looked up with
+   * check_transaction before being reported as missing.
+   *
+   * Every transaction gets a row whose `result` is "matched", "mismatch",
+   * "missing_local" (only at PayWay) or "missing_remote" (only in our ledger).
+   * Mismatches list their `issues`: "amount", "currency" and/or "status",
+   * the latter covering drift such as approved at PayWay but still pending
+   * locally. The report is plain JSON; use `reconciliation_csv` for CSV.
+   * @param {object} options
+   * @param {Date|string} options.from - First day of the range (Date or YYYYMMDD)
+   * @param {Date|string} options.to - Last day of the range (Date or YYYYMMDD)
+   * @param {AsyncIterable<object>|Iterable<object>} options.local - Our records, as `{ tran_id, amount, currency, status }`
+   * @param {number} [options.page_size=100] - Transactions per transaction_list page
+   * @param {AbortSignal} [options.signal] - Cancels the reconciliation
+   * @returns {Promise<object>} Report with `from`, `to`, `generated_at`, `summary` and `rows`
+   */
+  async reconcile({ from, to, local, page_size = 100, signal } = {}) {
+    const from_date = reconcile_date(from, "from");
+    const to_date = reconcile_date(to, "to");
+    if (from_date > to_date) {
+      throw new Error("reconcile: from must not be after to");
+    }
+    if (!local?.[Symbol.asyncIterator] && !local?.[Symbol.iterator]) {
+      throw new Error("reconcile: local must be an iterable of records");
+    }
+
+    const remote = new Map();
+    for await (const transaction of this.iterate_transactions({
+      from_date,
+      to_date,
+      window: "day",
+      page_size,
+      signal,
+      normalize: false,
+    })) {
+      const tran_id = transaction?.tran_id ?? transaction?.transaction_id;
+      if (tran_id != null) remote.set(String(tran_id), transaction);
+    }
+
+    const rows = [];
+    const seen = new Set();
+    for await (const record of local) {
+      const tran_id = record?.tran_id == null ? "" : String(record.tran_id);
+      if (!tran_id) {
+        throw new Error("reconcile: every local record needs a tran_id");
+      }
+      if (seen.has(tran_id)) {
+        throw new Error(`reconcile: duplicate local tran_id ${tran_id}`);
+      }
+      seen.add(tran_id);
+
+      let transaction = remote.get(tran_id);
+      if (!transaction) {
+        try {
+          transaction = await this.check_transaction(tran_id, {
+            signal,
+            normalize: false,
+          });
+        } catch (error) {
+          if (!(error instanceof PayWayNotFoundError)) throw error;
+        }
+      }
+
+      const local_side = reconcile_side(record);
+      rows.push(
+        reconcile_row(
+          tran_id,
+          local_side,
+          transaction ? remote_side(transaction, local_side.currency) : null
+        )
+      );
+    }
+
+    for (const [tran_id, transaction] of remote) {
+      if (!seen.has(tran_id)) {
+        rows.push(reconcile_row(tran_id, null, remote_side(transaction)));
+      }
+    }
+
+    const count = (predicate) => rows.filter(predicate).length;
+    return {
+      from: from_date,
+      to: to_date,
+      generated_at: this._now().toISOString(),
+      summary: {
+        total: rows.length,
+        matched: count((row) => row.result === "matched"),
+        missing_local: count((row) => row.result === "missing_local"),
+        missing_remote: count((row) => row.result === "missing_remote"),
+        amount_mismatch: count((row) => row.issues.includes("amount")),
+        currency_mismatch: count((row) => row.issues.includes("currency")),
+        status_drift: count((row) => row.issues.includes("status")),
+      },
+      rows,
+    };
+  }
+
+  /**
+   * Polls check_transaction and yields every status change until the
+   * transaction reaches a final status. Suited to streaming progress to a UI
+   * while the customer pays in a deeplink flow.
+   * @param {string} tran_id - Transaction ID to watch (required)
+   * @param {object} [options={}] - Polling options
+   * @param {number} [options.timeout=300000] - Give up after this many milliseconds
+   * @param {number} [options.interval=2000] - Delay between the first polls in milliseconds
+   * @param {number} [options.backoff=1] - Multiplier applied to the delay after every poll
+   * @param {number} [options.maxInterval=30000] - Upper bound for the delay between polls
+   * @param {string[]} [options.finalStatuses=FINAL_STATUSES] - Statuses that end the polling
+   * @param {AbortSignal} [options.signal] - Stops polling when aborted
+   * @yields {{status: string|null, response: object}} Each new status with the response it came from
+   * @throws {PayWayTimeoutError} When no final status is reached within `timeout`
+   */
+  async *watch_transaction(
+    tran_id,
+    {
+      timeout = 300000,
+      interval = 2000,
+      backoff = 1,
+      maxInterval = 30000,
+      finalStatuses = FINAL_STATUSES,
+      signal,
+    } = {}
+  ) {
+    if (!tran_id || typeof tran_id !== "string") {
+      throw new Error(
+        "watch_transaction: tran_id is required and must be a string"
+      );
+    }
+    if (!(interval >= 0) || !(backoff >= 1) || !(timeout >= 0)) {
+      throw new Error(
+        "watch_transaction: timeout and interval must be non-negative and backoff at least 1"
+      );
+    }
+
+    const deadline = Date.now() + timeout;
+    let delay = interval;
+    let last_status;
+
+    for (;;) {
+      signal?.throwIfAborted();
+      const response = await this.check_transaction(tran_id, { signal });
+      const status = transaction_status(response);
+
+      if (status !== last_status) {
+        last_status = status;
+        yield { status, response };
+      }
+      if (finalStatuses.includes(status)) return;
+
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) {
+        throw new PayWayTimeoutError(
+          `Transaction ${tran_id} did not reach a final status within ${timeout}ms (last status: ${status})`,
+          tran_id,
+          response
+        );
+      }
+      await sleep(Math.min(delay, remaining), signal);
+      delay = Math.min(delay * backoff, maxInterval);
+    }
+  }
+
+  /**
+   * Waits until a transaction reaches a final status (APPROVED, DECLINED,
+   * CANCELLED or REFUNDED by default). Accepts the same options as
+   * {@link watch_transaction}.
+   * @param {string} tran_id - Transaction ID to wait for (required)
+   * @param {object} [options={}] - Polling options
+   * @returns {Promise<object>} The check_transaction response with the final status
+   * @throws {PayWayTimeoutError} When no final status is reached within `timeout`
+   */
+  async wait_for_transaction(tran_id, options = {}) {
+    let last;
+    for await (const change of this.watch_transaction(tran_id, options)) {
+      last = change;
+    }
+    return last.response;
+  }
+
+  /**
+   * Completes (captures) a pre-authorized transaction. The captured amount may
+   * be lower than the amount originally held.
+   * @param {string} tran_id - Transaction ID created with `type: "pre-auth"` (required)
+   * @param {number|string|bigint} amount - Amount to capture (required)
+   * @param {object} [options={}]
+   * @param {string} [options.currency="USD"] - Currency of the transaction, for the amount's decimals
+   * @returns {Promise<object>} API response data with the completion status
+   */
+  async complete_pre_auth(tran_id, amount, { currency = "USD" } = {}) {
+    if (!tran_id || typeof tran_id !== "string") {
+      throw new Error(
+        "complete_pre_auth: tran_id is required and must be a string"
+      );
+    }
+    if (amount == null || !(Number(amount) > 0)) {
+      throw new Error(
+        "complete_pre_auth: amount is required and must be a positive number"
+      );
+    }
+    currency = String(currency).toUpperCase();
+    amount = normalize_amount(amount, currency, {
+      label: "complete_pre_auth: amount",
+    });
+
+    try {
+      const response = await this._post(
+        "/api/payment-gateway/v1/payments/pre-auth-completion",
+        { tran_id, complete_amount: amount, currency }
+      );
+      return response.data;
+    } catch (error) {
+      this._handle_error(error);
+    }
+  }
+
+  /**
+   * Cancels a pre-authorized transaction and releases the held funds.
+   * @param {string} tran_id - Transaction ID created with `type: "pre-auth"` (required)
+   * @returns {Promise<object>} API response data with the cancellation status
+   */
+  async cancel_pre_auth(tran_id) {
+    if (!tran_id || typeof tran_id !== "string") {
+      throw new Error(
+        "cancel_pre_auth: tran_id is required and must be a string"
+      );
+    }
+
+    try {
+      const response = await this._post(
+        "/api/payment-gateway/v1/payments/cancel-pre-auth",
+        { tran_id }
+      );
+      return response.data;
+    } catch (error) {
+      this._handle_error(error);
+    }
+  }
+
+  /**
+   * Refunds a captured transaction, fully or partially.
+   * @param {object} [options={}] - Refund options
+   * @param {string} options.tran_id - Transaction ID to refund (required)
+   * @param {number|string|bigint} [options.refund_amount] - Amount to refund; omit for a full refund
+   * @param {number|string|bigint} [options.captured_amount] - Captured amount of the transaction, if known, to validate `refund_amount` against
+   * @param {string} [options.currency="USD"] - Currency of the transaction, for the amounts' decimals
+   * @param {string} [options.reason] - Reason for the refund
+   * @returns {Promise<object>} API response data with the refund status
+   * @throws {PayWayAlreadyRefundedError} When the transaction was already fully refunded
+   * @throws {PayWayRefundWindowExpiredError} When the transaction can no longer be refunded
+   */
+  async refund_transaction({
+    tran_id,
+    refund_amount,
+    captured_amount,
+    currency = "USD",
+    reason,
+  } = {}) {
+    if (!tran_id || typeof tran_id !== "string") {
+      throw new Error(
+        "refund_transaction: tran_id is required and must be a string"
+      );
+    }
+    if (refund_amount != null && !(Number(refund_amount) > 0)) {
+      throw new Error(
+        "refund_transaction: refund_amount must be a positive number"
+      );
+    }
+    currency = String(currency).toUpperCase();
+    if (refund_amount != null) {
+      refund_amount = normalize_amount(refund_amount, currency, {
+        label: "refund_transaction: refund_amount",
+      });
+    }
+    if (
+      refund_amount != null &&
+      captured_amount != null &&
+      to_minor_units(refund_amount, currency) >
+        to_minor_units(
+          captured_amount,
+          currency,
+          "refund_transaction: captured_amount"
+        )
+    ) {
+      throw new Error(
+        "refund_transaction: refund_amount must not exceed the captured amount"
+      );
+    }
+
+    try {
+      const response = await this._post(
+        "/api/payment-gateway/v1/payments/refund",
+        { tran_id, refund_amount, currency, reason }
+      );
+      return response.data;
+    } catch (error) {
+      this._handle_error(error, REFUND_ERRORS);
+    }
+  }
+
+  /**
+   * Starts a card-on-file session: PayWay returns a page where the customer
+   * saves a card, then posts the resulting `ctid` and `pwt` to `return_url`
+   * (see {@link verify_card_callback}).
+   * @param {object} [options={}] - Session options
+   * @param {string} [options.ctid] - Customer token from an earlier session, to save another card for the same customer
+   * @param {string} [options.firstname] - Customer first name
+   * @param {string} [options.lastname] - Customer last name
+   * @param {string} [options.email] - Customer email
+   * @param {string} [options.phone] - Customer phone number
+   * @param {string} options.return_url - URL receiving the card token pushback (base64 encoded automatically, required)
+   * @param {string} [options.continue_success_url] - URL the customer is sent to once the card is saved
+   * @param {string} [options.return_param] - Value echoed back in the pushback, e.g. your customer ID
+   * @returns {Promise<object>} API response data with the card-saving page URL
+   */
+  async link_card({
+    ctid,
+    firstname,
+    lastname,
+    email,
+    phone,
+    return_url,
+    continue_success_url,
+    return_param,
+  } = {}) {
+    if (!return_url || typeof return_url !== "string") {
+      throw new Error("link_card: return_url is required and must be a string");
+    }
+    if (ctid != null && typeof ctid !== "string") {
+      throw new Error("link_card: ctid must be a string");
+    }
+
+    try {
+      const response = await this._post("/api/payment-gateway/v1/cof/initial", {
+        ctid,
+        firstname,
+        lastname,
+        email,
+        phone,
+        return_url,
+        continue_success_url,
+        return_param,
+      });
+      return response.data;
+    } catch (error) {
+      this._handle_error(error);
+    }
+  }
+
+  /**
+   * Charges a saved card without redirecting the customer. Accepts the same
+   * options as {@link create_transaction}; `payment_option` defaults to
+   * `"cards"`. Like create_transaction, it is only retried once
+   * check_transaction confirms the transaction was not created.
+   * @param {object} [options={}] - Transaction options
+   * @param {string} options.ctid - Customer token from the card callback (required)
+   * @param {string} options.pwt - PayWay token of the saved card (required)
+   * @param {string} options.tran_id - Transaction ID (required)
+   * @param {number|string|bigint} options.amount - Transaction amount (required)
+   * @param {string} options.currency - Currency code ("USD" or "KHR", required)
+   * @returns {Promise<object>} API response data with the transaction status
+   */
+  async purchase_by_token(options = {}) {
+    const { ctid, pwt } = options;
+    if (!ctid || typeof ctid !== "string") {
+      throw new Error(
+        "purchase_by_token: ctid is required and must be a string"
+      );
+    }
+    if (!pwt || typeof pwt !== "string") {
+      throw new Error(
+        "purchase_by_token: pwt is required and must be a string"
+      );
+    }
+
+    const params = this._purchase_request(
+      { payment_option: "cards", ...options },
+      "purchase_by_token"
+    );
+
+    try {
+      const response = await this._post(PURCHASE_ENDPOINT, params, {
+        can_retry: () => this._transaction_missing(params.tran_id),
+      });
+      return response.data;
+    } catch (error) {
+      this._handle_error(error);
+    }
+  }
+
+  /**
+   * Lists the cards a customer saved through {@link link_card}.
+   * @param {string} ctid - Customer token (required)
+   * @param {object} [options={}]
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<object>} API response data with the saved cards
+   */
+  async list_saved_cards(ctid, { signal } = {}) {
+    if (!ctid || typeof ctid !== "string") {
+      throw new Error(
+        "list_saved_cards: ctid is required and must be a string"
+      );
+    }
+
+    try {
+      const response = await this._post(
+        "/api/payment-gateway/v1/cof/list",
+        { ctid },
+        { idempotent: true, signal }
+      );
+      return response.data;
+    } catch (error) {
+      this._handle_error(error);
+    }
+  }
+
+  /**
+   * Removes a saved card, so it can no longer be charged.
+   * @param {object} [options={}]
+   * @param {string} options.ctid - Customer token (required)
+   * @param {string} options.pwt - PayWay token of the card to remove (required)
+   * @returns {Promise<object>} API response data with the removal status
+   */
+  async remove_saved_card({ ctid, pwt } = {}) {
+    if (!ctid || typeof ctid !== "string") {
+      throw new Error(
+        "remove_saved_card: ctid is required and must be a string"
+      );
+    }
+    if (!pwt || typeof pwt !== "string") {
+      throw new Error(
+        "remove_saved_card: pwt is required and must be a string"
+      );
+    }
+
+    try {
+      const response = await this._post("/api/payment-gateway/v1/cof/remove", {
+        ctid,
+        pwt,
+      });
+      return response.data;
+    } catch (error) {
+      this._handle_error(error);
+    }
+  }
+
+  /**
+   * Creates a shareable payment link, e.g. for invoices sent over chat or
+   * SMS. Never retried, as a retry could create a second link.
+   * @param {object} [options={}] - Payment link options
+   * @param {string} options.title - Title shown to the payer (required, up to 250 characters)
+   * @param {number|string|bigint} options.amount - Amount to pay (required)
+   * @param {string} options.currency - Currency code ("USD" or "KHR", required)
+   * @param {string} [options.description] - Description shown to the payer
+   * @param {Date|number} [options.expired_date] - Expiry, as a Date or a Unix timestamp in seconds; must be in the future
+   * @param {number} [options.max_usage] - Number of payments accepted before the link closes
+   * @param {string} [options.return_url] - URL receiving the payment pushback (base64 encoded automatically)
+   * @param {string} [options.merchant_ref_no] - Your reference, e.g. an invoice number
+   * @returns {Promise<object>} API response data with the link `id` and `payment_link` URL
+   */
+  async create_payment_link({
+    title,
+    amount,
+    currency,
+    description,
+    expired_date,
+    max_usage,
+    return_url,
+    merchant_ref_no,
+  } = {}) {
+    if (!title || typeof title !== "string" || !title.trim()) {
+      throw new Error(
+        "create_payment_link: title is required and must be a string"
+      );
+    }
+    if (title.trim().length > PAYMENT_LINK_TITLE_MAX_LENGTH) {
+      throw new Error(
+        `create_payment_link: title must be at most ${PAYMENT_LINK_TITLE_MAX_LENGTH} characters`
+      );
+    }
+    if (amount === undefined || amount === null) {
+      throw new Error("create_payment_link: amount is required");
+    }
+    if (!currency || (currency !== "USD" && currency !== "KHR")) {
+      throw new Error(
+        'create_payment_link: currency is required and must be "USD" or "KHR"'
+      );
+    }
+    amount = normalize_amount(amount, currency, {
+      ...this._amount_limits[currency],
+      label: "create_payment_link: amount",
+    });
+    if (max_usage != null && !(Number.isInteger(max_usage) && max_usage > 0)) {
+      throw new Error(
+        "create_payment_link: max_usage must be a positive integer"
+      );
+    }
+
+    let expires_at;
+    if (expired_date != null) {
+      expires_at =
+        expired_date instanceof Date
+          ? Math.floor(expired_date.getTime() / 1000)
+          : expired_date;
+      if (!Number.isInteger(expires_at)) {
+        throw new Error(
+          "create_payment_link: expired_date must be a Date or a Unix timestamp in seconds"
+        );
+      }
+      if (expires_at * 1000 <= this._now().getTime()) {
+        throw new Error(
+          "create_payment_link: expired_date must be in the future"
+        );
+      }
+    }
+
+    try {
+      const response = await this._post(
+        "/api/merchant-portal/merchant-access/payment-link/create",
+        {
+          title,
+          amount,
+          currency,
+          description,
+          expired_date: expires_at,
+          max_usage,
+          return_url,
+          merchant_ref_no,
+        }
+      );
+      return response.data;
+    } catch (error) {
+      this._handle_error(error);
+    }
+  }
+
+  /**
+   * Retrieves a payment link and its usage.
+   * @param {string} id - Payment link ID (required)
+   * @param {object} [options={}]
+   * @param {AbortSignal} [options.signal] - Cancels the request
+   * @returns {Promise<object>} API response data with the payment link details
+   */
+  async get_payment_link(id, { signal } = {}) {
+    if (!id || typeof id !== "string") {
+      throw new Error("get_payment_link: id is required and must be a string");
+    }
+
+    try {
+      const response = await this._post(
+        "/api/merchant-portal/merchant-access/payment-link/detail",
+        { id },
+        { idempotent: true, signal }
+      );
+      return response.data;
+    } catch (error) {
+      this._handle_error(error);
+    }
+  }
+
+  /**
+   * Disables a payment link so it no longer accepts payments. Disabling a
+   * link twice is harmless, so this call is retried like read-only calls.
+   * @param {string} id - Payment link ID (required)
+   * @returns {Promise<object>} API response data with the updated payment link
+   */
+  async disable_payment_link(id) {
+    if (!id || typeof id !== "string") {
+      throw new Error(
+        "disable_payment_link: id is required and must be a string"
+      );
+    }
+
+    try {
+      const response = await this._post(
+        "/api/merchant-portal/merchant-access/payment-link/disable",
+        { id },
+        { idempotent: true }
+      );
+      return response.data;
+    } catch (error) {
+      this._handle_error(error);
+    }
+  }
+
+  /**
+   * Verifies a pushback (callback) request sent by PayWay to `return_url`.
+   * The hash is recomputed over {@link CALLBACK_HASH_FIELDS} with the
+   * merchant API key and compared in constant time.
+   * @param {string|Uint8Array|URLSearchParams|object} payload - Callback body, raw or parsed
+   * @param {object} [headers={}] - Request headers, used when the hash is sent as a header
+   * @returns {object} Verified callback with `tran_id`, `apv`, `status`, `merchant_id`, `return_params` and `raw`
+   * @throws {PayWayCallbackError} When the hash is missing or does not match
+   */
+  verify_callback(payload, headers = {}) {
+    const { raw, signature, values } = this._callback_fields(payload, headers);
+    check_callback_hash(raw, signature, this.create_hash(values));
+    return payment_callback(raw);
+  }
+
+  /**
+   * Asynchronous version of {@link verify_callback}, for runtimes without
+   * synchronous HMAC.
+   * @param {string|Uint8Array|URLSearchParams|object} payload - Callback body, raw or parsed
+   * @param {object} [headers={}] - Request headers, used when the hash is sent as a header
+   * @returns {Promise<object>} Verified callback, as returned by {@link verify_callback}
+   * @throws {PayWayCallbackError} When the hash is missing or does not match
+   */
+  async verify_callback_async(payload, headers = {}) {
+    const { raw, signature, values } = this._callback_fields(payload, headers);
+    check_callback_hash(raw, signature, await this.create_hash_async(values));
+    return payment_callback(raw);
+  }
+
+  /**
+   * Verifies the pushback PayWay sends once a customer saved a card through
+   * {@link link_card}. The hash is recomputed over
+   * {@link CARD_CALLBACK_HASH_FIELDS}. Store the returned `ctid` and `pwt`
+   * to charge the card later with {@link purchase_by_token}.
+   * @param {string|Uint8Array|URLSearchParams|object} payload - Callback body, raw or parsed
+   * @param {object} [headers={}] - Request headers, used when the hash is sent as a header
+   * @returns {object} Verified callback with `ctid`, `pwt`, `mask_pan`, `card_type`, `status`, `merchant_id`, `return_param` and `raw`
+   * @throws {PayWayCallbackError} When the hash is missing or does not match
+   */
+  verify_card_callback(payload, headers = {}) {
+    const { raw, signature, values } = this._callback_fields(
+      payload,
+      headers,
+      CARD_CALLBACK_HASH_FIELDS
+    );
+    check_callback_hash(raw, signature, this.create_hash(values));
+    return card_callback(raw);
+  }
+
+  /**
+   * Asynchronous version of {@link verify_card_callback}, for runtimes
+   * without synchronous HMAC.
+   * @param {string|Uint8Array|URLSearchParams|object} payload - Callback body, raw or parsed
+   * @param {object} [headers={}] - Request headers, used when the hash is sent as a header
+   * @returns {Promise<object>} Verified callback, as returned by {@link verify_card_callback}
+   * @throws {PayWayCallbackError} When the hash is missing or does not match
+   */
+  async verify_card_callback_async(payload, headers = {}) {
+    const { raw, signature, values } = this._callback_fields(
+      payload,
+      headers,
+      CARD_CALLBACK_HASH_FIELDS
+    );
+    check_callback_hash(raw, signature, await this.create_hash_async(values));
+    return card_callback(raw);
+  }
+
+  /**
+   * Parses a callback and checks its merchant, returning the values covered
+   * by its hash.
+   * @private
+   */
+  _callback_fields(payload, headers, fields = CALLBACK_HASH_FIELDS) {
+    const raw = parse_callback_body(payload);
+    const signature = raw.hash ?? get_header(headers, CALLBACK_HASH_HEADER);
+
+    if (!signature || typeof signature !== "string") {
+      throw new PayWayCallbackError("Callback hash is missing", raw);
+    }
+
+    if (
+      raw.merchant_id != null &&
+      String(raw.merchant_id) !== String(this.merchant_id)
+    ) {
+      throw new PayWayCallbackError(
+        `Callback is for merchant ${raw.merchant_id}, not ${this.merchant_id}`,
+        raw
+      );
+    }
+
+    return {
+      raw,
+      signature,
+      values: fields.map((field) =>
+        raw[field] == null ? "" : String(raw[field])
+      ),
+    };
+  }
+
+  /**
+   * Current time according to the client's clock, shifted by the measured
+   * clock skew when `detectClockSkew` is enabled.
+   * @returns {Date}
+   * @private
    */
-  constructor(message, response = null, statusCode = null) {
-    super(message);
-    this.name = "PayWayError";
-    this.errorCode = response?.code || null;
-    this.statusCode = statusCode;
-    this.details = response || null;
-    this.response = response; // For backward compatibility
-    Error.captureStackTrace(this, this.constructor);
+  _now() {
+    return new Date(Number(this._clock()) + this.clock_offset);
   }
-}
 
-/**
- * Custom error class for PayWay network/request errors
- */
-class PayWayRequestError extends PayWayError {
   /**
-   * @param {string} message - Error message
-   * @param {Error} [originalError] - Original error object
+   * Records PayWay's clock skew from a response and, with
+   * `detectClockSkew`, shifts `req_time` to match when it is a second or
+   * more off.
+   * @returns {boolean} Whether the offset changed
+   * @private
    */
-  constructor(message, originalError = null) {
-    super(message);
-    this.name = "PayWayRequestError";
-    this.originalError = originalError;
+  _observe_clock(headers, sent_at, received_at) {
+    const skew = measure_clock_skew(headers, sent_at, received_at);
+    if (skew == null) return false;
+    this.clock_skew = skew;
+    if (!this._detect_clock_skew || Math.abs(skew - this.clock_offset) < 1000) {
+      return false;
+    }
+    this.clock_offset = skew;
+    return true;
   }
-}
 
-exports.PayWayError = PayWayError;
-exports.PayWayRequestError = PayWayRequestError;
+  /**
+   * Posts a request, retrying transient failures according to the client's
+   * retry policy. The payload is rebuilt for every attempt so that each one
+   * gets a fresh `req_time` and hash. A request rejected for its `req_time`
+   * is sent once more when `detectClockSkew` corrected the clock meanwhile.
+   * Responses with a failing in-body status code are treated as errors.
+   * @param {string} endpoint - API endpoint path, with a spec in SIGNING_SPECS
+   * @param {object} params - Request parameters, signed with the endpoint's spec
+   * @param {object} [options={}]
+   * @param {boolean} [options.idempotent=false] - Whether the call can be repeated safely
+   * @param {(error: Error) => Promise<boolean>} [options.can_retry] - For non-idempotent calls, confirms a retry is safe
+   * @param {AbortSignal} [options.signal] - Cancels the request and any pending retry
+   * @returns {Promise<object>} HTTP client response
+   * @private
+   */
+  async _post(
+    endpoint,
+    params,
+    { idempotent = false, can_retry, signal } = {}
+  ) {
+    const policy = this._retry;
+    let clock_corrected = false;
 
-class PayWayClient {
-  constructor(base_url, merchant_id, api_key, client_factory) {
-    this.base_url = base_url;
-    this.merchant_id = merchant_id;
-    this.api_key = api_key;
+    for (let attempt = 1; ; attempt++) {
+      const payload = await this._sign(endpoint, params);
+      const fields = Object.fromEntries(payload);
+      const started = performance.now();
+      const sent_at = Number(this._clock());
+      await this._emit("onRequest", { endpoint, attempt, fields });
 
-    if (typeof client_factory === "function") {
-      this._client = client_factory(this);
-    } else {
-      this._client = axios.create({
-        baseURL: base_url,
-        headers: { "Content-Type": "multipart/form-data" },
-      });
+      try {
+        const response = signal
+          ? await this._client.post(endpoint, payload, { signal })
+          : await this._client.post(endpoint, payload);
+        this._observe_clock(response?.headers, sent_at, Number(this._clock()));
+        if (has_failing_status(response?.data)) {
+          const status = response.data.status;
+          const error = new Error(
+            status.message || `PayWay status code ${status.code}`
+          );
+          error.response = {
+            status: response.status,
+            headers: response.headers,
+            data: response.data,
+          };
+          throw error;
+        }
+        await this._emit("onResponse", {
+          endpoint,
+          attempt,
+          fields,
+          status: response?.status ?? null,
+          body: response?.data,
+          duration: performance.now() - started,
+        });
+        return response;
+      } catch (error) {
+        error.endpoint = endpoint;
+        await this._emit("onError", {
+          endpoint,
+          attempt,
+          fields,
+          status: error.response?.status ?? null,
+          body: error.response?.data,
+          duration: performance.now() - started,
+          error,
+        });
+
+        const adjusted = this._observe_clock(
+          error.response?.headers,
+          sent_at,
+          Number(this._clock())
+        );
+        if (is_clock_rejection(error)) {
+          error.req_time = fields.req_time;
+          if (adjusted && !clock_corrected) {
+            clock_corrected = true;
+            continue;
+          }
+        }
+
+        if (
+          attempt >= policy.maxAttempts ||
+          !is_transient_error(error, policy) ||
+          !(idempotent || (can_retry && (await can_retry(error))))
+        ) {
+          throw error;
+        }
+
+        const delay = backoff_delay(attempt, policy);
+        if (typeof policy.onRetry === "function") {
+          await policy.onRetry({ endpoint, attempt, delay, error });
+        }
+        await sleep(delay, signal);
+      }
     }
   }
 
   /**
-   * Creates a SHA512 HMAC hash from an array of string values.
-   * @param {string[]} values - Array of string values to hash
-   * @returns {string} Base64-encoded hash
+   * Calls every hook registered for `name`. Errors thrown by hooks are
+   * ignored so that logging can never break a payment.
+   * @param {"onRequest"|"onResponse"|"onError"} name - Hook name
+   * @param {object} event - Hook event
+   * @private
    */
-  create_hash(values) {
-    const data = values.join("");
-    return createHmac("sha512", this.api_key).update(data).digest("base64");
+  async _emit(name, event) {
+    for (const hooks of this._hooks) {
+      if (typeof hooks[name] !== "function") continue;
+      try {
+        await hooks[name](event);
+      } catch (error) {
+        // Hooks are observers only.
+      }
+    }
   }
 
   /**
-   * Creates a FormData payload with required authentication fields.
-   * @param {string[]} hash_values - Array of values to be used for hash generation in correct order
-   * @param {object} [body={}] - Request body parameters
-   * @param {Date} [date=new Date()] - Date to use for req_time
-   * @returns {FormData} FormData object with all required fields including hash
+   * Confirms through check_transaction that a transaction was not created,
+   * which makes it safe to retry create_transaction. Only PayWay's not-found
+   * body codes count; an HTTP 404 alone may come from a proxy or a wrong URL.
+   * @param {string} tran_id - Transaction ID
+   * @returns {Promise<boolean>} True only if PayWay reports the transaction as not found
+   * @private
    */
-  create_payload(hash_values, body = {}, date = new Date()) {
-    body = Object.fromEntries(
-      Object.entries(body).filter(([k, v]) => v != null)
-    );
-
-    const req_time = format(date, "yyyyMMddHHmmss");
-    const merchant_id = this.merchant_id;
-    const formData = new FormData();
-
-    const hash = this.create_hash([req_time, merchant_id, ...hash_values]);
+  async _transaction_missing(tran_id) {
+    try {
+      await this.check_transaction(tran_id);
+      return false;
+    } catch (error) {
+      return (
+        error instanceof PayWayNotFoundError &&
+        TRANSACTION_NOT_FOUND_CODES.includes(error.errorCode)
+      );
+    }
+  }
 
-    formData.append("req_time", req_time);
-    formData.append("merchant_id", merchant_id);
+  /**
+   * Internal error handler to reduce duplication
+   * @param {Error} error - Error thrown by the HTTP client
+   * @param {Array<{ErrorClass: Function, codes: string[], pattern: RegExp, statuses?: number[]}>} [known_errors=[]] - Endpoint-specific error mappings
+   * @private
+   */
+  _handle_error(error, known_errors = []) {
+    if (error.response && is_clock_rejection(error)) {
+      const skew = this.clock_skew;
+      const drift =
+        skew == null
+          ? ""
+          : `, its clock is ${Math.round(Math.abs(skew) / 1000)}s ${
+              skew > 0 ? "ahead of" : "behind"
+            } this client`;
+      throw new PayWayClockSkewError(
+        `PayWay rejected the request time${
+          error.req_time ? ` ${error.req_time}` : ""
+        } (${this.time_zone})${drift}. Check the system clock and the timeZone option, or enable detectClockSkew`,
+        error.response.data,
+        error.response.status,
+        {
+          reqTime: error.req_time ?? null,
+          skew,
+          timeZone: this.time_zone,
+          requestId: response_request_id(error.response),
+        }
+      );
+    }
 
-    for (const [key, value] of Object.entries(body)) {
-      formData.append(key, value);
+    if (error.response) {
+      const statusCode = error.response.status;
+      const errorData = error.response.data;
+      const code = errorData?.code ?? errorData?.status?.code;
+      const message = errorData?.message ?? errorData?.status?.message;
+      const candidates =
+        statusCode < 500 ? [...known_errors, ...API_ERRORS] : known_errors;
+      const known = candidates.find(
+        ({ codes, pattern, statuses = [] }) =>
+          (code != null && codes.includes(String(code))) ||
+          pattern.test(message ?? "") ||
+          statuses.includes(statusCode)
+      );
+      const ErrorClass = known ? known.ErrorClass : PayWayError;
+      throw new ErrorClass(
+        `PayWay API error: ${message || error.message || "Unknown error"}`,
+        errorData,
+        statusCode,
+        {
+          requestId: response_request_id(error.response),
+          field:
+            ErrorClass === PayWayValidationError
+              ? rejected_field(errorData, error.endpoint)
+              : undefined,
+          retryAfter: retry_after(error.response.headers),
+        }
+      );
     }
 
-    formData.append("hash", hash);
-    return formData;
+    switch (classify_error(error)) {
+      case "timeout":
+        throw new PayWayRequestError(
+          `Timeout: No response received from PayWay API in time`,
+          error,
+          { isTimeout: true }
+        );
+      case "aborted":
+        throw new PayWayRequestError(`Request aborted`, error, {
+          isAborted: true,
+        });
+      case "network":
+        throw new PayWayRequestError(
+          `Network error: No response received from PayWay API`,
+          error,
+          { isRetryable: true }
+        );
+      default:
+        throw new PayWayRequestError(`Request error: ${error.message}`, error);
+    }
   }
+}
+
+/**
+ * Client options every merchant shares through the registry's transport.
+ * @private
+ */
+const SHARED_TRANSPORT_OPTIONS = ["timeout", "httpAgent", "httpsAgent"];
 
+/**
+ * Holds the PayWay profiles of several merchants (environment, credentials
+ * and client options) and hands out one client per merchant. All clients
+ * send their requests through a single transport, so connection pools are
+ * shared across merchants. Incoming callbacks are verified with the
+ * credentials of the merchant named in their `merchant_id`, which makes the
+ * registry usable wherever a client verifies callbacks, e.g.
+ * `http_callback_handler(registry, handler)`.
+ */
+class PayWayMerchantRegistry {
   /**
-   * Creates a new payment transaction.
-   * @param {object} [options={}] - Transaction options
-   * @param {string} options.tran_id - Transaction ID (unique identifier, required)
-   * @param {string} options.payment_option - Payment method (e.g., "abapay", "cards", required)
-   * @param {number|string} options.amount - Transaction amount (required)
-   * @param {string} options.currency - Currency code ("USD" or "KHR", required)
-   * @param {string} [options.return_url] - URL to redirect after payment (base64 encoded automatically)
-   * @param {string|object} [options.return_deeplink] - Deeplink for mobile apps (base64 encoded automatically)
-   * @param {string} [options.continue_success_url] - URL to continue after successful payment
-   * @param {string} [options.pwt] - Payment window type
-   * @param {string} [options.firstname] - Customer first name
-   * @param {string} [options.lastname] - Customer last name
-   * @param {string} [options.email] - Customer email
-   * @param {string} [options.phone] - Customer phone number
-   * @param {string|object} [options.items] - Order items (will be base64 encoded JSON)
-   * @param {string} [options.type="purchase"] - Transaction type
-   * @param {string} [options.custom_fields] - Custom fields
-   * @returns {Promise<object>} API response data with payment URL or deeplink
+   * @param {object} [options={}]
+   * @param {object[]} [options.merchants=[]] - Merchant profiles, as accepted by {@link add}
+   * @param {object} [options.defaults={}] - Client options applied to every merchant, overridden by the profile's own
+   * @param {{request: Function}} [options.transport] - Shared HTTP transport; defaults to axios when installed, fetch otherwise
+   * @param {number} [options.timeout] - Request timeout in milliseconds, for the default transport
+   * @param {object} [options.httpAgent] - Agent for http:// requests, for the default transport
+   * @param {object} [options.httpsAgent] - Agent for https:// requests, for the default transport
    */
-  async create_transaction({
-    tran_id,
-    payment_option,
-    amount,
-    currency,
-    return_url,
-    return_deeplink,
-    continue_success_url,
-    pwt,
-    firstname,
-    lastname,
-    email,
-    phone,
-    items,
-    type = "purchase",
-    custom_fields,
+  constructor({
+    merchants = [],
+    defaults = {},
+    transport,
+    timeout,
+    httpAgent,
+    httpsAgent,
   } = {}) {
-    // Parameter validation
-    if (!tran_id || typeof tran_id !== "string") {
+    if (timeout != null && !(Number.isInteger(timeout) && timeout > 0)) {
       throw new Error(
-        "create_transaction: tran_id is required and must be a string"
+        "PayWayMerchantRegistry: timeout must be a positive integer (milliseconds)"
       );
     }
-    if (!payment_option || typeof payment_option !== "string") {
+    const shared = SHARED_TRANSPORT_OPTIONS.filter(
+      (option) => defaults[option] !== undefined
+    );
+    if (shared.length > 0) {
       throw new Error(
-        "create_transaction: payment_option is required and must be a string"
+        `PayWayMerchantRegistry: set ${shared.join(", ")} on the registry, not in defaults`
       );
     }
-    if (amount === undefined || amount === null) {
-      throw new Error("create_transaction: amount is required");
+
+    this.defaults = defaults;
+    this.transport =
+      transport ??
+      (runtime.load_axios()
+        ? axios_transport({ timeout, httpAgent, httpsAgent })
+        : fetch_transport({ timeout }));
+    this._clients = new Map();
+    for (const profile of merchants) this.add(profile);
+  }
+
+  /**
+   * Adds a merchant profile. The profile is validated like
+   * `PayWayClient.create` options.
+   * @param {object} profile - Merchant profile
+   * @param {"sandbox"|"production"} profile.environment - PayWay environment (required)
+   * @param {string} profile.merchantId - Merchant ID (required)
+   * @param {string} profile.apiKey - API key (required)
+   * @param {string} [profile.baseUrl] - Overrides the environment's base URL
+   * @returns {PayWayClient} The merchant's client
+   * @throws {Error} When the profile is invalid or the merchant is already registered
+   */
+  add({ merchantId, ...profile } = {}) {
+    if (this._clients.has(merchantId)) {
+      throw new Error(
+        `PayWayMerchantRegistry.add: merchant "${merchantId}" is already registered`
+      );
     }
-    if (!currency || (currency !== "USD" && currency !== "KHR")) {
+    const shared = SHARED_TRANSPORT_OPTIONS.filter(
+      (option) => profile[option] !== undefined
+    );
+    if (shared.length > 0) {
       throw new Error(
-        'create_transaction: currency is required and must be "USD" or "KHR"'
+        `PayWayMerchantRegistry.add: ${shared.join(", ")} are shared by all merchants; set them on the registry`
       );
     }
 
-    try {
-      function base64(d) {
-        return Buffer.from(d).toString("base64");
-      }
+    const { environment, apiKey, baseUrl, ...options } = profile;
+    const problems = check_client_config({
+      environment,
+      merchantId,
+      apiKey,
+      baseUrl,
+    });
+    if (problems.length > 0) {
+      throw new Error(`PayWayMerchantRegistry.add: ${problems.join("; ")}`);
+    }
 
-      let encoded_return_url = return_url;
-      if (typeof return_url === "string")
-        encoded_return_url = base64(return_url);
+    const client = new PayWayClient(
+      baseUrl ?? ENVIRONMENTS[environment],
+      merchantId,
+      apiKey,
+      { transport: this.transport, ...this.defaults, ...options }
+    );
+    this._clients.set(merchantId, client);
+    return client;
+  }
 
-      let encoded_return_deeplink = return_deeplink;
-      if (typeof return_deeplink === "string")
-        encoded_return_deeplink = base64(return_deeplink);
-      if (typeof return_deeplink === "object" && return_deeplink != null)
-        encoded_return_deeplink = base64(JSON.stringify(return_deeplink));
+  /**
+   * Removes a merchant profile. Clients already handed out keep working.
+   * @param {string} merchantId - Merchant ID
+   * @returns {boolean} Whether the merchant was registered
+   */
+  remove(merchantId) {
+    return this._clients.delete(merchantId);
+  }
 
-      let encoded_items = items;
-      if (typeof items === "object" && items != null)
-        encoded_items = base64(JSON.stringify(items));
-      else if (typeof items === "string") encoded_items = base64(items);
+  /**
+   * Tells whether a merchant is registered.
+   * @param {string} merchantId - Merchant ID
+   * @returns {boolean}
+   */
+  has(merchantId) {
+    return this._clients.has(merchantId);
+  }
 
-      const payloadData = {
-        tran_id,
-        amount,
-        pwt,
-        firstname: trim(firstname),
-        lastname: trim(lastname),
-        email: trim(email),
-        phone: trim(phone),
-        items: encoded_items,
-        type,
-        payment_option,
-        return_url: encoded_return_url,
-        continue_success_url,
-        return_deeplink: encoded_return_deeplink,
-        currency,
-        custom_fields,
-      };
+  /**
+   * Registered merchant IDs, in the order they were added.
+   * @returns {string[]}
+   */
+  merchants() {
+    return [...this._clients.keys()];
+  }
 
-      const hashValues = [
-        payloadData.tran_id,
-        payloadData.amount,
-        payloadData.items ?? "",
-        payloadData.firstname ?? "",
-        payloadData.lastname ?? "",
-        payloadData.email ?? "",
-        payloadData.phone ?? "",
-        payloadData.type ?? "",
-        payloadData.payment_option ?? "",
-        payloadData.continue_success_url ?? "",
-        payloadData.return_url ?? "",
-        payloadData.return_deeplink ?? "",
-        payloadData.currency ?? "",
-        payloadData.custom_fields ?? "",
-        payloadData.pwt ?? "",
-      ].map((v) => (v == null ? "" : String(v)));
-
-      const response = await this._client.post(
-        "/api/payment-gateway/v1/payments/purchase",
-        this.create_payload(hashValues, payloadData)
+  /**
+   * Returns the client of a merchant, signing with its credentials.
+   * @param {string} merchantId - Merchant ID
+   * @returns {PayWayClient}
+   * @throws {Error} When the merchant is not registered
+   */
+  for(merchantId) {
+    const client = this._clients.get(merchantId);
+    if (!client) {
+      throw new Error(
+        `PayWayMerchantRegistry.for: unknown merchant "${merchantId}"`
       );
-
-      return response.data;
-    } catch (error) {
-      this._handle_error(error);
     }
+    return client;
   }
 
   /**
-   * Checks the status of a transaction by transaction ID.
-   * @param {string} tran_id - Transaction ID to check (required)
-   * @returns {Promise<object>} API response data with transaction status and details
+   * Verifies a payment callback with the credentials of the merchant named
+   * in its `merchant_id`.
+   * @param {string|Uint8Array|URLSearchParams|object} payload - Callback body, raw or parsed
+   * @param {object} [headers={}] - Request headers, used when the hash is sent as a header
+   * @returns {object} Verified callback, as returned by `PayWayClient#verify_callback`
+   * @throws {PayWayCallbackError} When the merchant is unknown or the hash does not match
    */
-  async check_transaction(tran_id) {
-    if (!tran_id || typeof tran_id !== "string") {
-      throw new Error(
-        "check_transaction: tran_id is required and must be a string"
+  verify_callback(payload, headers = {}) {
+    const [client, raw] = this._callback_client(payload);
+    return client.verify_callback(raw, headers);
+  }
+
+  /**
+   * Asynchronous version of {@link verify_callback}, for runtimes without
+   * synchronous HMAC.
+   * @param {string|Uint8Array|URLSearchParams|object} payload - Callback body, raw or parsed
+   * @param {object} [headers={}] - Request headers, used when the hash is sent as a header
+   * @returns {Promise<object>} Verified callback
+   * @throws {PayWayCallbackError} When the merchant is unknown or the hash does not match
+   */
+  async verify_callback_async(payload, headers = {}) {
+    const [client, raw] = this._callback_client(payload);
+    return client.verify_callback_async(raw, headers);
+  }
+
+  /**
+   * Verifies a card token callback with the credentials of the merchant
+   * named in its `merchant_id`.
+   * @param {string|Uint8Array|URLSearchParams|object} payload - Callback body, raw or parsed
+   * @param {object} [headers={}] - Request headers, used when the hash is sent as a header
+   * @returns {object} Verified callback, as returned by `PayWayClient#verify_card_callback`
+   * @throws {PayWayCallbackError} When the merchant is unknown or the hash does not match
+   */
+  verify_card_callback(payload, headers = {}) {
+    const [client, raw] = this._callback_client(payload);
+    return client.verify_card_callback(raw, headers);
+  }
+
+  /**
+   * Asynchronous version of {@link verify_card_callback}.
+   * @param {string|Uint8Array|URLSearchParams|object} payload - Callback body, raw or parsed
+   * @param {object} [headers={}] - Request headers, used when the hash is sent as a header
+   * @returns {Promise<object>} Verified callback
+   * @throws {PayWayCallbackError} When the merchant is unknown or the hash does not match
+   */
+  async verify_card_callback_async(payload, headers = {}) {
+    const [client, raw] = this._callback_client(payload);
+    return client.verify_card_callback_async(raw, headers);
+  }
+
+  /**
+   * Parses a callback and finds the client of its merchant.
+   * @private
+   */
+  _callback_client(payload) {
+    const raw = parse_callback_body(payload);
+    if (raw.merchant_id == null || raw.merchant_id === "") {
+      throw new PayWayCallbackError("Callback merchant_id is missing", raw);
+    }
+    const client = this._clients.get(String(raw.merchant_id));
+    if (!client) {
+      throw new PayWayCallbackError(
+        `Callback is for unknown merchant ${raw.merchant_id}`,
+        raw
       );
     }
+    return [client, raw];
+  }
+}
+
+exports.PayWayClient = PayWayClient;
+exports.PayWayMerchantRegistry = PayWayMerchantRegistry;
+exports.render_qr = render_qr;
+exports.khqr_frame_dimensions = khqr_frame_dimensions;
+
+/**
+ * Reads the full body of a Node.js request stream.
+ * @private
+ */
+function read_body(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(Buffer.from(chunk)));
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Tells whether a Node.js request stream was already read to the end, e.g.
+ * by a body parser. Reading it again would never finish. `req.complete` is
+ * not enough: it is set once the body has arrived, even if nobody read it.
+ * @private
+ */
+function body_consumed(req) {
+  return Boolean(req.readableEnded);
+}
+
+/**
+ * Writes a JSON response on a Node.js ServerResponse.
+ * @private
+ */
+function send_json(res, statusCode, body) {
+  if (res.headersSent || res.writableEnded) return;
+  res.statusCode = statusCode;
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify(body));
+}
 
+/**
+ * Creates a Node.js `http` request listener that verifies PayWay callbacks.
+ * Forged or malformed callbacks are answered with 401. Verified callbacks are
+ * passed to `handler`; a 200 response is sent unless the handler responds itself.
+ * @param {{ verify_callback: Function }} verifier - A PayWayClient, a PayWayMerchantRegistry, or anything exposing `verify_callback`
+ * @param {(event: object, req: object, res: object) => any} handler - Called with the verified callback
+ * @returns {(req: object, res: object) => Promise<void>} Request listener
+ */
+function http_callback_handler(verifier, handler) {
+  return async (req, res) => {
+    let event;
     try {
-      const response = await this._client.post(
-        "/api/payment-gateway/v1/payments/check-transaction",
-        this.create_payload([String(tran_id)], { tran_id })
-      );
-      return response.data;
+      const body =
+        req.body !== undefined || body_consumed(req)
+          ? (req.body ?? {})
+          : await read_body(req);
+      event = await verifier.verify_callback(body, req.headers);
     } catch (error) {
-      this._handle_error(error);
+      if (!(error instanceof PayWayCallbackError)) {
+        return send_json(res, 500, { message: "Callback verification failed" });
+      }
+      return send_json(res, 401, { message: error.message });
     }
-  }
 
-  /**
-   * Retrieves a list of transactions based on filter criteria.
-   * @param {object} [options={}] - Filter options (all optional)
-   * @returns {Promise<object>} API response data with transaction list and pagination info
-   */
-  async transaction_list({
-    from_date,
-    to_date,
-    from_amount,
-    to_amount,
-    status,
-  } = {}) {
-    if (from_date && typeof from_date !== "string") {
-      throw new Error(
-        "transaction_list: from_date must be a string in YYYYMMDD format"
-      );
+    try {
+      await handler(event, req, res);
+      send_json(res, 200, { status: "ok" });
+    } catch (error) {
+      send_json(res, 500, { message: "Callback handler failed" });
     }
-    if (to_date && typeof to_date !== "string") {
-      throw new Error(
-        "transaction_list: to_date must be a string in YYYYMMDD format"
-      );
+  };
+}
+
+/**
+ * Creates an Express middleware that verifies PayWay callbacks. Works with or
+ * without `express.json()` / `express.urlencoded()` mounted in front of it.
+ * Errors thrown by `handler` are forwarded to `next`.
+ * @param {{ verify_callback: Function }} verifier - A PayWayClient, a PayWayMerchantRegistry, or anything exposing `verify_callback`
+ * @param {(event: object, req: object, res: object) => any} handler - Called with the verified callback
+ * @returns {(req: object, res: object, next: Function) => Promise<void>} Express middleware
+ */
+function express_callback_handler(verifier, handler) {
+  return async (req, res, next) => {
+    let event;
+    try {
+      const parsed =
+        req.body !== undefined &&
+        !(
+          req.body !== null &&
+          typeof req.body === "object" &&
+          Object.keys(req.body).length === 0
+        );
+      const body =
+        parsed || body_consumed(req) ? (req.body ?? {}) : await read_body(req);
+      event = await verifier.verify_callback(body, req.headers);
+    } catch (error) {
+      if (!(error instanceof PayWayCallbackError)) return next(error);
+      return send_json(res, 401, { message: error.message });
     }
 
     try {
-      const payloadData = {
-        from_date,
-        to_date,
-        from_amount,
-        to_amount,
-        status,
-      };
+      await handler(event, req, res);
+      send_json(res, 200, { status: "ok" });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
 
-      const hashValues = [
-        payloadData.from_date ?? "",
-        payloadData.to_date ?? "",
-        payloadData.from_amount ?? "",
-        payloadData.to_amount ?? "",
-        payloadData.status ?? "",
-      ].map((v) => (v == null ? "" : String(v)));
+/**
+ * Creates a Fastify route handler that verifies PayWay callbacks. Register a
+ * form body parser (e.g. `@fastify/formbody`) if PayWay posts url-encoded data.
+ * @param {{ verify_callback: Function }} verifier - A PayWayClient, a PayWayMerchantRegistry, or anything exposing `verify_callback`
+ * @param {(event: object, request: object, reply: object) => any} handler - Called with the verified callback
+ * @returns {(request: object, reply: object) => Promise<any>} Fastify route handler
+ */
+function fastify_callback_handler(verifier, handler) {
+  return async (request, reply) => {
+    let event;
+    try {
+      event = await verifier.verify_callback(request.body, request.headers);
+    } catch (error) {
+      if (!(error instanceof PayWayCallbackError)) throw error;
+      return reply.code(401).send({ message: error.message });
+    }
 
-      const response = await this._client.post(
-        "/api/payment-gateway/v1/payments/transaction-list",
-        this.create_payload(hashValues, payloadData)
-      );
-      return response.data;
+    const result = await handler(event, request, reply);
+    if (reply.sent) return reply;
+    return result === undefined ? { status: "ok" } : result;
+  };
+}
+
+/**
+ * Creates a Web `fetch` handler (`Request` in, `Response` out) that verifies
+ * PayWay callbacks, for Cloudflare Workers, Vercel Edge, Deno, Bun and other
+ * Web runtimes. Forged or malformed callbacks are answered with 401. A
+ * `Response` returned by `handler` is sent as is; otherwise a 200 JSON body.
+ * @param {{ verify_callback: Function, verify_callback_async?: Function }} verifier - A PayWayClient, a PayWayMerchantRegistry, or anything exposing `verify_callback`
+ * @param {(event: object, request: Request) => any} handler - Called with the verified callback
+ * @returns {(request: Request) => Promise<Response>} Fetch handler
+ */
+function fetch_callback_handler(verifier, handler) {
+  return async (request) => {
+    let event;
+    try {
+      const body = await request.text();
+      event = verifier.verify_callback_async
+        ? await verifier.verify_callback_async(body, request.headers)
+        : await verifier.verify_callback(body, request.headers);
     } catch (error) {
-      this._handle_error(error);
+      if (!(error instanceof PayWayCallbackError)) {
+        return Response.json(
+          { message: "Callback verification failed" },
+          { status: 500 }
+        );
+      }
+      return Response.json({ message: error.message }, { status: 401 });
     }
-  }
 
-  /**
-   * Internal error handler to reduce duplication
-   * @private
-   */
-  _handle_error(error) {
-    if (error.response) {
-      const statusCode = error.response.status;
-      const errorData = error.response.data;
-      throw new PayWayError(
-        `PayWay API error: ${
-          errorData?.message || error.message || "Unknown error"
-        }`,
-        errorData,
-        statusCode
-      );
-    } else if (error.request) {
-      throw new PayWayRequestError(
-        `Network error: No response received from PayWay API`,
-        error
+    try {
+      const result = await handler(event, request);
+      if (result instanceof Response) return result;
+      return Response.json({ status: "ok" });
+    } catch (error) {
+      return Response.json(
+        { message: "Callback handler failed" },
+        { status: 500 }
       );
-    } else {
-      throw new PayWayRequestError(`Request error: ${error.message}`, error);
     }
-  }
+  };
 }
 
-exports.PayWayClient = PayWayClient;
+exports.http_callback_handler = http_callback_handler;
+exports.express_callback_handler = express_callback_handler;
+exports.fastify_callback_handler = fastify_callback_handler;
+exports.fetch_callback_handler = fetch_callback_handler;
@@ -4,7 +4,44 @@ import {
   trim,
   PayWayError,
   PayWayRequestError,
+  PayWayCallbackError,
+  PayWayAlreadyRefundedError,
+  PayWayRefundWindowExpiredError,
+  PayWayTimeoutError,
+  PayWayNotFoundError,
+  CALLBACK_HASH_FIELDS,
+  reconciliation_csv,
+  http_callback_handler,
+  express_callback_handler,
+  fastify_callback_handler,
+  date_windows,
+  normalize_amount,
+  to_minor_units,
+  from_minor_units,
+  line_item,
+  shipping_line,
+  discount_line,
+  items_total,
+  redact,
+  logger_hooks,
+  ENVIRONMENTS,
+  fetch_transport,
+  classify_error,
+  fetch_callback_handler,
+  CARD_CALLBACK_HASH_FIELDS,
+  SIGNING_SPECS,
+  PayWayClockSkewError,
+  format_req_time,
+  PayWayAuthError,
+  PayWayValidationError,
+  PayWayDuplicateTransactionError,
+  PayWayRateLimitError,
+  normalize_transaction,
+  transaction_status,
+  TransactionStatus,
+  PayWayMerchantRegistry,
 } from "./index.js";
+import { createServer } from "node:http";
 
 test("should trim", (t) => {
   t.is(trim("abc "), "abc");
@@ -485,3 +522,2660 @@ test("PayWayError should handle null response", (t) => {
   t.is(error.details, null);
   t.is(error.response, null);
 });
+
+// Callback verification tests
+function signed_callback(client, fields) {
+  const hash = client.create_hash(
+    CALLBACK_HASH_FIELDS.map((field) => fields[field] ?? "")
+  );
+  return { ...fields, hash };
+}
+
+test("verify_callback should accept a correctly signed callback", (t) => {
+  const client = new PayWayClient("http://example.com", "1", "1");
+  const payload = signed_callback(client, {
+    tran_id: "test-123",
+    apv: "123456",
+    status: "0",
+  });
+
+  const event = client.verify_callback(payload);
+
+  t.is(event.tran_id, "test-123");
+  t.is(event.apv, "123456");
+  t.is(event.status, "0");
+  t.is(event.merchant_id, null);
+  t.deepEqual(event.raw, payload);
+});
+
+test("verify_callback should parse JSON and url-encoded bodies", (t) => {
+  const client = new PayWayClient("http://example.com", "1", "1");
+  const payload = signed_callback(client, { tran_id: "test-123", status: "0" });
+
+  t.is(client.verify_callback(JSON.stringify(payload)).tran_id, "test-123");
+  t.is(
+    client.verify_callback(Buffer.from(new URLSearchParams(payload).toString()))
+      .tran_id,
+    "test-123"
+  );
+});
+
+test("verify_callback should read the hash from headers", (t) => {
+  const client = new PayWayClient("http://example.com", "1", "1");
+  const { hash, ...payload } = signed_callback(client, { tran_id: "test-123" });
+
+  const event = client.verify_callback(payload, {
+    "X-PayWay-HMAC-SHA512": hash,
+  });
+  t.is(event.tran_id, "test-123");
+});
+
+test("verify_callback should reject forged callbacks", (t) => {
+  const client = new PayWayClient("http://example.com", "1", "1");
+  const payload = signed_callback(client, { tran_id: "test-123", status: "0" });
+
+  t.throws(() => client.verify_callback({ ...payload, status: "1" }), {
+    instanceOf: PayWayCallbackError,
+    message: /does not match/,
+  });
+  t.throws(() => client.verify_callback({ tran_id: "test-123" }), {
+    instanceOf: PayWayCallbackError,
+    message: /hash is missing/,
+  });
+});
+
+test("verify_callback should reject callbacks for another merchant", (t) => {
+  const client = new PayWayClient("http://example.com", "1", "1");
+  const payload = signed_callback(client, {
+    tran_id: "test-123",
+    merchant_id: "2",
+  });
+
+  const error = t.throws(() => client.verify_callback(payload), {
+    instanceOf: PayWayCallbackError,
+  });
+  t.is(error.statusCode, 401);
+});
+
+test("http_callback_handler should verify callbacks end to end", async (t) => {
+  const client = new PayWayClient("http://example.com", "1", "1");
+  const events = [];
+  const server = createServer(
+    http_callback_handler(client, (event) => {
+      events.push(event);
+    })
+  );
+  await new Promise((resolve) => server.listen(0, resolve));
+  t.teardown(() => server.close());
+  const url = `http://127.0.0.1:${server.address().port}/`;
+
+  const payload = signed_callback(client, { tran_id: "test-123", status: "0" });
+  const ok = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+  });
+  t.is(ok.status, 200);
+
+  const forged = await fetch(url, {
+    method: "POST",
+    body: new URLSearchParams({ ...payload, tran_id: "other" }),
+  });
+  t.is(forged.status, 401);
+
+  t.is(events.length, 1);
+  t.is(events[0].tran_id, "test-123");
+});
+
+test("express_callback_handler should use a pre-parsed body", async (t) => {
+  const client = new PayWayClient("http://example.com", "1", "1");
+  const middleware = express_callback_handler(client, (event) => {
+    t.is(event.tran_id, "test-123");
+  });
+
+  const res = {
+    statusCode: 0,
+    setHeader() {},
+    end(body) {
+      this.body = body;
+    },
+  };
+  await middleware(
+    { body: signed_callback(client, { tran_id: "test-123" }), headers: {} },
+    res,
+    () => t.fail()
+  );
+  t.is(res.statusCode, 200);
+});
+
+test("callback handlers should read the body only when nothing else did", async (t) => {
+  const client = new PayWayClient("http://example.com", "1", "1");
+  const events = [];
+  const http_handler = http_callback_handler(client, (event) => {
+    events.push(event);
+  });
+  const middleware = express_callback_handler(client, () => t.fail());
+  const server = createServer(async (req, res) => {
+    if (req.url === "/parsed") {
+      // Like express.json() for a body it does not understand
+      for await (const chunk of req);
+      req.body = {};
+      return middleware(req, res, () => t.fail());
+    }
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    return http_handler(req, res);
+  });
+  await new Promise((resolve) => server.listen(0, resolve));
+  t.teardown(() => server.close());
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  const payload = signed_callback(client, { tran_id: "test-123", status: "0" });
+  const delayed = await fetch(`${url}/delayed`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+  });
+  t.is(delayed.status, 200);
+  t.is(events[0].tran_id, "test-123");
+
+  const parsed = await fetch(`${url}/parsed`, {
+    method: "POST",
+    body: "not json",
+  });
+  t.is(parsed.status, 401);
+});
+
+test("fastify_callback_handler should reply 401 on forged callbacks", async (t) => {
+  const client = new PayWayClient("http://example.com", "1", "1");
+  const handler = fastify_callback_handler(client, () => t.fail());
+
+  const reply = {
+    code(statusCode) {
+      this.statusCode = statusCode;
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  await handler({ body: { tran_id: "x", hash: "forged" }, headers: {} }, reply);
+  t.is(reply.statusCode, 401);
+  t.regex(reply.body.message, /does not match/);
+});
+
+// Refund tests
+test("refund_transaction should post a signed partial refund", async (t) => {
+  const mockClient = {
+    post: async (url, formData) => {
+      t.is(url, "/api/payment-gateway/v1/payments/refund");
+      t.is(formData.get("tran_id"), "test-123");
+      t.is(formData.get("refund_amount"), "25.50");
+
+      const client = new PayWayClient("http://example.com", "1", "1");
+      t.is(
+        formData.get("hash"),
+        client.create_hash([
+          formData.get("req_time"),
+          "1",
+          "test-123",
+          "25.50",
+          "",
+        ])
+      );
+      return { data: { tran_id: "test-123", refund_amount: "25.50" } };
+    },
+  };
+
+  const client = new PayWayClient(
+    "http://example.com",
+    "1",
+    "1",
+    () => mockClient
+  );
+
+  const result = await client.refund_transaction({
+    tran_id: "test-123",
+    refund_amount: 25.5,
+    captured_amount: "100.00",
+  });
+  t.is(result.refund_amount, "25.50");
+});
+
+test("refund_transaction should omit refund_amount for a full refund", async (t) => {
+  const mockClient = {
+    post: async (url, formData) => {
+      t.false(formData.has("refund_amount"));
+      return { data: { tran_id: "test-123" } };
+    },
+  };
+
+  const client = new PayWayClient(
+    "http://example.com",
+    "1",
+    "1",
+    () => mockClient
+  );
+
+  await client.refund_transaction({ tran_id: "test-123" });
+});
+
+test("refund_transaction should validate the refund amount", async (t) => {
+  const client = new PayWayClient("http://example.com", "1", "1");
+
+  await t.throwsAsync(async () => await client.refund_transaction({}), {
+    message: /tran_id is required/,
+  });
+  await t.throwsAsync(
+    async () =>
+      await client.refund_transaction({ tran_id: "test", refund_amount: -1 }),
+    { message: /positive number/ }
+  );
+  await t.throwsAsync(
+    async () =>
+      await client.refund_transaction({
+        tran_id: "test",
+        refund_amount: "100.01",
+        captured_amount: 100,
+      }),
+    { message: /must not exceed the captured amount/ }
+  );
+});
+
+test("refund_transaction should throw typed refund errors", async (t) => {
+  const respond = (data) => () => ({
+    post: async () => {
+      const error = new Error("Request failed");
+      error.response = { status: 400, data };
+      throw error;
+    },
+  });
+
+  const refunded = new PayWayClient(
+    "http://example.com",
+    "1",
+    "1",
+    respond({ code: "ALREADY_REFUNDED", message: "Transaction refunded" })
+  );
+  await t.throwsAsync(() => refunded.refund_transaction({ tran_id: "test" }), {
+    instanceOf: PayWayAlreadyRefundedError,
+  });
+
+  const expired = new PayWayClient(
+    "http://example.com",
+    "1",
+    "1",
+    respond({ message: "Refund window has expired" })
+  );
+  const error = await t.throwsAsync(
+    () => expired.refund_transaction({ tran_id: "test" }),
+    { instanceOf: PayWayRefundWindowExpiredError }
+  );
+  t.true(error instanceof PayWayError);
+  t.is(error.statusCode, 400);
+});
+
+// Pre-authorization tests
+test("create_transaction should sign pre-auth transactions", async (t) => {
+  const mockClient = {
+    post: async (url, formData) => {
+      t.is(formData.get("type"), "pre-auth");
+      return { data: { tran_id: "hold-1" } };
+    },
+  };
+
+  const client = new PayWayClient(
+    "http://example.com",
+    "1",
+    "1",
+    () => mockClient
+  );
+
+  await client.create_transaction({
+    tran_id: "hold-1",
+    payment_option: "cards",
+    amount: 100,
+    currency: "USD",
+    type: "pre-auth",
+  });
+});
+
+test("create_transaction should pass other transaction types through", async (t) => {
+  const mockClient = {
+    post: async (url, formData) => {
+      t.is(formData.get("type"), "installment");
+      return { data: { tran_id: "test" } };
+    },
+  };
+
+  const client = new PayWayClient(
+    "http://example.com",
+    "1",
+    "1",
+    () => mockClient
+  );
+
+  await client.create_transaction({
+    tran_id: "test",
+    payment_option: "cards",
+    amount: 100,
+    currency: "USD",
+    type: "installment",
+  });
+});
+
+test("complete_pre_auth should hash tran_id then amount", async (t) => {
+  const mockClient = {
+    post: async (url, formData) => {
+      t.is(url, "/api/payment-gateway/v1/payments/pre-auth-completion");
+      t.is(formData.get("complete_amount"), "80.00");
+
+      const client = new PayWayClient("http://example.com", "1", "1");
+      t.is(
+        formData.get("hash"),
+        client.create_hash([formData.get("req_time"), "1", "hold-1", "80.00"])
+      );
+      return { data: { tran_id: "hold-1", complete_amount: "80.00" } };
+    },
+  };
+
+  const client = new PayWayClient(
+    "http://example.com",
+    "1",
+    "1",
+    () => mockClient
+  );
+
+  const result = await client.complete_pre_auth("hold-1", 80);
+  t.is(result.complete_amount, "80.00");
+});
+
+test("refund and pre-auth completion amounts go through the money layer", async (t) => {
+  const calls = [];
+  const mockClient = {
+    post: async (url, formData) => {
+      calls.push({ url, fields: Object.fromEntries(formData) });
+      return { data: {} };
+    },
+  };
+
+  const client = new PayWayClient(
+    "http://example.com",
+    "1",
+    "1",
+    () => mockClient
+  );
+
+  await t.throwsAsync(
+    client.refund_transaction({ tran_id: "r-1", refund_amount: 0.1 + 0.2 }),
+    { message: /refund_amount must not have more than 2 decimal places/ }
+  );
+  await t.throwsAsync(client.complete_pre_auth("hold-1", 0.1 + 0.2), {
+    message: /amount must not have more than 2 decimal places/,
+  });
+  t.is(calls.length, 0);
+
+  await client.refund_transaction({ tran_id: "r-2", refund_amount: 0.3 });
+  await client.complete_pre_auth("hold-2", 10);
+  await client.complete_pre_auth("hold-3", 4000, { currency: "khr" });
+
+  t.is(calls[0].fields.refund_amount, "0.30");
+  t.is(calls[1].fields.complete_amount, "10.00");
+  t.is(
+    calls[1].fields.hash,
+    client.create_hash([calls[1].fields.req_time, "1", "hold-2", "10.00"])
+  );
+  t.is(calls[2].fields.complete_amount, "4000");
+  t.false("currency" in calls[2].fields);
+
+  await t.throwsAsync(
+    client.refund_transaction({
+      tran_id: "r-4",
+      refund_amount: 4100,
+      captured_amount: 4000,
+      currency: "KHR",
+    }),
+    { message: /must not exceed the captured amount/ }
+  );
+});
+
+test("complete_pre_auth should validate its arguments", async (t) => {
+  const client = new PayWayClient("http://example.com", "1", "1");
+
+  await t.throwsAsync(async () => await client.complete_pre_auth("", 10), {
+    message: /tran_id is required/,
+  });
+  await t.throwsAsync(async () => await client.complete_pre_auth("hold-1"), {
+    message: /amount is required/,
+  });
+});
+
+test("cancel_pre_auth should hash the tran_id", async (t) => {
+  const mockClient = {
+    post: async (url, formData) => {
+      t.is(url, "/api/payment-gateway/v1/payments/cancel-pre-auth");
+
+      const client = new PayWayClient("http://example.com", "1", "1");
+      t.is(
+        formData.get("hash"),
+        client.create_hash([formData.get("req_time"), "1", "hold-1"])
+      );
+      return { data: { tran_id: "hold-1", status: "CANCELLED" } };
+    },
+  };
+
+  const client = new PayWayClient(
+    "http://example.com",
+    "1",
+    "1",
+    () => mockClient
+  );
+
+  const result = await client.cancel_pre_auth("hold-1");
+  t.is(result.status, "CANCELLED");
+});
+
+test("cancel_pre_auth should throw PayWayError on API error", async (t) => {
+  const mockClient = {
+    post: async () => {
+      const error = new Error("Request failed");
+      error.response = { status: 400, data: { message: "Not a pre-auth" } };
+      throw error;
+    },
+  };
+
+  const client = new PayWayClient(
+    "http://example.com",
+    "1",
+    "1",
+    () => mockClient
+  );
+
+  await t.throwsAsync(async () => await client.cancel_pre_auth("hold-1"), {
+    instanceOf: PayWayError,
+  });
+});
+
+// Pagination tests
+function paged_client(pages, calls = []) {
+  return new PayWayClient("http://example.com", "1", "1", () => ({
+    post: async (url, formData) => {
+      const page = Number(formData.get("page"));
+      calls.push({
+        page,
+        pagination: formData.get("pagination"),
+        from_date: formData.get("from_date"),
+        to_date: formData.get("to_date"),
+      });
+      return { data: pages(page, calls.at(-1)) };
+    },
+  }));
+}
+
+test("iterate_transactions should yield every page until total_pages", async (t) => {
+  const calls = [];
+  const client = paged_client(
+    (page) => ({
+      transactions: [{ tran_id: `p${page}-a` }, { tran_id: `p${page}-b` }],
+      page,
+      total_pages: 3,
+    }),
+    calls
+  );
+
+  const ids = [];
+  for await (const transaction of client.iterate_transactions({
+    page_size: 2,
+  })) {
+    ids.push(transaction.tran_id);
+  }
+
+  t.deepEqual(ids, ["p1-a", "p1-b", "p2-a", "p2-b", "p3-a", "p3-b"]);
+  t.deepEqual(
+    calls.map((call) => call.page),
+    [1, 2, 3]
+  );
+  t.is(calls[0].pagination, "2");
+});
+
+test("iterate_transactions should stop on a short page", async (t) => {
+  const client = paged_client((page) => ({
+    data:
+      page === 1 ? [{ tran_id: "a" }, { tran_id: "b" }] : [{ tran_id: "c" }],
+  }));
+
+  const ids = [];
+  for await (const transaction of client.iterate_transactions({
+    page_size: 2,
+  })) {
+    ids.push(transaction.tran_id);
+  }
+  t.deepEqual(ids, ["a", "b", "c"]);
+});
+
+test("iterate_transactions should honour max_items", async (t) => {
+  const calls = [];
+  const client = paged_client(
+    (page) => ({ transactions: [{ tran_id: `${page}` }], total_pages: 100 }),
+    calls
+  );
+
+  const ids = [];
+  for await (const transaction of client.iterate_transactions({
+    page_size: 1,
+    max_items: 3,
+  })) {
+    ids.push(transaction.tran_id);
+  }
+  t.deepEqual(ids, ["1", "2", "3"]);
+  t.is(calls.length, 3);
+});
+
+test("iterate_transactions should stop when aborted", async (t) => {
+  const controller = new AbortController();
+  const client = paged_client(() => ({
+    transactions: [{ tran_id: "a" }],
+    total_pages: 100,
+  }));
+
+  const iterator = client.iterate_transactions({
+    page_size: 1,
+    signal: controller.signal,
+  });
+  t.is((await iterator.next()).value.tran_id, "a");
+  controller.abort();
+  const error = await iterator.next().catch((error) => error);
+  t.is(error.name, "AbortError");
+});
+
+test("iterate_transactions should list date windows in order", async (t) => {
+  const calls = [];
+  const client = paged_client(
+    (page, call) => ({ transactions: [{ tran_id: call.from_date }] }),
+    calls
+  );
+
+  const ids = [];
+  for await (const transaction of client.iterate_transactions({
+    from_date: "20240130",
+    to_date: "20240302",
+    window: "month",
+  })) {
+    ids.push(transaction.tran_id);
+  }
+
+  t.deepEqual(ids, ["20240130", "20240201", "20240301"]);
+  t.deepEqual(
+    calls.map((call) => [call.from_date, call.to_date]),
+    [
+      ["20240130", "20240131"],
+      ["20240201", "20240229"],
+      ["20240301", "20240302"],
+    ]
+  );
+});
+
+test("iterate_transactions should validate its options", async (t) => {
+  const client = new PayWayClient("http://example.com", "1", "1");
+
+  await t.throwsAsync(
+    () => client.iterate_transactions({ page_size: 0 }).next(),
+    { message: /page_size must be a positive integer/ }
+  );
+  await t.throwsAsync(
+    () => client.iterate_transactions({ window: "day" }).next(),
+    { message: /from_date and to_date are required/ }
+  );
+  for (const max_items of [0, -1, 2.5, "10", NaN]) {
+    await t.throwsAsync(
+      () => client.iterate_transactions({ max_items }).next(),
+      { message: /max_items must be a positive integer/ }
+    );
+  }
+  await t.throwsAsync(
+    () =>
+      client
+        .iterate_transactions({
+          from_date: "20240201",
+          to_date: "20240101",
+          window: "day",
+        })
+        .next(),
+    { message: /from_date must not be greater than to_date/ }
+  );
+});
+
+test("date_windows should split ranges into days", (t) => {
+  t.deepEqual(date_windows("20241231", "20250102", "day"), [
+    ["20241231", "20241231"],
+    ["20250101", "20250101"],
+    ["20250102", "20250102"],
+  ]);
+  t.throws(() => date_windows("2024-01-01", "20240102", "day"), {
+    message: /YYYYMMDD/,
+  });
+});
+
+// Retry tests
+function flaky_client(failures, options = {}) {
+  const calls = [];
+  const client = new PayWayClient("http://example.com", "1", "1", {
+    client_factory: () => ({
+      post: async (url, formData) => {
+        calls.push({
+          url,
+          req_time: formData.get("req_time"),
+          hash: formData.get("hash"),
+        });
+        const failure = failures[url]?.shift();
+        if (failure instanceof Error) throw failure;
+        return failure ?? { data: { tran_id: formData.get("tran_id") } };
+      },
+    }),
+    ...options,
+  });
+  return { client, calls };
+}
+
+function network_error() {
+  const error = new Error("socket hang up");
+  error.request = {};
+  return error;
+}
+
+function http_error(status, data = {}) {
+  const error = new Error("Request failed");
+  error.response = { status, data };
+  return error;
+}
+
+const CHECK_URL = "/api/payment-gateway/v1/payments/check-transaction";
+const PURCHASE_URL = "/api/payment-gateway/v1/payments/purchase";
+
+test("retries are disabled by default", async (t) => {
+  const { client, calls } = flaky_client({ [CHECK_URL]: [network_error()] });
+
+  await t.throwsAsync(() => client.check_transaction("test"), {
+    instanceOf: PayWayRequestError,
+  });
+  t.is(calls.length, 1);
+});
+
+test("check_transaction should retry transient failures", async (t) => {
+  const retries = [];
+  const { client, calls } = flaky_client(
+    { [CHECK_URL]: [network_error(), http_error(503)] },
+    {
+      retry: {
+        baseDelay: 0,
+        onRetry: (context) => retries.push(context),
+      },
+    }
+  );
+
+  const result = await client.check_transaction("test");
+
+  t.is(result.tran_id, "test");
+  t.is(calls.length, 3);
+  t.deepEqual(
+    retries.map(({ attempt, endpoint }) => [attempt, endpoint]),
+    [
+      [1, CHECK_URL],
+      [2, CHECK_URL],
+    ]
+  );
+});
+
+test("retries should stop after maxAttempts", async (t) => {
+  const { client, calls } = flaky_client(
+    { [CHECK_URL]: [http_error(502), http_error(502), http_error(502)] },
+    { retry: { maxAttempts: 2, baseDelay: 0 } }
+  );
+
+  const error = await t.throwsAsync(() => client.check_transaction("test"), {
+    instanceOf: PayWayError,
+  });
+  t.is(error.statusCode, 502);
+  t.is(calls.length, 2);
+});
+
+test("retries should skip non-transient status codes", async (t) => {
+  const { client, calls } = flaky_client(
+    { [CHECK_URL]: [http_error(400)] },
+    { retry: { baseDelay: 0 } }
+  );
+
+  await t.throwsAsync(() => client.check_transaction("test"), {
+    instanceOf: PayWayError,
+  });
+  t.is(calls.length, 1);
+});
+
+test("create_transaction should retry once the transaction is confirmed missing", async (t) => {
+  const { client, calls } = flaky_client(
+    {
+      [PURCHASE_URL]: [network_error()],
+      [CHECK_URL]: [
+        {
+          status: 200,
+          data: {
+            status: { code: "TXN_NOT_FOUND", message: "Transaction not found" },
+          },
+        },
+      ],
+    },
+    { retry: { baseDelay: 0 } }
+  );
+
+  const result = await client.create_transaction({
+    tran_id: "order-1",
+    payment_option: "abapay",
+    amount: 100,
+    currency: "USD",
+  });
+
+  t.is(result.tran_id, "order-1");
+  t.deepEqual(
+    calls.map((call) => call.url),
+    [PURCHASE_URL, CHECK_URL, PURCHASE_URL]
+  );
+});
+
+test("create_transaction should not retry when the transaction may exist", async (t) => {
+  const { client, calls } = flaky_client(
+    { [PURCHASE_URL]: [network_error()] },
+    { retry: { baseDelay: 0 } }
+  );
+
+  await t.throwsAsync(
+    () =>
+      client.create_transaction({
+        tran_id: "order-1",
+        payment_option: "abapay",
+        amount: 100,
+        currency: "USD",
+      }),
+    { instanceOf: PayWayRequestError }
+  );
+  t.deepEqual(
+    calls.map((call) => call.url),
+    [PURCHASE_URL, CHECK_URL]
+  );
+});
+
+test("create_transaction should not retry on a bare HTTP 404", async (t) => {
+  const { client, calls } = flaky_client(
+    {
+      [PURCHASE_URL]: [network_error()],
+      [CHECK_URL]: [http_error(404, { message: "Not Found" })],
+    },
+    { retry: { baseDelay: 0 } }
+  );
+
+  await t.throwsAsync(
+    () =>
+      client.create_transaction({
+        tran_id: "order-1",
+        payment_option: "abapay",
+        amount: 100,
+        currency: "USD",
+      }),
+    { instanceOf: PayWayRequestError }
+  );
+  t.deepEqual(
+    calls.map((call) => call.url),
+    [PURCHASE_URL, CHECK_URL]
+  );
+});
+
+test("refund_transaction should never be retried", async (t) => {
+  const refund_url = "/api/payment-gateway/v1/payments/refund";
+  const { client, calls } = flaky_client(
+    { [refund_url]: [network_error()] },
+    { retry: { baseDelay: 0 } }
+  );
+
+  await t.throwsAsync(() => client.refund_transaction({ tran_id: "test" }), {
+    instanceOf: PayWayRequestError,
+  });
+  t.is(calls.length, 1);
+});
+
+test("retries should sign every attempt afresh", async (t) => {
+  let now = Date.UTC(2023, 11, 31, 17, 0, 0);
+  const { client, calls } = flaky_client(
+    { [CHECK_URL]: [network_error()] },
+    {
+      retry: { baseDelay: 0, onRetry: () => (now += 5000) },
+      clock: () => now,
+    }
+  );
+
+  await client.check_transaction("test");
+
+  t.is(calls[0].req_time, "20240101000000");
+  t.is(calls[1].req_time, "20240101000005");
+  t.not(calls[0].hash, calls[1].hash);
+});
+
+test("retry policy should validate maxAttempts", (t) => {
+  t.throws(
+    () =>
+      new PayWayClient("http://example.com", "1", "1", {
+        retry: { maxAttempts: 0 },
+      }),
+    { message: /maxAttempts must be a positive integer/ }
+  );
+});
+
+// Money tests
+test("normalize_amount should format USD with two decimals", (t) => {
+  t.is(normalize_amount(10, "USD"), "10.00");
+  t.is(normalize_amount("10.5", "USD"), "10.50");
+  t.is(normalize_amount(" 0.10 ", "USD"), "0.10");
+  t.is(normalize_amount(1050n, "USD"), "10.50");
+});
+
+test("normalize_amount should format KHR as whole riels", (t) => {
+  t.is(normalize_amount(4000, "KHR"), "4000");
+  t.is(normalize_amount("4000.00", "KHR"), "4000");
+  t.throws(() => normalize_amount("4000.5", "KHR"), {
+    message: /more than 0 decimal places for KHR/,
+  });
+});
+
+test("normalize_amount should reject invalid amounts", (t) => {
+  t.throws(() => normalize_amount(0.1 + 0.2, "USD"), {
+    message: /more than 2 decimal places/,
+  });
+  t.throws(() => normalize_amount(-1, "USD"), {
+    message: /greater than zero/,
+  });
+  t.throws(() => normalize_amount(0, "USD"), { message: /greater than zero/ });
+  t.throws(() => normalize_amount(NaN, "USD"), { message: /finite number/ });
+  t.throws(() => normalize_amount("1e3", "USD"), {
+    message: /plain decimal number/,
+  });
+  t.is(normalize_amount(0, "USD", { allow_zero: true }), "0.00");
+});
+
+test("normalize_amount should enforce min and max", (t) => {
+  t.throws(() => normalize_amount("0.99", "USD", { min: 1 }), {
+    message: /at least 1 USD/,
+  });
+  t.throws(() => normalize_amount(10001, "USD", { max: "10000" }), {
+    message: /at most 10000 USD/,
+  });
+  t.is(normalize_amount(1, "USD", { min: 1, max: 1 }), "1.00");
+});
+
+test("minor unit helpers should round-trip", (t) => {
+  t.is(to_minor_units("12.34", "USD"), 1234n);
+  t.is(to_minor_units("-0.5", "USD"), -50n);
+  t.is(from_minor_units(1234n, "USD"), "12.34");
+  t.is(from_minor_units(5, "USD"), "0.05");
+  t.is(from_minor_units(-50n, "USD"), "-0.50");
+  t.is(from_minor_units(4000, "KHR"), "4000");
+});
+
+test("create_transaction should hash and send the same normalized amount", async (t) => {
+  const mockClient = {
+    post: async (url, formData) => {
+      t.is(formData.get("amount"), "0.30");
+
+      const client = new PayWayClient("http://example.com", "1", "1");
+      const hash = client.create_hash([
+        formData.get("req_time"),
+        "1",
+        formData.get("tran_id"),
+        "0.30",
+        "",
+        "",
+        "",
+        "",
+        "",
+        "purchase",
+        "abapay",
+        "",
+        "",
+        "",
+        "USD",
+        "",
+        "",
+      ]);
+      t.is(formData.get("hash"), hash);
+      return { data: {} };
+    },
+  };
+
+  const client = new PayWayClient(
+    "http://example.com",
+    "1",
+    "1",
+    () => mockClient
+  );
+
+  await client.create_transaction({
+    tran_id: "test",
+    payment_option: "abapay",
+    amount: 30n,
+    currency: "USD",
+  });
+});
+
+test("create_transaction should apply amountLimits", async (t) => {
+  const client = new PayWayClient("http://example.com", "1", "1", {
+    amountLimits: { KHR: { min: 100 } },
+  });
+
+  await t.throwsAsync(
+    () =>
+      client.create_transaction({
+        tran_id: "test",
+        payment_option: "abapay",
+        amount: 50,
+        currency: "KHR",
+      }),
+    { message: /create_transaction: amount must be at least 100 KHR/ }
+  );
+});
+
+test("transaction_list should normalize amount filters", async (t) => {
+  const mockClient = {
+    post: async (url, formData) => {
+      t.is(formData.get("from_amount"), "0.00");
+      t.is(formData.get("to_amount"), "99.90");
+      return { data: { transactions: [] } };
+    },
+  };
+
+  const client = new PayWayClient(
+    "http://example.com",
+    "1",
+    "1",
+    () => mockClient
+  );
+
+  await client.transaction_list({ from_amount: 0, to_amount: "99.9" });
+  await t.throwsAsync(
+    () => client.transaction_list({ from_amount: 10, to_amount: 5 }),
+    { message: /from_amount must not be greater than to_amount/ }
+  );
+  await t.throwsAsync(() => client.transaction_list({ to_amount: -5 }), {
+    message: /to_amount must be zero or more/,
+  });
+});
+
+test("transaction_list should format amount filters in their currency", async (t) => {
+  const mockClient = {
+    post: async (url, formData) => {
+      t.is(formData.get("from_amount"), "1000");
+      t.is(formData.get("to_amount"), "50000");
+      t.false(formData.has("currency"));
+
+      const client = new PayWayClient("http://example.com", "1", "1");
+      t.is(
+        formData.get("hash"),
+        client.create_hash([
+          formData.get("req_time"),
+          "1",
+          "",
+          "",
+          "1000",
+          "50000",
+          "",
+          "",
+          "",
+        ])
+      );
+      return { data: { transactions: [] } };
+    },
+  };
+
+  const client = new PayWayClient(
+    "http://example.com",
+    "1",
+    "1",
+    () => mockClient
+  );
+
+  await client.transaction_list({
+    from_amount: 1000,
+    to_amount: "50000",
+    currency: "khr",
+  });
+  await t.throwsAsync(
+    () => client.transaction_list({ from_amount: "10.5", currency: "KHR" }),
+    { message: /from_amount must not have more than 0 decimal places/ }
+  );
+});
+
+// Line item tests
+function items_client(t, check) {
+  return new PayWayClient("http://example.com", "1", "1", () => ({
+    post: async (url, formData) => {
+      check(
+        JSON.parse(Buffer.from(formData.get("items"), "base64").toString())
+      );
+      return { data: {} };
+    },
+  }));
+}
+
+test("items_total should add shipping and subtract discounts", (t) => {
+  const items = [
+    line_item("Coffee", 2, "3.50"),
+    line_item("Bagel", 1, 2),
+    shipping_line("1.25"),
+    discount_line("0.75", "Promo"),
+  ];
+  t.is(items_total(items, "USD"), "9.50");
+  t.is(items_total([line_item("Noodles", 3, 4000)], "KHR"), "12000");
+});
+
+test("create_transaction should send normalized items", async (t) => {
+  const client = items_client(t, (items) => {
+    t.deepEqual(items, [
+      { name: "Coffee", quantity: 2, price: "3.50" },
+      { name: "Shipping", quantity: 1, price: "1.00" },
+      { name: "Discount", quantity: 1, price: "-0.50" },
+    ]);
+  });
+
+  await client.create_transaction({
+    tran_id: "test",
+    payment_option: "abapay",
+    amount: "7.50",
+    currency: "USD",
+    items: [
+      line_item("Coffee", 2, 3.5),
+      shipping_line(1),
+      discount_line("0.50"),
+    ],
+  });
+});
+
+test("create_transaction should reject items that do not add up", async (t) => {
+  const client = new PayWayClient("http://example.com", "1", "1");
+
+  await t.throwsAsync(
+    () =>
+      client.create_transaction({
+        tran_id: "test",
+        payment_option: "abapay",
+        amount: 10,
+        currency: "USD",
+        items: [line_item("Coffee", 2, "3.50")],
+      }),
+    { message: /items total 7.00 does not match amount 10.00/ }
+  );
+});
+
+test("create_transaction should point to the offending item", async (t) => {
+  const client = new PayWayClient("http://example.com", "1", "1");
+  const create = (items, currency = "USD") =>
+    client.create_transaction({
+      tran_id: "test",
+      payment_option: "abapay",
+      amount: 1,
+      currency,
+      items,
+    });
+
+  await t.throwsAsync(
+    () => create([line_item("A", 1, 1), line_item("B", 0, 1)]),
+    { message: /items\[1\]\.quantity must be a positive integer/ }
+  );
+  await t.throwsAsync(() => create([line_item("A", 1.5, 1)]), {
+    message: /items\[0\]\.quantity must be a positive integer/,
+  });
+  await t.throwsAsync(() => create([line_item("A", 1, "0.5")], "KHR"), {
+    message: /items\[0\]\.price must not have more than 0 decimal places/,
+  });
+  await t.throwsAsync(() => create([line_item("x".repeat(256), 1, 1)]), {
+    message: /items\[0\]\.name must be at most 255 characters/,
+  });
+  await t.throwsAsync(() => create([{ name: "A", quantity: 1 }]), {
+    message: /items\[0\]\.price is required/,
+  });
+});
+
+// Checkout form tests
+const checkout_params = {
+  tran_id: "order-1",
+  payment_option: "cards",
+  amount: 10,
+  currency: "USD",
+  firstname: '"><script>alert(1)</script>',
+  return_url: "https://example.com/callback",
+};
+
+test("build_checkout_form should return the signed purchase fields", (t) => {
+  const client = new PayWayClient("https://example.com/", "1", "1");
+  const form = client.build_checkout_form(checkout_params);
+
+  t.is(
+    form.action,
+    "https://example.com/api/payment-gateway/v1/payments/purchase"
+  );
+  t.is(form.method, "POST");
+  t.is(form.fields.merchant_id, "1");
+  t.is(form.fields.amount, "10.00");
+  t.is(
+    form.fields.return_url,
+    Buffer.from("https://example.com/callback").toString("base64")
+  );
+
+  const expected = client.create_hash([
+    form.fields.req_time,
+    "1",
+    "order-1",
+    "10.00",
+    "",
+    checkout_params.firstname,
+    "",
+    "",
+    "",
+    "purchase",
+    "cards",
+    "",
+    form.fields.return_url,
+    "",
+    "USD",
+    "",
+    "",
+  ]);
+  t.is(form.fields.hash, expected);
+});
+
+test("build_checkout_form should validate like create_transaction", (t) => {
+  const client = new PayWayClient("https://example.com", "1", "1");
+
+  t.throws(() => client.build_checkout_form({ tran_id: "order-1" }), {
+    message: /build_checkout_form: payment_option is required/,
+  });
+});
+
+test("render_checkout_html should escape field values", (t) => {
+  const client = new PayWayClient("https://example.com", "1", "1");
+  const html = client.render_checkout_html(checkout_params, {
+    target: "payway-frame",
+  });
+
+  t.true(html.startsWith('<form id="payway-checkout"'));
+  t.true(html.includes('target="payway-frame"'));
+  t.true(
+    html.includes(
+      'name="firstname" value="&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;"'
+    )
+  );
+  t.false(html.includes("<script>"));
+});
+
+test("render_checkout_html should render an auto-submitting page", (t) => {
+  const client = new PayWayClient("https://example.com", "1", "1");
+  const html = client.render_checkout_html(checkout_params, {
+    autoSubmit: true,
+    nonce: "r4nd0m",
+  });
+
+  t.true(html.startsWith("<!DOCTYPE html>"));
+  t.true(
+    html.includes(
+      '<script nonce="r4nd0m">document.getElementById("payway-checkout").submit();</script>'
+    )
+  );
+});
+
+// Polling tests
+function status_client(statuses) {
+  let calls = 0;
+  const client = new PayWayClient("http://example.com", "1", "1", () => ({
+    post: async () => {
+      const status = statuses[Math.min(calls, statuses.length - 1)];
+      calls++;
+      return { data: { tran_id: "order-1", status } };
+    },
+  }));
+  return { client, calls: () => calls };
+}
+
+test("wait_for_transaction should resolve with the final status", async (t) => {
+  const { client, calls } = status_client(["PENDING", "PENDING", "APPROVED"]);
+
+  const result = await client.wait_for_transaction("order-1", {
+    interval: 1,
+  });
+  t.is(result.status, "APPROVED");
+  t.is(calls(), 3);
+});
+
+test("wait_for_transaction should reject with PayWayTimeoutError", async (t) => {
+  const { client } = status_client(["PENDING"]);
+
+  const error = await t.throwsAsync(
+    () => client.wait_for_transaction("order-1", { timeout: 30, interval: 5 }),
+    { instanceOf: PayWayTimeoutError }
+  );
+  t.is(error.tranId, "order-1");
+  t.is(error.lastResponse.status, "PENDING");
+  t.true(error instanceof PayWayError);
+});
+
+test("wait_for_transaction should stop when aborted", async (t) => {
+  const { client } = status_client(["PENDING"]);
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 10);
+
+  const error = await client
+    .wait_for_transaction("order-1", {
+      interval: 1000,
+      signal: controller.signal,
+    })
+    .catch((error) => error);
+  t.is(error.name, "AbortError");
+});
+
+test("watch_transaction should yield each status change once", async (t) => {
+  const { client } = status_client([
+    "PENDING",
+    "PENDING",
+    "pre-auth",
+    "PRE-AUTH",
+    "APPROVED",
+  ]);
+
+  const statuses = [];
+  for await (const change of client.watch_transaction("order-1", {
+    interval: 1,
+    backoff: 2,
+  })) {
+    statuses.push(change.status);
+  }
+  t.deepEqual(statuses, ["PENDING", "PRE-AUTH", "APPROVED"]);
+});
+
+test("wait_for_transaction should read the status from PayWay's envelope", async (t) => {
+  const envelope = (payment_status) => ({
+    data: {
+      data: { transaction_id: "order-1", payment_status },
+      status: { code: "00", message: "Success!" },
+    },
+  });
+  const responses = [envelope("PENDING"), envelope("APPROVED")];
+  let calls = 0;
+  const client = new PayWayClient("http://example.com", "1", "1", () => ({
+    post: async () => responses[Math.min(calls++, responses.length - 1)],
+  }));
+
+  const result = await client.wait_for_transaction("order-1", {
+    timeout: 1000,
+    interval: 1,
+  });
+  t.is(result.data.payment_status, "APPROVED");
+  t.is(calls, 2);
+  t.is(transaction_status(result), "APPROVED");
+});
+
+test("watch_transaction should validate its arguments", async (t) => {
+  const client = new PayWayClient("http://example.com", "1", "1");
+
+  await t.throwsAsync(() => client.watch_transaction("").next(), {
+    message: /tran_id is required/,
+  });
+  await t.throwsAsync(
+    () => client.watch_transaction("order-1", { backoff: 0.5 }).next(),
+    { message: /backoff at least 1/ }
+  );
+});
+
+// Hook and logging tests
+test("hooks should observe requests, responses and errors", async (t) => {
+  const events = [];
+  let fail = true;
+  const client = new PayWayClient("http://example.com", "1", "1", {
+    client_factory: () => ({
+      post: async () => {
+        if (fail) {
+          fail = false;
+          throw http_error(503, { message: "Busy" });
+        }
+        return { status: 200, data: { status: "APPROVED" } };
+      },
+    }),
+    retry: { baseDelay: 0 },
+    onRequest: (event) => events.push(["request", event]),
+    onResponse: (event) => events.push(["response", event]),
+    onError: (event) => events.push(["error", event]),
+  });
+
+  await client.check_transaction("order-1");
+
+  t.deepEqual(
+    events.map(([name, event]) => [name, event.attempt]),
+    [
+      ["request", 1],
+      ["error", 1],
+      ["request", 2],
+      ["response", 2],
+    ]
+  );
+  const [, request] = events[0];
+  t.is(request.endpoint, CHECK_URL);
+  t.is(request.fields.tran_id, "order-1");
+  t.truthy(request.fields.hash);
+
+  const [, error] = events[1];
+  t.is(error.status, 503);
+  t.deepEqual(error.body, { message: "Busy" });
+  t.true(error.duration >= 0);
+
+  const [, response] = events[3];
+  t.is(response.status, 200);
+  t.deepEqual(response.body, { status: "APPROVED" });
+});
+
+test("hooks should never break requests", async (t) => {
+  const client = new PayWayClient("http://example.com", "1", "1", {
+    client_factory: () => ({ post: async () => ({ data: { ok: true } }) }),
+    onRequest: () => {
+      throw new Error("logging is down");
+    },
+  });
+
+  t.deepEqual(await client.check_transaction("order-1"), { ok: true });
+});
+
+test("redact should hide secrets, contact details and card data", (t) => {
+  t.deepEqual(
+    redact({
+      tran_id: "order-1",
+      hash: "abc",
+      email: "john@example.com",
+      Phone: "+855123456789",
+      card: { card_number: "4111111111111111", cvv: "123", last4: "1111" },
+      list: [{ api_key: "secret" }],
+      firstname: "John",
+    }),
+    {
+      tran_id: "order-1",
+      hash: "[REDACTED]",
+      email: "[REDACTED]",
+      Phone: "[REDACTED]",
+      card: { card_number: "[REDACTED]", cvv: "[REDACTED]", last4: "1111" },
+      list: [{ api_key: "[REDACTED]" }],
+      firstname: "John",
+    }
+  );
+});
+
+test("logger option should write redacted pino-style logs", async (t) => {
+  const lines = [];
+  const logger = {
+    debug: (data, message) => lines.push(["debug", message, data]),
+    info: (data, message) => lines.push(["info", message, data]),
+    error: (data, message) => lines.push(["error", message, data]),
+  };
+  const client = new PayWayClient("http://example.com", "1", "1", {
+    client_factory: () => ({
+      post: async () => ({ status: 200, data: { tran_id: "order-1" } }),
+    }),
+    logger,
+    loggerStyle: "pino",
+  });
+
+  await client.create_transaction({
+    tran_id: "order-1",
+    payment_option: "abapay",
+    amount: 1,
+    currency: "USD",
+    email: "john@example.com",
+  });
+
+  t.deepEqual(
+    lines.map(([level, message]) => [level, message]),
+    [
+      ["debug", "PayWay request"],
+      ["info", "PayWay response"],
+    ]
+  );
+  t.is(lines[0][2].fields.hash, "[REDACTED]");
+  t.is(lines[0][2].fields.email, "[REDACTED]");
+  t.is(lines[0][2].fields.tran_id, "order-1");
+  t.is(lines[1][2].status, 200);
+});
+
+test("logger option should redact saved card data", async (t) => {
+  const lines = [];
+  const logger = {
+    info: (message, data) => lines.push(data),
+    error: (message, data) => lines.push(data),
+  };
+  const client = new PayWayClient("http://example.com", "1", "1", {
+    client_factory: () => ({
+      post: async () => ({
+        status: 200,
+        data: {
+          data: [
+            {
+              pwt: "card-token",
+              mask_pan: "411111xxxxxx1111",
+              card_type: "VISA",
+            },
+          ],
+          payer_account: "000123456",
+          status: { code: "00" },
+        },
+      }),
+    }),
+    logger,
+  });
+
+  await client.list_saved_cards("customer-1");
+
+  const { body, fields } = lines.at(-1);
+  t.is(fields.ctid, "[REDACTED]");
+  t.deepEqual(body.data[0], {
+    pwt: "[REDACTED]",
+    mask_pan: "[REDACTED]",
+    card_type: "VISA",
+  });
+  t.is(body.payer_account, "[REDACTED]");
+});
+
+test("logger_hooks should put the message first for console", (t) => {
+  const original = console.error;
+  const calls = [];
+  console.error = (...args) => calls.push(args);
+  try {
+    logger_hooks(console).onError({
+      endpoint: CHECK_URL,
+      attempt: 1,
+      fields: { hash: "abc" },
+      status: null,
+      duration: 1.4,
+      error: new Error("socket hang up"),
+    });
+  } finally {
+    console.error = original;
+  }
+
+  t.is(calls[0][0], "PayWay error");
+  t.is(calls[0][1].error, "socket hang up");
+  t.is(calls[0][1].fields.hash, "[REDACTED]");
+});
+
+test("logger_hooks should detect pino and default to console order", (t) => {
+  const calls = [];
+  const logger = (extra = {}) => ({
+    info: (...args) => calls.push(args),
+    error: (...args) => calls.push(args),
+    ...extra,
+  });
+  const event = { endpoint: CHECK_URL, attempt: 1, fields: {}, duration: 1 };
+
+  logger_hooks(logger({ bindings: () => ({}) })).onRequest(event);
+  logger_hooks(logger()).onRequest(event);
+  logger_hooks(logger(), { style: "pino" }).onRequest(event);
+
+  t.deepEqual(
+    calls.map((args) => typeof args[0]),
+    ["object", "string", "object"]
+  );
+  t.throws(() => logger_hooks(logger(), { style: "bunyan" }), {
+    message: /style must be "pino" or "console"/,
+  });
+});
+
+// Environment preset tests
+test("PayWayClient.create should use the environment's base URL", (t) => {
+  const sandbox = PayWayClient.create({
+    environment: "sandbox",
+    merchantId: "merchant",
+    apiKey: "key",
+  });
+  t.is(sandbox.base_url, ENVIRONMENTS.sandbox);
+  t.is(sandbox.merchant_id, "merchant");
+  t.is(sandbox.api_key, "key");
+
+  const production = PayWayClient.create({
+    environment: "production",
+    merchantId: "merchant",
+    apiKey: "key",
+    timeout: 5000,
+  });
+  t.is(production.base_url, ENVIRONMENTS.production);
+  t.is(production._client.defaults.timeout, 5000);
+});
+
+test("PayWayClient.create should pass other options through", async (t) => {
+  const client = PayWayClient.create({
+    environment: "sandbox",
+    merchantId: "merchant",
+    apiKey: "key",
+    client_factory: () => ({ post: async () => ({ data: { ok: true } }) }),
+  });
+
+  t.deepEqual(await client.check_transaction("order-1"), { ok: true });
+});
+
+test("PayWayClient.create should report every problem at once", (t) => {
+  const error = t.throws(() =>
+    PayWayClient.create({ environment: "staging", apiKey: "has space" })
+  );
+  t.regex(error.message, /^PayWayClient.create: /);
+  t.regex(error.message, /environment must be "sandbox" or "production"/);
+  t.regex(error.message, /merchantId is required/);
+  t.regex(error.message, /apiKey must be a string without whitespace/);
+});
+
+test("PayWayClient.create should refuse mismatched hosts", (t) => {
+  t.throws(
+    () =>
+      PayWayClient.create({
+        environment: "production",
+        merchantId: "merchant",
+        apiKey: "key",
+        baseUrl: "https://checkout-sandbox.payway.com.kh/",
+      }),
+    { message: /points to a sandbox host but environment is "production"/ }
+  );
+  t.throws(
+    () =>
+      PayWayClient.create({
+        environment: "sandbox",
+        merchantId: "merchant",
+        apiKey: "key",
+        baseUrl: "https://checkout.payway.com.kh/",
+      }),
+    { message: /points to the production host/ }
+  );
+});
+
+test("PayWayClient.fromEnv should read PAYWAY_* variables", (t) => {
+  const client = PayWayClient.fromEnv({
+    PAYWAY_ENVIRONMENT: "production",
+    PAYWAY_MERCHANT_ID: " merchant ",
+    PAYWAY_API_KEY: "key",
+    PAYWAY_TIMEOUT: "10000",
+  });
+
+  t.is(client.base_url, ENVIRONMENTS.production);
+  t.is(client.merchant_id, "merchant");
+  t.is(client._client.defaults.timeout, 10000);
+});
+
+test("PayWayClient.fromEnv should fail fast with clear messages", (t) => {
+  const error = t.throws(() =>
+    PayWayClient.fromEnv({
+      PAYWAY_ENVIRONMENT: "production",
+      PAYWAY_API_KEY: "",
+      PAYWAY_BASE_URL: "https://checkout-sandbox.payway.com.kh/",
+      PAYWAY_TIMEOUT: "soon",
+    })
+  );
+  t.regex(error.message, /PAYWAY_MERCHANT_ID is required/);
+  t.regex(error.message, /PAYWAY_API_KEY is required/);
+  t.regex(
+    error.message,
+    /PAYWAY_BASE_URL points to a sandbox host but PAYWAY_ENVIRONMENT is "production"/
+  );
+  t.regex(error.message, /PAYWAY_TIMEOUT must be a positive integer/);
+});
+
+// Transport tests
+async function slow_server(t, handler) {
+  const server = createServer(handler);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.teardown(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+test("transport option should receive the method, URL and signed body", async (t) => {
+  const requests = [];
+  const client = new PayWayClient("http://example.com/", "merchant", "key", {
+    transport: {
+      request: async (request) => {
+        requests.push(request);
+        return { status: 200, headers: {}, body: { status: "APPROVED" } };
+      },
+    },
+  });
+
+  const result = await client.check_transaction("test");
+
+  t.is(result.status, "APPROVED");
+  t.is(requests[0].method, "POST");
+  t.is(
+    requests[0].url,
+    "http://example.com/api/payment-gateway/v1/payments/check-transaction"
+  );
+  t.is(requests[0].body.get("tran_id"), "test");
+});
+
+test("transport errors should map to PayWayError with the response body", async (t) => {
+  const client = new PayWayClient("http://example.com", "merchant", "key", {
+    transport: {
+      request: async () => ({
+        status: 400,
+        headers: {},
+        body: { code: "INVALID_AMOUNT", message: "Invalid amount" },
+      }),
+    },
+  });
+
+  const error = await t.throwsAsync(() => client.check_transaction("test"), {
+    instanceOf: PayWayError,
+  });
+  t.is(error.statusCode, 400);
+  t.is(error.errorCode, "INVALID_AMOUNT");
+});
+
+test("fetch_transport should parse JSON responses", async (t) => {
+  const url = await slow_server(t, (req, res) => {
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify({ tran_id: "test", method: req.method }));
+  });
+  const client = new PayWayClient(url, "merchant", "key", {
+    transport: fetch_transport(),
+  });
+
+  t.deepEqual(await client.check_transaction("test"), {
+    tran_id: "test",
+    method: "POST",
+  });
+});
+
+test("fetch_transport timeouts should be retried and flagged", async (t) => {
+  const url = await slow_server(t, () => {});
+  const attempts = [];
+  const client = new PayWayClient(url, "merchant", "key", {
+    transport: fetch_transport({ timeout: 50 }),
+    retry: { maxAttempts: 2, baseDelay: 0 },
+    onError: ({ attempt }) => attempts.push(attempt),
+  });
+
+  const error = await t.throwsAsync(() => client.check_transaction("test"), {
+    instanceOf: PayWayRequestError,
+  });
+  t.true(error.isTimeout);
+  t.false(error.isAborted);
+  t.deepEqual(attempts, [1, 2]);
+});
+
+test("aborted requests should not be retried", async (t) => {
+  let calls = 0;
+  const controller = new AbortController();
+  const url = await slow_server(t, () => {
+    calls += 1;
+    controller.abort();
+  });
+  const client = new PayWayClient(url, "merchant", "key", {
+    transport: fetch_transport(),
+    retry: { maxAttempts: 3, baseDelay: 0 },
+  });
+
+  const error = await t.throwsAsync(
+    () => client.check_transaction("test", { signal: controller.signal }),
+    { instanceOf: PayWayRequestError }
+  );
+  t.true(error.isAborted);
+  t.false(error.isTimeout);
+  t.is(calls, 1);
+});
+
+test("fetch_transport connection failures should be network errors", async (t) => {
+  const url = await slow_server(t, () => {});
+  const client = new PayWayClient(
+    url.replace(/:\d+$/, ":1"),
+    "merchant",
+    "key",
+    { transport: fetch_transport() }
+  );
+
+  const error = await t.throwsAsync(() => client.check_transaction("test"), {
+    instanceOf: PayWayRequestError,
+  });
+  t.regex(error.message, /^Network error/);
+  t.is(classify_error(error.originalError), "network");
+});
+
+test("classify_error should understand axios and fetch errors", (t) => {
+  t.is(classify_error(http_error(500)), "response");
+  t.is(classify_error(network_error()), "network");
+  t.is(
+    classify_error(
+      Object.assign(new Error("timeout of 10ms exceeded"), {
+        code: "ECONNABORTED",
+      })
+    ),
+    "timeout"
+  );
+  t.is(
+    classify_error(
+      Object.assign(new Error("canceled"), { code: "ERR_CANCELED" })
+    ),
+    "aborted"
+  );
+  t.is(classify_error(new DOMException("aborted", "AbortError")), "aborted");
+  t.is(
+    classify_error(new DOMException("timed out", "TimeoutError")),
+    "timeout"
+  );
+  t.is(
+    classify_error(
+      new TypeError("fetch failed", {
+        cause: Object.assign(new Error("refused"), { code: "ECONNREFUSED" }),
+      })
+    ),
+    "network"
+  );
+  t.is(classify_error(new Error("boom")), "unknown");
+});
+
+// Web runtime tests
+test("create_hash_async should match create_hash", async (t) => {
+  const client = new PayWayClient("", "merchant", "key");
+  const values = ["20240101000000", "merchant", "ព្រះ", "10.00"];
+
+  t.is(await client.create_hash_async(values), client.create_hash(values));
+});
+
+test("async checkout and callback methods should match the sync ones", async (t) => {
+  const client = new PayWayClient("https://example.com/", "merchant", "key");
+  const date = new Date(2024, 0, 1);
+  t.deepEqual(
+    Object.fromEntries(
+      await client.create_payload_async(
+        ["order-1"],
+        { tran_id: "order-1" },
+        date
+      )
+    ),
+    Object.fromEntries(
+      client.create_payload(["order-1"], { tran_id: "order-1" }, date)
+    )
+  );
+
+  const without_signature = ({
+    action,
+    fields: { req_time, hash, ...fields },
+  }) => ({
+    action,
+    fields,
+  });
+  t.deepEqual(
+    without_signature(await client.build_checkout_form_async(checkout_params)),
+    without_signature(client.build_checkout_form(checkout_params))
+  );
+
+  const callback = signed_callback(client, { tran_id: "order-1", status: "0" });
+  t.deepEqual(
+    await client.verify_callback_async(callback),
+    client.verify_callback(callback)
+  );
+  await t.throwsAsync(
+    () => client.verify_callback_async({ ...callback, status: "1" }),
+    { instanceOf: PayWayCallbackError }
+  );
+});
+
+test("fetch_callback_handler should verify callbacks", async (t) => {
+  const client = new PayWayClient("", "merchant", "key");
+  const events = [];
+  const handle = fetch_callback_handler(client, (event) => {
+    events.push(event);
+  });
+  const callback = signed_callback(client, { tran_id: "order-1", status: "0" });
+  const post = (body) =>
+    handle(
+      new Request("https://shop.example/callback", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      })
+    );
+
+  const ok = await post(callback);
+  t.is(ok.status, 200);
+  t.is(events[0].tran_id, "order-1");
+
+  const forged = await post({ ...callback, status: "1" });
+  t.is(forged.status, 401);
+  t.is(events.length, 1);
+});
+
+// Card-on-file tests
+function recording_client(data = {}) {
+  const calls = [];
+  const client = new PayWayClient("http://example.com", "1", "1", {
+    client_factory: () => ({
+      post: async (url, formData) => {
+        calls.push({ url, fields: Object.fromEntries(formData) });
+        return { data };
+      },
+    }),
+  });
+  return { client, calls };
+}
+
+test("link_card should sign the customer and return URL", async (t) => {
+  const { client, calls } = recording_client({ status: { code: "00" } });
+
+  await client.link_card({
+    firstname: " Jane ",
+    email: "jane@example.com",
+    return_url: "https://shop.example/cards",
+    return_param: "customer-42",
+  });
+
+  const { url, fields } = calls[0];
+  t.is(url, "/api/payment-gateway/v1/cof/initial");
+  t.is(fields.firstname, "Jane");
+  t.is(
+    Buffer.from(fields.return_url, "base64").toString(),
+    "https://shop.example/cards"
+  );
+  t.is(
+    fields.hash,
+    client.create_hash([
+      fields.req_time,
+      "1",
+      "Jane",
+      "jane@example.com",
+      fields.return_url,
+      "customer-42",
+    ])
+  );
+  await t.throwsAsync(() => client.link_card({}), {
+    message: /return_url is required/,
+  });
+});
+
+test("purchase_by_token should send and sign the card tokens", async (t) => {
+  const { client, calls } = recording_client({ status: "APPROVED" });
+
+  await client.purchase_by_token({
+    ctid: "customer-1",
+    pwt: "card-1",
+    tran_id: "order-1",
+    amount: 5,
+    currency: "USD",
+  });
+
+  const { url, fields } = calls[0];
+  t.is(url, "/api/payment-gateway/v1/payments/purchase");
+  t.is(fields.ctid, "customer-1");
+  t.is(fields.pwt, "card-1");
+  t.is(fields.payment_option, "cards");
+  t.is(
+    fields.hash,
+    client.create_hash([
+      fields.req_time,
+      "1",
+      "order-1",
+      "5.00",
+      "purchase",
+      "cards",
+      "USD",
+      "customer-1",
+      "card-1",
+    ])
+  );
+
+  await t.throwsAsync(
+    () => client.purchase_by_token({ ctid: "customer-1", tran_id: "order-2" }),
+    { message: /purchase_by_token: pwt is required/ }
+  );
+});
+
+test("saved cards should be listed and removed by token", async (t) => {
+  const { client, calls } = recording_client({ cards: [] });
+
+  await client.list_saved_cards("customer-1");
+  await client.remove_saved_card({ ctid: "customer-1", pwt: "card-1" });
+
+  t.is(calls[0].url, "/api/payment-gateway/v1/cof/list");
+  t.is(calls[0].fields.ctid, "customer-1");
+  t.is(calls[1].url, "/api/payment-gateway/v1/cof/remove");
+  t.is(
+    calls[1].fields.hash,
+    client.create_hash([calls[1].fields.req_time, "1", "customer-1", "card-1"])
+  );
+  await t.throwsAsync(() => client.remove_saved_card({ ctid: "customer-1" }), {
+    message: /pwt is required/,
+  });
+});
+
+test("verify_card_callback should return the saved card tokens", async (t) => {
+  const client = new PayWayClient("http://example.com", "1", "1");
+  const fields = {
+    ctid: "customer-1",
+    pwt: "card-1",
+    mask_pan: "4111-XXXX-XXXX-1111",
+    status: "0",
+    merchant_id: "1",
+  };
+  const payload = {
+    ...fields,
+    hash: client.create_hash(
+      CARD_CALLBACK_HASH_FIELDS.map((field) => fields[field] ?? "")
+    ),
+  };
+
+  const card = client.verify_card_callback(payload);
+  t.is(card.ctid, "customer-1");
+  t.is(card.pwt, "card-1");
+  t.is(card.mask_pan, "4111-XXXX-XXXX-1111");
+  t.is(card.card_type, null);
+  t.deepEqual(await client.verify_card_callback_async(payload), card);
+
+  t.throws(() => client.verify_card_callback({ ...payload, pwt: "card-2" }), {
+    instanceOf: PayWayCallbackError,
+  });
+});
+
+// Payment link tests
+test("create_payment_link should validate, normalize and sign the link", async (t) => {
+  const { client, calls } = recording_client({ id: "link-1" });
+  const expires = new Date(Date.now() + 86400000);
+
+  const result = await client.create_payment_link({
+    title: " Invoice #12 ",
+    amount: 15,
+    currency: "USD",
+    expired_date: expires,
+    max_usage: 1,
+    return_url: "https://shop.example/payway",
+  });
+
+  t.is(result.id, "link-1");
+  const { url, fields } = calls[0];
+  t.is(url, "/api/merchant-portal/merchant-access/payment-link/create");
+  t.is(fields.title, "Invoice #12");
+  t.is(fields.amount, "15.00");
+  t.is(fields.expired_date, String(Math.floor(expires.getTime() / 1000)));
+  t.is(fields.payment_limit, "1");
+  t.is(
+    fields.hash,
+    client.create_hash([
+      fields.req_time,
+      "1",
+      "Invoice #12",
+      "15.00",
+      "USD",
+      fields.expired_date,
+      "1",
+      fields.return_url,
+    ])
+  );
+});
+
+test("create_payment_link should reject invalid options", async (t) => {
+  const { client, calls } = recording_client();
+  const params = { title: "Invoice", amount: 15, currency: "USD" };
+
+  await t.throwsAsync(
+    () => client.create_payment_link({ ...params, title: "" }),
+    {
+      message: /title is required/,
+    }
+  );
+  await t.throwsAsync(
+    () => client.create_payment_link({ ...params, title: "x".repeat(251) }),
+    { message: /at most 250 characters/ }
+  );
+  await t.throwsAsync(
+    () => client.create_payment_link({ ...params, amount: -1 }),
+    { message: /create_payment_link: amount/ }
+  );
+  await t.throwsAsync(
+    () => client.create_payment_link({ ...params, max_usage: 1.5 }),
+    { message: /max_usage must be a positive integer/ }
+  );
+  await t.throwsAsync(
+    () => client.create_payment_link({ ...params, expired_date: new Date(0) }),
+    { message: /expired_date must be in the future/ }
+  );
+  t.is(calls.length, 0);
+});
+
+test("payment links should be fetched and disabled by ID", async (t) => {
+  const { client, calls } = recording_client({ status: "DISABLED" });
+
+  await client.get_payment_link("link-1");
+  await client.disable_payment_link("link-1");
+
+  t.deepEqual(
+    calls.map(({ url, fields }) => [url, fields.id]),
+    [
+      ["/api/merchant-portal/merchant-access/payment-link/detail", "link-1"],
+      ["/api/merchant-portal/merchant-access/payment-link/disable", "link-1"],
+    ]
+  );
+  await t.throwsAsync(() => client.get_payment_link(), {
+    message: /get_payment_link: id is required/,
+  });
+});
+
+// KHQR tests
+test("generate_qr should sign the request and return the KHQR string", async (t) => {
+  const { client, calls } = recording_client({
+    qrString: "000201010212...",
+    status: { code: "0" },
+  });
+  const before = Date.now();
+
+  const result = await client.generate_qr({
+    tran_id: "pos-1",
+    amount: 2.5,
+    currency: "USD",
+    lifetime: 10,
+    callback_url: "https://shop.example/payway",
+  });
+
+  t.is(result.qr_string, "000201010212...");
+  t.true(result.expires_at.getTime() >= before + 10 * 60000);
+  const { url, fields } = calls[0];
+  t.is(url, "/api/payment-gateway/v1/payments/generate-qr");
+  t.is(fields.payment_option, "abapay_khqr");
+  t.is(fields.purchase_type, "purchase");
+  t.is(
+    fields.hash,
+    client.create_hash([
+      fields.req_time,
+      "1",
+      "pos-1",
+      "2.50",
+      "purchase",
+      "abapay_khqr",
+      fields.callback_url,
+      "USD",
+      "10",
+    ])
+  );
+});
+
+test("generate_qr should validate lifetime and items", async (t) => {
+  const { client, calls } = recording_client();
+  const params = { tran_id: "pos-1", amount: 5, currency: "USD" };
+
+  await t.throwsAsync(() => client.generate_qr({ ...params, lifetime: 2 }), {
+    message: /lifetime must be an integer number of minutes from 3 to 43200/,
+  });
+  await t.throwsAsync(
+    () =>
+      client.generate_qr({
+        ...params,
+        items: [{ name: "Tea", quantity: 1, price: 4 }],
+      }),
+    { message: /generate_qr: items total 4.00 does not match amount 5.00/ }
+  );
+  t.is(calls.length, 0);
+
+  t.is((await client.generate_qr(params)).expires_at, null);
+});
+
+// Transaction detail tests
+const DETAIL_RESPONSE = {
+  data: {
+    transaction_id: "order-1",
+    payment_status: "refunded",
+    original_amount: 100,
+    total_amount: "100",
+    refund_amount: 30.5,
+    payment_currency: "USD",
+    apv: 123456,
+    payment_type: "ABA PAY",
+    payer_account: "000 123 456",
+    bank_name: "ABA Bank",
+    transaction_fee: "0.9",
+    transaction_date: "2024-03-01 10:00:00",
+    transaction_operations: [
+      {
+        status: "REFUNDED",
+        amount: 30.5,
+        transaction_date: "2024-03-02 09:00:00",
+      },
+      {
+        status: "APPROVED",
+        amount: 100,
+        transaction_date: "2024-03-01 10:00:05",
+      },
+      {
+        status: "CREATED",
+        amount: 100,
+        transaction_date: "2024-03-01 10:00:00",
+      },
+    ],
+  },
+  status: { code: "00", message: "Success!" },
+};
+
+test("get_transaction_details should normalize the response", async (t) => {
+  const { client, calls } = recording_client(DETAIL_RESPONSE);
+
+  const details = await client.get_transaction_details("order-1");
+
+  t.is(calls[0].url, "/api/payment-gateway/v1/payments/transaction-detail");
+  t.is(
+    calls[0].fields.hash,
+    client.create_hash([calls[0].fields.req_time, "1", "order-1"])
+  );
+  t.like(details, {
+    tran_id: "order-1",
+    status: "REFUNDED",
+    amount: "100.00",
+    total_amount: "100.00",
+    refunded_amount: "30.50",
+    currency: "USD",
+    apv: "123456",
+    payment_method: "ABA PAY",
+    payer: { name: null, account: "000 123 456", bank: "ABA Bank" },
+    fees: { amount: "0.90", currency: "USD" },
+  });
+  t.deepEqual(details.created_at, new Date("2024-03-01T03:00:00Z"));
+  t.deepEqual(
+    details.operations.map(({ type, amount }) => [type, amount]),
+    [
+      ["created", "100.00"],
+      ["approved", "100.00"],
+      ["partial_refund", "30.50"],
+    ]
+  );
+  t.is(details.raw, DETAIL_RESPONSE);
+});
+
+test("not-found responses should throw PayWayNotFoundError", async (t) => {
+  const { client } = flaky_client({
+    [CHECK_URL]: [http_error(404, { message: "Unknown" })],
+    "/api/payment-gateway/v1/payments/transaction-detail": [
+      http_error(400, { message: "Transaction not found" }),
+    ],
+  });
+
+  const missing = await t.throwsAsync(() => client.check_transaction("nope"), {
+    instanceOf: PayWayNotFoundError,
+  });
+  t.is(missing.statusCode, 404);
+  await t.throwsAsync(() => client.get_transaction_details("nope"), {
+    instanceOf: PayWayNotFoundError,
+  });
+});
+
+// Reconciliation tests
+test("reconciliation_csv should escape cells and neutralize formulas", (t) => {
+  const csv = reconciliation_csv({
+    rows: [
+      {
+        tran_id: '=HYPERLINK("x")',
+        result: "mismatch",
+        issues: ["amount", "status"],
+        local: { amount: "1,5", currency: "USD", status: "PENDING" },
+        remote: null,
+      },
+    ],
+  });
+
+  t.is(
+    csv.split("\r\n")[1],
+    `"'=HYPERLINK(""x"")",mismatch,amount;status,"1,5",,USD,,PENDING,`
+  );
+});
+
+test("reconcile should validate its options", async (t) => {
+  const client = new PayWayClient("https://example.com", "merchant", "key");
+
+  await t.throwsAsync(() => client.reconcile({ to: "20240101", local: [] }), {
+    message: /from is required/,
+  });
+  await t.throwsAsync(
+    () => client.reconcile({ from: "20240102", to: "20240101", local: [] }),
+    { message: /from must not be after to/ }
+  );
+  await t.throwsAsync(
+    () => client.reconcile({ from: "20240101", to: "20240101" }),
+    { message: /local must be an iterable/ }
+  );
+});
+
+test("reconcile should accept transaction_id keys and PayWay's envelope", async (t) => {
+  const mockClient = {
+    post: async (url, formData) =>
+      url === CHECK_URL
+        ? {
+            data: {
+              data: {
+                transaction_id: formData.get("tran_id"),
+                original_amount: 4000,
+                payment_currency: "KHR",
+                payment_status: "APPROVED",
+              },
+              status: { code: "00", message: "Success!" },
+            },
+          }
+        : {
+            data: {
+              data: [
+                {
+                  transaction_id: "listed",
+                  original_amount: "10.00",
+                  payment_currency: "USD",
+                  payment_status: "approved",
+                },
+              ],
+              status: { code: "00" },
+            },
+          },
+  };
+  const client = new PayWayClient(
+    "http://example.com",
+    "1",
+    "1",
+    () => mockClient
+  );
+
+  const report = await client.reconcile({
+    from: "20240101",
+    to: "20240101",
+    local: [
+      { tran_id: "listed", amount: 10, currency: "USD", status: "APPROVED" },
+      { tran_id: "older", amount: 4000, currency: "KHR", status: "APPROVED" },
+    ],
+  });
+
+  t.deepEqual(
+    report.rows.map((row) => [row.tran_id, row.result, row.issues]),
+    [
+      ["listed", "matched", []],
+      ["older", "matched", []],
+    ]
+  );
+  t.deepEqual(report.rows[1].remote, {
+    amount: "4000",
+    currency: "KHR",
+    status: "APPROVED",
+  });
+});
+
+// Signing spec tests
+test("explain_signature should reproduce the request a method sends", async (t) => {
+  const { client, calls } = recording_client({ qr_string: "000201" });
+  const params = {
+    tran_id: "order-1",
+    amount: 5,
+    currency: "USD",
+    firstname: " Jane ",
+    items: [{ name: "Tea", quantity: 1, price: 5 }],
+    callback_url: "https://shop.example/callback",
+  };
+
+  await client.generate_qr(params);
+  const { fields } = calls[0];
+  const explanation = client.explain_signature(
+    "/api/payment-gateway/v1/payments/generate-qr",
+    params,
+    { req_time: fields.req_time }
+  );
+
+  t.deepEqual(explanation.body, fields);
+  t.is(explanation.hash, fields.hash);
+  t.is(explanation.hash, client.create_hash([explanation.canonical]));
+  t.deepEqual(explanation.ignored, []);
+  t.like(
+    explanation.fields.find(({ field }) => field === "first_name"),
+    { value: "Jane", input: " Jane ", source: "params.firstname" }
+  );
+  t.like(
+    explanation.fields.find(({ field }) => field === "payment_option"),
+    { value: "abapay_khqr", source: "default" }
+  );
+  t.deepEqual(
+    explanation.fields.map(({ field }) => field),
+    [
+      "req_time",
+      "merchant_id",
+      ...SIGNING_SPECS["/api/payment-gateway/v1/payments/generate-qr"].fields,
+    ]
+  );
+  t.deepEqual(
+    await client.explain_signature_async(
+      "/api/payment-gateway/v1/payments/generate-qr",
+      params,
+      { req_time: fields.req_time }
+    ),
+    explanation
+  );
+});
+
+test("explain_signature should report ignored parameters and bad input", (t) => {
+  const client = new PayWayClient("https://example.com", "merchant", "key");
+
+  const explanation = client.explain_signature(
+    "/api/payment-gateway/v1/payments/check-transaction",
+    { tran_id: "order-1", tranId: "order-1", signal: undefined },
+    { req_time: new Date("2024-01-01T20:04:05Z") }
+  );
+  t.is(explanation.canonical, "20240102030405merchantorder-1");
+  t.deepEqual(explanation.ignored, ["tranId"]);
+
+  t.throws(() => client.explain_signature("/api/unknown", {}), {
+    message: "explain_signature: no signing spec for endpoint /api/unknown",
+  });
+  t.throws(
+    () =>
+      client.explain_signature(
+        "/api/payment-gateway/v1/payments/check-transaction",
+        {},
+        { req_time: "2024-01-02" }
+      ),
+    { message: /req_time must be a Date/ }
+  );
+});
+
+// Request time tests
+const NOW = Date.UTC(2024, 0, 1, 20, 0, 0);
+
+function clock_client(responses, options = {}) {
+  const calls = [];
+  const client = new PayWayClient("http://example.com", "1", "1", {
+    client_factory: () => ({
+      post: async (url, formData) => {
+        calls.push(formData.get("req_time"));
+        const response = responses.shift() ?? { data: {} };
+        if (response instanceof Error) throw response;
+        return response;
+      },
+    }),
+    clock: () => NOW,
+    ...options,
+  });
+  return { client, calls };
+}
+
+function server_date(offset) {
+  return { date: new Date(NOW + offset).toUTCString() };
+}
+
+test("req_time should be formatted in Phnom Penh time", async (t) => {
+  const { client, calls } = clock_client([]);
+  const utc = clock_client([], { timeZone: "UTC" });
+
+  await client.check_transaction("order-1");
+  await utc.client.check_transaction("order-1");
+
+  t.is(calls[0], "20240102030000");
+  t.is(utc.calls[0], "20240101200000");
+  t.is(format_req_time(NOW, "Asia/Tokyo"), "20240102050000");
+  t.throws(
+    () => new PayWayClient("https://x", "m", "k", { timeZone: "Mars" }),
+    {
+      message: 'PayWayClient: timeZone "Mars" is not a valid IANA time zone',
+    }
+  );
+});
+
+test("detectClockSkew should follow PayWay's Date header", async (t) => {
+  const responses = () => [
+    { data: {}, headers: server_date(3600000) },
+    { data: {}, headers: server_date(3600000) },
+  ];
+  const { client, calls } = clock_client(responses(), {
+    detectClockSkew: true,
+  });
+  const passive = clock_client(responses());
+
+  await client.check_transaction("order-1");
+  await client.check_transaction("order-1");
+  await passive.client.check_transaction("order-1");
+  await passive.client.check_transaction("order-1");
+
+  t.deepEqual(calls, ["20240102030000", "20240102040000"]);
+  t.is(client.clock_offset, 3600500);
+  t.deepEqual(passive.calls, ["20240102030000", "20240102030000"]);
+  t.is(passive.client.clock_skew, 3600500);
+  t.is(passive.client.clock_offset, 0);
+});
+
+test("requests rejected for their req_time should raise PayWayClockSkewError", async (t) => {
+  const rejection = () => {
+    const error = http_error(400, {
+      code: "INVALID_REQ_TIME",
+      message: "Invalid req_time",
+    });
+    error.response.headers = server_date(-600000);
+    return error;
+  };
+
+  const { client } = clock_client([rejection()]);
+  const error = await t.throwsAsync(() => client.check_transaction("order-1"), {
+    instanceOf: PayWayClockSkewError,
+  });
+  t.is(error.reqTime, "20240102030000");
+  t.is(error.skew, -599500);
+  t.is(error.timeZone, "Asia/Phnom_Penh");
+  t.regex(error.message, /its clock is 600s behind this client/);
+
+  const corrected = clock_client([rejection()], { detectClockSkew: true });
+  await corrected.client.check_transaction("order-1");
+  t.deepEqual(corrected.calls, ["20240102030000", "20240102025000"]);
+});
+
+test("failing in-body status codes should throw typed errors", async (t) => {
+  const hooks = [];
+  const client = new PayWayClient("http://example.com", "1", "1", {
+    client_factory: () => ({
+      post: async () => ({
+        status: 200,
+        data: { status: { code: "1", message: "Wrong hash" } },
+      }),
+    }),
+    onResponse: () => hooks.push("response"),
+    onError: () => hooks.push("error"),
+  });
+
+  const error = await t.throwsAsync(
+    () =>
+      client.create_transaction({
+        tran_id: "order-1",
+        payment_option: "abapay",
+        amount: 1,
+        currency: "USD",
+      }),
+    { instanceOf: PayWayAuthError }
+  );
+  t.true(error instanceof PayWayError);
+  t.is(error.message, "PayWay API error: Wrong hash");
+  t.is(error.errorCode, "1");
+  t.is(error.statusCode, 200);
+  t.false(error.isRetryable);
+  t.deepEqual(hooks, ["error"]);
+
+  const ok = recording_client({ status: { code: "00" }, tran_id: "order-1" });
+  t.is((await ok.client.check_transaction("order-1")).tran_id, "order-1");
+});
+
+test("API errors should map to the error hierarchy", async (t) => {
+  const fail = (data, status, headers) => {
+    const error = http_error(status, data);
+    error.response.headers = headers;
+    return flaky_client({ [CHECK_URL]: [error] }).client.check_transaction(
+      "order-1"
+    );
+  };
+
+  const validation = await t.throwsAsync(
+    () => fail({ status: { code: "2", message: "tran_id is invalid" } }, 200),
+    { instanceOf: PayWayValidationError }
+  );
+  t.is(validation.field, "tran_id");
+  t.is(validation.errorCode, "2");
+
+  const named = await t.throwsAsync(
+    () => fail({ code: "MISSING_FIELD", field: "amount" }, 400),
+    { instanceOf: PayWayValidationError }
+  );
+  t.is(named.field, "amount");
+
+  await t.throwsAsync(
+    () => fail({ code: "DUPLICATE_TRAN_ID", message: "Duplicate" }, 409),
+    { instanceOf: PayWayDuplicateTransactionError }
+  );
+  await t.throwsAsync(() => fail({ message: "Transaction not found" }, 404), {
+    instanceOf: PayWayNotFoundError,
+  });
+  await t.throwsAsync(() => fail({ message: "Invalid merchant" }, 403), {
+    instanceOf: PayWayAuthError,
+  });
+
+  const limited = await t.throwsAsync(
+    () =>
+      fail({ message: "Too many requests" }, 429, {
+        "retry-after": "2",
+        "x-request-id": "req-42",
+      }),
+    { instanceOf: PayWayRateLimitError }
+  );
+  t.true(limited.isRetryable);
+  t.is(limited.retryAfter, 2000);
+  t.is(limited.requestId, "req-42");
+
+  const server = await t.throwsAsync(
+    () => fail({ message: "Invalid state", request_id: "req-7" }, 502),
+    { instanceOf: PayWayError }
+  );
+  t.is(server.constructor, PayWayError);
+  t.true(server.isRetryable);
+  t.is(server.requestId, "req-7");
+});
+
+test("PayWayError should read nested status codes", (t) => {
+  const error = new PayWayError("Test", { status: { code: 7 } }, 200);
+  t.is(error.errorCode, "7");
+  t.false(error.isRetryable);
+  t.is(error.requestId, null);
+
+  const network = new PayWayRequestError("Network error", new Error("reset"), {
+    isRetryable: true,
+  });
+  t.true(network.isRetryable);
+  t.false(
+    new PayWayRequestError("Aborted", null, { isAborted: true }).isRetryable
+  );
+});
+
+test("normalize_transaction should read nested check_transaction responses", (t) => {
+  const data = {
+    data: {
+      payment_status: "Pre_Auth",
+      original_amount: 12,
+      refund_amount: "0.00",
+      payment_currency: "usd",
+      transaction_date: "2024-01-02 03:04:05",
+      apv: "123456",
+    },
+    status: { code: "00", message: "Success!", tran_id: "order-1" },
+  };
+
+  const transaction = normalize_transaction(data);
+
+  t.is(transaction.tranId, "order-1");
+  t.is(transaction.status, TransactionStatus.PRE_AUTH);
+  t.is(transaction.rawStatus, "PRE_AUTH");
+  t.is(transaction.amount.amount, "12.00");
+  t.is(transaction.refundAmount.minorUnits, 0);
+  t.is(transaction.currency, "USD");
+  t.deepEqual(transaction.createdAt, new Date("2024-01-01T20:04:05Z"));
+  t.deepEqual(transaction.transactionDate, transaction.createdAt);
+  t.is(transaction.apv, "123456");
+  t.is(transaction.raw, data);
+});
+
+test("PayWayMerchantRegistry should validate profiles", (t) => {
+  const registry = new PayWayMerchantRegistry({
+    defaults: { normalize: true },
+    merchants: [{ environment: "sandbox", merchantId: "shop-a", apiKey: "a" }],
+  });
+
+  const client = registry.for("shop-a");
+  t.is(client.base_url, ENVIRONMENTS.sandbox);
+  t.is(client.merchant_id, "shop-a");
+  t.is(client._normalize, true);
+  t.is(client._client.transport, registry.transport);
+  t.true(registry.has("shop-a"));
+
+  t.throws(
+    () =>
+      registry.add({
+        environment: "sandbox",
+        merchantId: "shop-a",
+        apiKey: "b",
+      }),
+    {
+      message:
+        'PayWayMerchantRegistry.add: merchant "shop-a" is already registered',
+    }
+  );
+  t.throws(
+    () => registry.add({ environment: "staging", merchantId: "shop-b" }),
+    {
+      message:
+        /^PayWayMerchantRegistry\.add: environment must be .*; apiKey is required$/,
+    }
+  );
+  t.throws(
+    () =>
+      registry.add({
+        environment: "sandbox",
+        merchantId: "shop-b",
+        apiKey: "b",
+        timeout: 1000,
+      }),
+    { message: /timeout are shared by all merchants/ }
+  );
+  t.throws(() => registry.for("shop-b"), {
+    message: 'PayWayMerchantRegistry.for: unknown merchant "shop-b"',
+  });
+  t.throws(() => new PayWayMerchantRegistry({ defaults: { httpAgent: {} } }), {
+    message: /set httpAgent on the registry/,
+  });
+});
+
+test("PayWayMerchantRegistry should verify callbacks with the merchant's key", async (t) => {
+  const registry = new PayWayMerchantRegistry({
+    merchants: [
+      { environment: "sandbox", merchantId: "shop-a", apiKey: "a" },
+      { environment: "sandbox", merchantId: "shop-b", apiKey: "b" },
+    ],
+  });
+  const callback = signed_callback(registry.for("shop-b"), {
+    tran_id: "order-1",
+    apv: "123456",
+    status: "0",
+    merchant_id: "shop-b",
+  });
+
+  t.is(registry.verify_callback(callback).merchant_id, "shop-b");
+  t.throws(
+    () => registry.verify_callback({ ...callback, merchant_id: "shop-a" }),
+    {
+      instanceOf: PayWayCallbackError,
+    }
+  );
+  t.throws(() => registry.verify_callback({ ...callback, merchant_id: "" }), {
+    instanceOf: PayWayCallbackError,
+    message: "Callback merchant_id is missing",
+  });
+
+  const handler = fetch_callback_handler(registry, () => {});
+  const response = await handler(
+    new Request("http://localhost/callback", {
+      method: "POST",
+      body: JSON.stringify(callback),
+    })
+  );
+  t.is(response.status, 200);
+});
@@ -0,0 +1,763 @@
+/**
+ * Dependency-free QR code encoder and renderer, used to display the KHQR
+ * strings returned by PayWay. Encodes in byte mode (UTF-8), picks the
+ * smallest version for the error correction level and the mask with the
+ * lowest penalty, as described in ISO/IEC 18004.
+ */
+
+/**
+ * Error correction levels, with their format bits.
+ */
+const ECC_LEVELS = { L: 1, M: 0, Q: 3, H: 2 };
+
+/**
+ * Error correction codewords per block, indexed by level and version.
+ */
+const ECC_CODEWORDS_PER_BLOCK = {
+  L: [
+    -1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30,
+    28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30,
+    30, 30, 30,
+  ],
+  M: [
+    -1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26,
+    26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28,
+    28, 28, 28,
+  ],
+  Q: [
+    -1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28,
+    26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30,
+    30, 30, 30,
+  ],
+  H: [
+    -1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28,
+    26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30,
+    30, 30, 30,
+  ],
+};
+
+/**
+ * Number of error correction blocks, indexed by level and version.
+ */
+const ECC_BLOCKS = {
+  L: [
+    -1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10,
+    12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25,
+  ],
+  M: [
+    -1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17,
+    17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49,
+  ],
+  Q: [
+    -1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23,
+    23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68,
+  ],
+  H: [
+    -1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25,
+    25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77,
+    81,
+  ],
+};
+
+/**
+ * Proportions of the KHQR card from the Bakong KHQR guideline: a 20:29 card
+ * with a red header, a merchant name and amount section, then the QR code.
+ */
+const KHQR_FRAME = {
+  ratio: 29 / 20,
+  header: 0.12,
+  info: 0.2,
+  qr: 0.8,
+  radius: 0.06,
+  color: "#E1232E",
+};
+
+/**
+ * Number of modules available for data and error correction.
+ * @private
+ */
+function raw_data_modules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const align = Math.floor(version / 7) + 2;
+    result -= (25 * align - 10) * align - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+/**
+ * Number of 8-bit data codewords available for a version and level.
+ * @private
+ */
+function data_codewords(version, ecc) {
+  return (
+    Math.floor(raw_data_modules(version) / 8) -
+    ECC_CODEWORDS_PER_BLOCK[ecc][version] * ECC_BLOCKS[ecc][version]
+  );
+}
+
+/**
+ * Multiplies two elements of GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1.
+ * @private
+ */
+function gf_multiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+/**
+ * Reed-Solomon generator polynomial of the given degree.
+ * @private
+ */
+function rs_divisor(degree) {
+  const result = new Array(degree - 1).fill(0).concat([1]);
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gf_multiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gf_multiply(root, 0x02);
+  }
+  return result;
+}
+
+/**
+ * Reed-Solomon error correction codewords of a data block.
+ * @private
+ */
+function rs_remainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  for (const byte of data) {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gf_multiply(coefficient, factor);
+    });
+  }
+  return result;
+}
+
+/**
+ * Encodes text into data codewords for the smallest fitting version.
+ * @private
+ */
+function data_segment(text, ecc) {
+  const bytes = new TextEncoder().encode(text);
+
+  let version = 1;
+  for (; version <= 40; version++) {
+    const count_bits = version < 10 ? 8 : 16;
+    if (4 + count_bits + bytes.length * 8 <= data_codewords(version, ecc) * 8) {
+      break;
+    }
+  }
+  if (version > 40) {
+    throw new Error("render_qr: data is too long for a QR code");
+  }
+
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+  append(0b0100, 4);
+  append(bytes.length, version < 10 ? 8 : 16);
+  for (const byte of bytes) append(byte, 8);
+
+  const capacity = data_codewords(version, ecc) * 8;
+  append(0, Math.min(4, capacity - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) {
+    append(pad, 8);
+  }
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((a, b) => (a << 1) | b, 0));
+  }
+  return { version, codewords };
+}
+
+/**
+ * Splits data codewords into blocks, appends error correction and
+ * interleaves the result.
+ * @private
+ */
+function interleave(codewords, version, ecc) {
+  const num_blocks = ECC_BLOCKS[ecc][version];
+  const ecc_length = ECC_CODEWORDS_PER_BLOCK[ecc][version];
+  const raw_codewords = Math.floor(raw_data_modules(version) / 8);
+  const short_blocks = num_blocks - (raw_codewords % num_blocks);
+  const short_length = Math.floor(raw_codewords / num_blocks);
+  const divisor = rs_divisor(ecc_length);
+
+  const blocks = [];
+  for (let i = 0, k = 0; i < num_blocks; i++) {
+    const data = codewords.slice(
+      k,
+      k + short_length - ecc_length + (i < short_blocks ? 0 : 1)
+    );
+    k += data.length;
+    const block = data.concat(rs_remainder(data, divisor));
+    if (i < short_blocks) block.splice(data.length, 0, 0);
+    blocks.push(block);
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== short_length - ecc_length || j >= short_blocks) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+}
+
+/**
+ * Centres of the alignment patterns of a version.
+ * @private
+ */
+function alignment_positions(version) {
+  if (version === 1) return [];
+  const size = version * 4 + 17;
+  const count = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < count; pos -= step) {
+    result.splice(1, 0, pos);
+  }
+  return result;
+}
+
+/**
+ * Whether a mask inverts the module at (x, y).
+ * @private
+ */
+function mask_applies(mask, x, y) {
+  switch (mask) {
+    case 0:
+      return (x + y) % 2 === 0;
+    case 1:
+      return y % 2 === 0;
+    case 2:
+      return x % 3 === 0;
+    case 3:
+      return (x + y) % 3 === 0;
+    case 4:
+      return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+    case 5:
+      return ((x * y) % 2) + ((x * y) % 3) === 0;
+    case 6:
+      return (((x * y) % 2) + ((x * y) % 3)) % 2 === 0;
+    default:
+      return (((x + y) % 2) + ((x * y) % 3)) % 2 === 0;
+  }
+}
+
+/**
+ * Penalty score of a symbol, lower is easier to scan.
+ * @private
+ */
+function penalty(modules) {
+  const size = modules.length;
+  let score = 0;
+  let dark = 0;
+
+  const lines = [];
+  for (let i = 0; i < size; i++) {
+    lines.push(modules[i]);
+    lines.push(modules.map((row) => row[i]));
+  }
+  for (const line of lines) {
+    let run = 1;
+    for (let i = 1; i <= size; i++) {
+      if (i < size && line[i] === line[i - 1]) {
+        run++;
+      } else {
+        if (run >= 5) score += 3 + (run - 5);
+        run = 1;
+      }
+    }
+
+    // Finder-like patterns, with the area outside the symbol counted as light
+    const text = `0000${line.map(Number).join("")}0000`;
+    for (const pattern of ["00001011101", "10111010000"]) {
+      for (
+        let i = text.indexOf(pattern);
+        i !== -1;
+        i = text.indexOf(pattern, i + 1)
+      ) {
+        score += 40;
+      }
+    }
+  }
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (modules[y][x]) dark++;
+      if (
+        x + 1 < size &&
+        y + 1 < size &&
+        modules[y][x] === modules[y][x + 1] &&
+        modules[y][x] === modules[y + 1][x] &&
+        modules[y][x] === modules[y + 1][x + 1]
+      ) {
+        score += 3;
+      }
+    }
+  }
+
+  score += Math.floor(Math.abs((dark * 100) / (size * size) - 50) / 5) * 10;
+  return score;
+}
+
+/**
+ * Encodes text as a QR code.
+ * @param {string} text - Text to encode, e.g. a KHQR string
+ * @param {object} [options={}]
+ * @param {"L"|"M"|"Q"|"H"} [options.ecc="M"] - Error correction level
+ * @returns {{version: number, size: number, modules: boolean[][]}} Module matrix, `true` for dark modules
+ */
+function encode_qr(text, { ecc = "M" } = {}) {
+  if (typeof text !== "string" || text === "") {
+    throw new Error("render_qr: data must be a non-empty string");
+  }
+  if (!(ecc in ECC_LEVELS)) {
+    throw new Error('render_qr: ecc must be one of "L", "M", "Q" or "H"');
+  }
+
+  const { version, codewords } = data_segment(text, ecc);
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => Array(size).fill(false));
+  const reserved = Array.from({ length: size }, () => Array(size).fill(false));
+  const set = (x, y, dark) => {
+    modules[y][x] = dark;
+    reserved[y][x] = true;
+  };
+
+  // Timing patterns, finder patterns and alignment patterns
+  for (let i = 0; i < size; i++) {
+    set(6, i, i % 2 === 0);
+    set(i, 6, i % 2 === 0);
+  }
+  for (const [cx, cy] of [
+    [3, 3],
+    [size - 4, 3],
+    [3, size - 4],
+  ]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx;
+        const y = cy + dy;
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) {
+          set(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    }
+  }
+  const positions = alignment_positions(version);
+  const last = positions.length - 1;
+  positions.forEach((cx, i) =>
+    positions.forEach((cy, j) => {
+      if (
+        (i === 0 && j === 0) ||
+        (i === 0 && j === last) ||
+        (i === last && j === 0)
+      ) {
+        return;
+      }
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    })
+  );
+
+  const draw_format = (mask) => {
+    const data = (ECC_LEVELS[ecc] << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    const bit = (i) => ((bits >>> i) & 1) !== 0;
+
+    for (let i = 0; i <= 5; i++) set(8, i, bit(i));
+    set(8, 7, bit(6));
+    set(8, 8, bit(7));
+    set(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) set(14 - i, 8, bit(i));
+    for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(i));
+    set(8, size - 8, true);
+  };
+  draw_format(0);
+
+  if (version >= 7) {
+    let rem = version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = (version << 12) | rem;
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) !== 0;
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      set(a, b, dark);
+      set(b, a, dark);
+    }
+  }
+
+  // Data modules, in the zigzag order of ISO/IEC 18004
+  const data = interleave(codewords, version, ecc);
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vertical = 0; vertical < size; vertical++) {
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vertical : vertical;
+        if (!reserved[y][x] && i < data.length * 8) {
+          modules[y][x] = ((data[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+          i++;
+        }
+      }
+    }
+  }
+
+  const apply_mask = (mask) => {
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!reserved[y][x] && mask_applies(mask, x, y)) {
+          modules[y][x] = !modules[y][x];
+        }
+      }
+    }
+  };
+
+  let best_mask = 0;
+  let best_score = Infinity;
+  for (let mask = 0; mask < 8; mask++) {
+    apply_mask(mask);
+    draw_format(mask);
+    const score = penalty(modules);
+    if (score < best_score) {
+      best_mask = mask;
+      best_score = score;
+    }
+    apply_mask(mask);
+  }
+  apply_mask(best_mask);
+  draw_format(best_mask);
+
+  return { version, size, modules };
+}
+
+/**
+ * Computes the layout of a KHQR card of the given width, following the
+ * proportions of the Bakong KHQR guideline (20:29 card, red header, merchant
+ * name and amount, then the QR code). Useful to position your own logo or
+ * text around a QR code.
+ * @param {number} [width=320] - Card width in pixels
+ * @returns {{width: number, height: number, header_height: number, info_y: number, info_height: number, qr_x: number, qr_y: number, qr_size: number, radius: number, color: string}} Card layout in pixels
+ */
+function khqr_frame_dimensions(width = 320) {
+  if (!Number.isFinite(width) || width <= 0) {
+    throw new Error("khqr_frame_dimensions: width must be a positive number");
+  }
+
+  const height = Math.round(width * KHQR_FRAME.ratio);
+  const header_height = Math.round(height * KHQR_FRAME.header);
+  const info_height = Math.round(height * KHQR_FRAME.info);
+  const qr_size = Math.round(width * KHQR_FRAME.qr);
+  const qr_area = height - header_height - info_height;
+
+  return {
+    width,
+    height,
+    header_height,
+    info_y: header_height,
+    info_height,
+    qr_x: Math.round((width - qr_size) / 2),
+    qr_y: header_height + info_height + Math.round((qr_area - qr_size) / 2),
+    qr_size,
+    radius: Math.round(width * KHQR_FRAME.radius),
+    color: KHQR_FRAME.color,
+  };
+}
+
+/**
+ * Escapes text for use in SVG markup.
+ * @private
+ */
+function escape_xml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * SVG path of the dark modules, in module units.
+ * @private
+ */
+function modules_path(modules, offset) {
+  let path = "";
+  modules.forEach((row, y) =>
+    row.forEach((dark, x) => {
+      if (dark) path += `M${x + offset} ${y + offset}h1v1h-1z`;
+    })
+  );
+  return path;
+}
+
+/**
+ * Renders a QR code as SVG markup.
+ * @private
+ */
+function render_svg({ size, modules }, options) {
+  const { scale, margin, dark, light, frame } = options;
+
+  if (!frame) {
+    const total = size + margin * 2;
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${total} ${total}" width="${total * scale}" height="${total * scale}" shape-rendering="crispEdges">`,
+      `<rect width="100%" height="100%" fill="${escape_xml(light)}"/>`,
+      `<path fill="${escape_xml(dark)}" d="${modules_path(modules, margin)}"/>`,
+      "</svg>",
+    ].join("");
+  }
+
+  const card = khqr_frame_dimensions(frame.width ?? 320);
+  const unit = card.qr_size / size;
+  const font = Math.round(card.width * 0.05);
+  const divider = card.qr_y - Math.round(card.width * 0.04);
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${card.width} ${card.height}" width="${card.width}" height="${card.height}">`,
+    `<clipPath id="khqr-card"><rect width="${card.width}" height="${card.height}" rx="${card.radius}"/></clipPath>`,
+    `<g clip-path="url(#khqr-card)">`,
+    `<rect width="${card.width}" height="${card.height}" fill="${escape_xml(light)}"/>`,
+    `<rect width="${card.width}" height="${card.header_height}" fill="${card.color}"/>`,
+    `<text x="${card.width / 2}" y="${card.header_height / 2}" fill="#ffffff" font-family="sans-serif" font-weight="bold" font-size="${font * 1.4}" text-anchor="middle" dominant-baseline="central">KHQR</text>`,
+    frame.merchant_name
+      ? `<text x="${card.width * 0.1}" y="${card.info_y + card.info_height * 0.35}" fill="#000000" font-family="sans-serif" font-size="${font}">${escape_xml(frame.merchant_name)}</text>`
+      : "",
+    frame.amount != null
+      ? `<text x="${card.width * 0.1}" y="${card.info_y + card.info_height * 0.75}" fill="#000000" font-family="sans-serif" font-weight="bold" font-size="${font * 1.6}">${escape_xml(frame.amount)}</text>`
+      : "",
+    `<line x1="0" y1="${divider}" x2="${card.width}" y2="${divider}" stroke="#000000" stroke-opacity="0.3" stroke-dasharray="6 4"/>`,
+    `<g transform="translate(${card.qr_x} ${card.qr_y}) scale(${unit})" shape-rendering="crispEdges">`,
+    `<path fill="${escape_xml(dark)}" d="${modules_path(modules, 0)}"/>`,
+    "</g>",
+    "</g>",
+    "</svg>",
+  ].join("");
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 of PNG chunk data.
+ * @private
+ */
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Wraps bytes in an uncompressed zlib stream.
+ * @private
+ */
+function zlib_store(bytes) {
+  const blocks = Math.max(1, Math.ceil(bytes.length / 0xffff));
+  const out = new Uint8Array(2 + bytes.length + blocks * 5 + 4);
+  let o = 0;
+  out[o++] = 0x78;
+  out[o++] = 0x01;
+  for (let i = 0; i < blocks; i++) {
+    const chunk = bytes.subarray(i * 0xffff, (i + 1) * 0xffff);
+    out[o++] = i === blocks - 1 ? 1 : 0;
+    out[o++] = chunk.length & 0xff;
+    out[o++] = chunk.length >>> 8;
+    out[o++] = ~chunk.length & 0xff;
+    out[o++] = (~chunk.length >>> 8) & 0xff;
+    out.set(chunk, o);
+    o += chunk.length;
+  }
+  let a = 1;
+  let b = 0;
+  for (const byte of bytes) {
+    a = (a + byte) % 65521;
+    b = (b + a) % 65521;
+  }
+  out[o++] = b >>> 8;
+  out[o++] = b & 0xff;
+  out[o++] = a >>> 8;
+  out[o++] = a & 0xff;
+  return out;
+}
+
+/**
+ * Parses a #rgb or #rrggbb colour.
+ * @private
+ */
+function parse_color(color, name) {
+  const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+  if (!match) {
+    throw new Error(`render_qr: ${name} must be a #rgb or #rrggbb color`);
+  }
+  const hex = match[1].length === 3 ? match[1].replace(/./g, "$&$&") : match[1];
+  return [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16));
+}
+
+/**
+ * Encodes palette pixels as a PNG file.
+ * @private
+ */
+function encode_png(width, height, palette, pixel) {
+  const raw = new Uint8Array((width + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (width + 1)] = 0;
+    for (let x = 0; x < width; x++) raw[y * (width + 1) + 1 + x] = pixel(x, y);
+  }
+
+  const chunks = [];
+  const chunk = (type, data) => {
+    const body = new Uint8Array(4 + data.length);
+    for (let i = 0; i < 4; i++) body[i] = type.charCodeAt(i);
+    body.set(data, 4);
+    const out = new Uint8Array(12 + data.length);
+    const view = new DataView(out.buffer);
+    view.setUint32(0, data.length);
+    out.set(body, 4);
+    view.setUint32(8 + data.length, crc32(body));
+    chunks.push(out);
+  };
+
+  const header = new Uint8Array(13);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  header.set([8, 3, 0, 0, 0], 8);
+
+  chunks.push(Uint8Array.from([137, 80, 78, 71, 13, 10, 26, 10]));
+  chunk("IHDR", header);
+  chunk("PLTE", Uint8Array.from(palette.flat()));
+  chunk("IDAT", zlib_store(raw));
+  chunk("IEND", new Uint8Array(0));
+
+  const png = new Uint8Array(chunks.reduce((n, c) => n + c.length, 0));
+  chunks.reduce((offset, c) => (png.set(c, offset), offset + c.length), 0);
+  return png;
+}
+
+/**
+ * Renders a QR code as a PNG data URL. Frames only draw the card and its
+ * red header, without text.
+ * @private
+ */
+function render_png({ size, modules }, options) {
+  const { scale, margin, dark, light, frame } = options;
+  const palette = [
+    parse_color(light, "light"),
+    parse_color(dark, "dark"),
+    parse_color(KHQR_FRAME.color, "frame color"),
+  ];
+
+  let width;
+  let height;
+  let pixel;
+  if (!frame) {
+    width = height = (size + margin * 2) * scale;
+    pixel = (x, y) => {
+      const mx = Math.floor(x / scale) - margin;
+      const my = Math.floor(y / scale) - margin;
+      return mx >= 0 && my >= 0 && mx < size && my < size && modules[my][mx]
+        ? 1
+        : 0;
+    };
+  } else {
+    const card = khqr_frame_dimensions(frame.width ?? 320);
+    const unit = Math.max(1, Math.floor(card.qr_size / size));
+    const left = card.qr_x + Math.floor((card.qr_size - unit * size) / 2);
+    const top = card.qr_y + Math.floor((card.qr_size - unit * size) / 2);
+    width = card.width;
+    height = card.height;
+    pixel = (x, y) => {
+      if (y < card.header_height) return 2;
+      const mx = Math.floor((x - left) / unit);
+      const my = Math.floor((y - top) / unit);
+      return x >= left && y >= top && mx < size && my < size && modules[my][mx]
+        ? 1
+        : 0;
+    };
+  }
+
+  const png = encode_png(width, height, palette, pixel);
+  let binary = "";
+  for (let i = 0; i < png.length; i += 0x8000) {
+    binary += String.fromCharCode(...png.subarray(i, i + 0x8000));
+  }
+  return `data:image/png;base64,${btoa(binary)}`;
+}
+
+/**
+ * Renders a QR string, such as the KHQR returned by `generate_qr` or the
+ * `qr_code` of a transaction, to SVG markup or a PNG data URL. Rendering is
+ * done locally, without network access or dependencies.
+ * @param {string} data - Text to encode
+ * @param {object} [options={}]
+ * @param {"svg"|"png"} [options.format="svg"] - Output format
+ * @param {"L"|"M"|"Q"|"H"} [options.ecc="M"] - Error correction level
+ * @param {number} [options.scale=8] - Pixels per module (ignored with `frame`)
+ * @param {number} [options.margin=4] - Quiet zone in modules (ignored with `frame`)
+ * @param {string} [options.dark="#000000"] - Colour of dark modules
+ * @param {string} [options.light="#ffffff"] - Background colour
+ * @param {object} [options.frame] - Draw a KHQR card around the code, see {@link khqr_frame_dimensions}
+ * @param {number} [options.frame.width=320] - Card width in pixels
+ * @param {string} [options.frame.merchant_name] - Merchant name (SVG only)
+ * @param {string} [options.frame.amount] - Formatted amount, e.g. "$ 10.00" (SVG only)
+ * @returns {string} SVG markup, or a `data:image/png;base64,...` URL
+ */
+function render_qr(
+  data,
+  {
+    format = "svg",
+    ecc = "M",
+    scale = 8,
+    margin = 4,
+    dark = "#000000",
+    light = "#ffffff",
+    frame,
+  } = {}
+) {
+  if (format !== "svg" && format !== "png") {
+    throw new Error('render_qr: format must be "svg" or "png"');
+  }
+  if (!Number.isInteger(scale) || scale < 1) {
+    throw new Error("render_qr: scale must be a positive integer");
+  }
+  if (!Number.isInteger(margin) || margin < 0) {
+    throw new Error("render_qr: margin must be a non-negative integer");
+  }
+
+  const qr = encode_qr(data, { ecc });
+  const options = { scale, margin, dark, light, frame };
+  return format === "svg" ? render_svg(qr, options) : render_png(qr, options);
+}
+
+exports.encode_qr = encode_qr;
+exports.render_qr = render_qr;
+exports.khqr_frame_dimensions = khqr_frame_dimensions;
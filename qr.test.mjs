@@ -0,0 +1,114 @@
+import test from "ava";
+import jsQR from "jsqr";
+import { inflateSync } from "node:zlib";
+import { encode_qr, render_qr, khqr_frame_dimensions } from "./qr.js";
+
+const KHQR =
+  "00020101021230510016abaakhppxxx@abaa01150850000000000000208ABA Bank" +
+  "40390006abaP2P0112D5E5BE8BA5D202090020101520459995303840540510.005802KH" +
+  "5910ABA Merch6010Phnom Penh62140110ord-123456763049C1D";
+
+// Decodes the palette PNGs written by render_qr and scans them with jsQR
+function scan_png(data_url) {
+  const png = Buffer.from(data_url.split(",")[1], "base64");
+  let width, height, palette;
+  const idat = [];
+  for (let offset = 8; offset < png.length;) {
+    const length = png.readUInt32BE(offset);
+    const type = png.toString("ascii", offset + 4, offset + 8);
+    const data = png.subarray(offset + 8, offset + 8 + length);
+    if (type === "IHDR") {
+      width = data.readUInt32BE(0);
+      height = data.readUInt32BE(4);
+    }
+    if (type === "PLTE") palette = data;
+    if (type === "IDAT") idat.push(data);
+    offset += 12 + length;
+  }
+
+  const raw = inflateSync(Buffer.concat(idat));
+  const rgba = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = raw[y * (width + 1) + 1 + x] * 3;
+      rgba.set(
+        [...palette.subarray(index, index + 3), 255],
+        (y * width + x) * 4
+      );
+    }
+  }
+  return { width, height, text: jsQR(rgba, width, height)?.data };
+}
+
+test("render_qr should produce scannable PNGs at every level and size", (t) => {
+  for (const ecc of ["L", "M", "Q", "H"]) {
+    for (const length of [1, 40, 150, 400, 1000]) {
+      const text = KHQR.repeat(5).slice(0, length);
+      const { text: scanned } = scan_png(
+        render_qr(text, { format: "png", ecc, scale: 2 })
+      );
+      t.is(scanned, text, `${ecc} / ${length} characters`);
+    }
+  }
+});
+
+test("render_qr should encode UTF-8 text", (t) => {
+  const { text } = scan_png(render_qr("ហាងកាហ្វេ", { format: "png" }));
+  t.is(text, "ហាងកាហ្វេ");
+});
+
+test("encode_qr should pick the smallest version", (t) => {
+  t.is(encode_qr("hello").version, 1);
+  t.is(encode_qr("hello").size, 21);
+  t.is(encode_qr(KHQR).version, 10);
+  t.throws(() => encode_qr("x".repeat(3000)), { message: /too long/ });
+});
+
+test("render_qr should render SVG with a quiet zone", (t) => {
+  const svg = render_qr("hello", { scale: 4, dark: "#112233" });
+
+  t.regex(
+    svg,
+    /^<svg xmlns="http:\/\/www.w3.org\/2000\/svg" viewBox="0 0 29 29"/
+  );
+  t.regex(svg, /width="116" height="116"/);
+  t.regex(svg, /<path fill="#112233" d="M4 4h1v1h-1z/);
+});
+
+test("render_qr should draw a KHQR frame", (t) => {
+  const card = khqr_frame_dimensions(320);
+  t.deepEqual(card, {
+    width: 320,
+    height: 464,
+    header_height: 56,
+    info_y: 56,
+    info_height: 93,
+    qr_x: 32,
+    qr_y: 179,
+    qr_size: 256,
+    radius: 19,
+    color: "#E1232E",
+  });
+
+  const png = scan_png(render_qr(KHQR, { format: "png", frame: {} }));
+  t.is(png.text, KHQR);
+  t.is(png.width, 320);
+  t.is(png.height, 464);
+
+  const svg = render_qr(KHQR, {
+    frame: { width: 400, merchant_name: "Coffee <Shop>", amount: "$ 10.00" },
+  });
+  t.regex(svg, /viewBox="0 0 400 580"/);
+  t.regex(svg, /Coffee &lt;Shop&gt;/);
+  t.regex(svg, /fill="#E1232E"/);
+});
+
+test("render_qr should validate its options", (t) => {
+  t.throws(() => render_qr(""), { message: /non-empty string/ });
+  t.throws(() => render_qr("x", { format: "gif" }), { message: /format/ });
+  t.throws(() => render_qr("x", { ecc: "X" }), { message: /ecc/ });
+  t.throws(() => render_qr("x", { scale: 0 }), { message: /scale/ });
+  t.throws(() => render_qr("x", { format: "png", dark: "black" }), {
+    message: /dark must be a #rgb or #rrggbb color/,
+  });
+});
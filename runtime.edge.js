@@ -0,0 +1,11 @@
+/**
+ * Web runtime bindings, for Cloudflare Workers, Vercel Edge, Deno and
+ * browsers. Only Web APIs are used: `crypto.subtle` for signing and `fetch`
+ * for requests. Synchronous HMAC is not available, so `create_hash` and the
+ * other synchronous signing methods throw; use their `_async` variants.
+ */
+
+exports.name = "edge";
+exports.hmac_sha512 = null;
+exports.subtle = globalThis.crypto?.subtle ?? null;
+exports.load_axios = () => null;
@@ -0,0 +1,35 @@
+const { createHmac, webcrypto } = require("node:crypto");
+
+/**
+ * Node.js runtime bindings. Web runtimes (Cloudflare Workers, Vercel Edge,
+ * Deno, browsers) load `runtime.edge.js` instead, through the `#runtime`
+ * import conditions in package.json.
+ */
+
+/**
+ * Computes a base64 HMAC-SHA512 synchronously.
+ * @param {string} key - HMAC key
+ * @param {string} data - Data to sign
+ * @returns {string} Base64-encoded digest
+ */
+function hmac_sha512(key, data) {
+  return createHmac("sha512", key).update(data).digest("base64");
+}
+
+/**
+ * Loads axios, which is an optional dependency.
+ * @returns {object|null} The axios default export, or null when not installed
+ */
+function load_axios() {
+  try {
+    return require("axios").default;
+  } catch (error) {
+    if (error.code !== "MODULE_NOT_FOUND") throw error;
+    return null;
+  }
+}
+
+exports.name = "node";
+exports.hmac_sha512 = hmac_sha512;
+exports.subtle = webcrypto.subtle;
+exports.load_axios = load_axios;
@@ -0,0 +1,97 @@
+import type {
+  PayWayClient,
+  PayWayClientOptions,
+  CheckTransactionResponse,
+  PayWayCallbackPayload,
+  TransactionStatusType,
+} from "./index";
+
+/**
+ * Options for the mock PayWay server
+ */
+export interface MockPayWayServerOptions {
+  /** Merchant ID accepted by the server (defaults to "mock-merchant") */
+  merchant_id?: string;
+  /** API key used to verify and sign hashes (defaults to "mock-api-key") */
+  api_key?: string;
+}
+
+/**
+ * Transaction stored by the mock server
+ */
+export interface MockTransaction extends CheckTransactionResponse {
+  tran_id: string;
+  status: TransactionStatusType;
+  /** Decoded return_url, used as the default callback URL */
+  return_url?: string;
+}
+
+/**
+ * Request received by the mock server
+ */
+export interface MockRequest {
+  /** Request path */
+  path: string;
+  /** Decoded form fields */
+  fields: Record<string, string>;
+}
+
+/**
+ * In-process fake of the PayWay API for offline integration tests
+ */
+export declare class MockPayWayServer {
+  /** Merchant ID accepted by the server */
+  readonly merchant_id: string;
+  /** API key used to verify and sign hashes */
+  readonly api_key: string;
+  /** Base URL of the server, set once listening */
+  url: string | null;
+  /** Transactions by tran_id */
+  readonly transactions: Map<string, MockTransaction>;
+  /** Every request received, in order */
+  readonly requests: MockRequest[];
+
+  constructor(options?: MockPayWayServerOptions);
+
+  /** Starts listening on a random local port */
+  listen(): Promise<this>;
+  /** Stops the server */
+  close(): Promise<void>;
+  /** Creates a PayWayClient pointed at this server with matching credentials */
+  client<Normalize extends boolean = false>(
+    options?: PayWayClientOptions<Normalize>
+  ): PayWayClient<Normalize>;
+  /** Adds a transaction directly, bypassing the purchase endpoint */
+  add_transaction(
+    transaction: Partial<MockTransaction> & { tran_id: string }
+  ): MockTransaction;
+  /** Moves a transaction to another status */
+  set_status(
+    tran_id: string,
+    status:
+      | "PENDING"
+      | "APPROVED"
+      | "DECLINED"
+      | "CANCELLED"
+      | "REFUNDED"
+      | "PRE-AUTH"
+  ): MockTransaction;
+  /** Builds the signed pushback body PayWay would send for a transaction */
+  sign_callback(
+    tran_id: string,
+    fields?: Partial<PayWayCallbackPayload>
+  ): PayWayCallbackPayload;
+  /** Posts a signed callback to `url`, or to the transaction's return_url */
+  send_callback(
+    tran_id: string,
+    url?: string,
+    fields?: Partial<PayWayCallbackPayload>
+  ): Promise<Response>;
+}
+
+/**
+ * Creates and starts a mock PayWay server
+ */
+export declare function create_mock_server(
+  options?: MockPayWayServerOptions
+): Promise<MockPayWayServer>;
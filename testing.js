@@ -0,0 +1,393 @@
+const { createServer } = require("node:http");
+const {
+  PayWayClient,
+  CALLBACK_HASH_FIELDS,
+  SIGNING_SPECS,
+  format_req_time,
+} = require("./index.js");
+
+/**
+ * Endpoints served by the mock server, with the method handling them.
+ * Request hashes are checked against the endpoint's spec in SIGNING_SPECS.
+ */
+const ENDPOINTS = {
+  "/api/payment-gateway/v1/payments/purchase": "_purchase",
+  "/api/payment-gateway/v1/payments/check-transaction": "_check_transaction",
+  "/api/payment-gateway/v1/payments/transaction-list": "_transaction_list",
+};
+
+/**
+ * Statuses a mock transaction can be moved to with `set_status`.
+ */
+const STATUSES = [
+  "PENDING",
+  "APPROVED",
+  "DECLINED",
+  "CANCELLED",
+  "REFUNDED",
+  "PRE-AUTH",
+];
+
+/**
+ * Error answered by the mock server as PayWay does: the code and message go
+ * in the body's `status`, and `statusCode` is the HTTP status, which is 200
+ * for errors PayWay only reports in the body.
+ * @private
+ */
+class MockResponseError extends Error {
+  constructor(statusCode, code, message) {
+    super(message);
+    this.statusCode = statusCode;
+    this.code = code;
+  }
+}
+
+/**
+ * Formats the current time as PayWay's "yyyy-MM-dd HH:mm:ss" timestamps, in
+ * Phnom Penh time whatever the time zone of the machine.
+ * @private
+ */
+function payway_now() {
+  return format_req_time(new Date()).replace(
+    /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/,
+    "$1-$2-$3 $4:$5:$6"
+  );
+}
+
+/**
+ * Decodes a base64 string, as sent for `return_url`.
+ * @private
+ */
+function decode_base64(value) {
+  if (!value) return value;
+  return Buffer.from(value, "base64").toString("utf-8");
+}
+
+/**
+ * In-process fake of the PayWay API for offline integration tests. It
+ * verifies request hashes with the same algorithm as `create_hash`, keeps
+ * transactions in memory and can send signed callbacks.
+ */
+class MockPayWayServer {
+  /**
+   * @param {object} [options={}]
+   * @param {string} [options.merchant_id="mock-merchant"] - Merchant ID accepted by the server
+   * @param {string} [options.api_key="mock-api-key"] - API key used to verify and sign hashes
+   */
+  constructor({
+    merchant_id = "mock-merchant",
+    api_key = "mock-api-key",
+  } = {}) {
+    this.merchant_id = merchant_id;
+    this.api_key = api_key;
+    this.url = null;
+    this.transactions = new Map();
+    this.requests = [];
+    this._signer = new PayWayClient("", merchant_id, api_key);
+    this._server = createServer((req, res) => this._handle(req, res));
+  }
+
+  /**
+   * Starts listening on a random local port.
+   * @returns {Promise<MockPayWayServer>} This server, with `url` set
+   */
+  async listen() {
+    await new Promise((resolve, reject) => {
+      this._server.once("error", reject);
+      this._server.listen(0, "127.0.0.1", resolve);
+    });
+    this.url = `http://127.0.0.1:${this._server.address().port}`;
+    return this;
+  }
+
+  /**
+   * Stops the server.
+   * @returns {Promise<void>}
+   */
+  close() {
+    return new Promise((resolve, reject) => {
+      this._server.close((error) => (error ? reject(error) : resolve()));
+    });
+  }
+
+  /**
+   * Creates a PayWayClient pointed at this server with matching credentials.
+   * @param {object} [options] - PayWayClient options
+   * @returns {PayWayClient}
+   */
+  client(options) {
+    return new PayWayClient(this.url, this.merchant_id, this.api_key, options);
+  }
+
+  /**
+   * Adds a transaction directly, bypassing the purchase endpoint.
+   * @param {object} transaction - Transaction fields; `tran_id` is required
+   * @returns {object} The stored transaction
+   */
+  add_transaction(transaction) {
+    if (!transaction?.tran_id) {
+      throw new Error("add_transaction: tran_id is required");
+    }
+    const now = payway_now();
+    const stored = {
+      status: "PENDING",
+      amount: "0",
+      currency: "USD",
+      created_at: now,
+      updated_at: now,
+      ...transaction,
+    };
+    this.transactions.set(stored.tran_id, stored);
+    return stored;
+  }
+
+  /**
+   * Moves a transaction to another status.
+   * @param {string} tran_id - Transaction ID
+   * @param {string} status - One of PENDING, APPROVED, DECLINED, CANCELLED, REFUNDED, PRE-AUTH
+   * @returns {object} The updated transaction
+   */
+  set_status(tran_id, status) {
+    const transaction = this.transactions.get(tran_id);
+    if (!transaction) {
+      throw new Error(`set_status: unknown transaction ${tran_id}`);
+    }
+    if (!STATUSES.includes(status)) {
+      throw new Error(
+        `set_status: status must be one of ${STATUSES.join(", ")}`
+      );
+    }
+    transaction.status = status;
+    transaction.updated_at = payway_now();
+    return transaction;
+  }
+
+  /**
+   * Builds the signed pushback body PayWay would send for a transaction.
+   * @param {string} tran_id - Transaction ID
+   * @param {object} [fields={}] - Fields overriding the defaults
+   * @returns {object} Signed callback body
+   */
+  sign_callback(tran_id, fields = {}) {
+    const transaction = this.transactions.get(tran_id);
+    const body = {
+      tran_id,
+      apv: transaction?.apv ?? "000000",
+      status: transaction?.status === "APPROVED" ? "0" : "1",
+      merchant_id: this.merchant_id,
+      ...fields,
+    };
+    body.hash = this._signer.create_hash(
+      CALLBACK_HASH_FIELDS.map((field) =>
+        body[field] == null ? "" : String(body[field])
+      )
+    );
+    return body;
+  }
+
+  /**
+   * Posts a signed callback for a transaction, as PayWay does after payment.
+   * @param {string} tran_id - Transaction ID
+   * @param {string} [url] - Callback URL; defaults to the transaction's `return_url`
+   * @param {object} [fields={}] - Fields overriding the defaults
+   * @returns {Promise<Response>} Response of the callback endpoint
+   */
+  async send_callback(tran_id, url, fields = {}) {
+    const target = url ?? this.transactions.get(tran_id)?.return_url;
+    if (!target) {
+      throw new Error(`send_callback: no callback URL for ${tran_id}`);
+    }
+    return fetch(target, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(this.sign_callback(tran_id, fields)),
+    });
+  }
+
+  /**
+   * @private
+   */
+  async _handle(req, res) {
+    let status = 200;
+    let body;
+
+    try {
+      const endpoint = new URL(req.url, "http://localhost").pathname;
+      if (req.method !== "POST" || !Object.hasOwn(ENDPOINTS, endpoint)) {
+        throw new MockResponseError(404, "NOT_FOUND", "Endpoint not found");
+      }
+
+      const fields = await this._read_fields(req);
+      this.requests.push({ path: req.url, fields });
+      this._verify(endpoint, fields);
+      body = {
+        ...this[ENDPOINTS[endpoint]](fields),
+        status: { code: "00", message: "Success!", tran_id: fields.tran_id },
+      };
+    } catch (error) {
+      status = error instanceof MockResponseError ? error.statusCode : 500;
+      body = {
+        status: {
+          code: error.code ?? "INTERNAL_ERROR",
+          message: error.message,
+        },
+      };
+    }
+
+    res.statusCode = status;
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Parses a multipart or url-encoded request body into a plain object.
+   * @private
+   */
+  async _read_fields(req) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+
+    try {
+      const form = await new Response(Buffer.concat(chunks), {
+        headers: { "Content-Type": req.headers["content-type"] ?? "" },
+      }).formData();
+      return Object.fromEntries(form);
+    } catch (error) {
+      throw new MockResponseError(400, "INVALID_BODY", "Malformed form data");
+    }
+  }
+
+  /**
+   * @private
+   */
+  _verify(endpoint, fields) {
+    if (fields.merchant_id !== this.merchant_id) {
+      throw new MockResponseError(401, "INVALID_MERCHANT", "Invalid merchant");
+    }
+    if (!/^\d{14}$/.test(fields.req_time ?? "")) {
+      throw new MockResponseError(400, "INVALID_REQ_TIME", "Invalid req_time");
+    }
+
+    const expected = this._signer.create_hash([
+      fields.req_time,
+      fields.merchant_id,
+      ...SIGNING_SPECS[endpoint].fields.map((field) => fields[field] ?? ""),
+    ]);
+    if (fields.hash !== expected) {
+      throw new MockResponseError(401, "WRONG_HASH", "Wrong hash");
+    }
+  }
+
+  /**
+   * @private
+   */
+  _purchase(fields) {
+    for (const field of ["tran_id", "amount", "currency", "payment_option"]) {
+      if (!fields[field]) {
+        throw new MockResponseError(
+          400,
+          "MISSING_FIELD",
+          `${field} is required`
+        );
+      }
+    }
+    if (this.transactions.has(fields.tran_id)) {
+      throw new MockResponseError(
+        409,
+        "DUPLICATE_TRAN_ID",
+        "Duplicate transaction ID"
+      );
+    }
+
+    const transaction = this.add_transaction({
+      tran_id: fields.tran_id,
+      amount: fields.amount,
+      currency: fields.currency,
+      payment_option: fields.payment_option,
+      type: fields.type,
+      // Saved cards are charged straight away, without a checkout page
+      status: fields.ctid ? "APPROVED" : "PENDING",
+      return_url: decode_base64(fields.return_url),
+    });
+
+    return {
+      data: {
+        tran_id: transaction.tran_id,
+        status: transaction.status,
+        payment_url: `${this.url}/checkout/${encodeURIComponent(
+          transaction.tran_id
+        )}`,
+        deeplink: `abamobilebank://ababank.com?type=payway&tran_id=${encodeURIComponent(
+          transaction.tran_id
+        )}`,
+      },
+    };
+  }
+
+  /**
+   * @private
+   */
+  _check_transaction(fields) {
+    const transaction = this.transactions.get(fields.tran_id);
+    if (!transaction) {
+      throw new MockResponseError(
+        200,
+        "TXN_NOT_FOUND",
+        "Transaction not found"
+      );
+    }
+    return { data: public_fields(transaction) };
+  }
+
+  /**
+   * @private
+   */
+  _transaction_list(fields) {
+    const day = (transaction) =>
+      transaction.created_at.slice(0, 10).replace(/-/g, "");
+    const matching = [...this.transactions.values()].filter(
+      (transaction) =>
+        (!fields.from_date || day(transaction) >= fields.from_date) &&
+        (!fields.to_date || day(transaction) <= fields.to_date) &&
+        (!fields.from_amount ||
+          Number(transaction.amount) >= Number(fields.from_amount)) &&
+        (!fields.to_amount ||
+          Number(transaction.amount) <= Number(fields.to_amount)) &&
+        (!fields.status || transaction.status === fields.status)
+    );
+
+    const per_page = Number(fields.pagination) || matching.length || 1;
+    const page = Number(fields.page) || 1;
+    const start = (page - 1) * per_page;
+
+    return {
+      data: matching.slice(start, start + per_page).map(public_fields),
+      total: matching.length,
+      page,
+      per_page,
+      total_pages: Math.max(1, Math.ceil(matching.length / per_page)),
+    };
+  }
+}
+
+/**
+ * Strips mock-only bookkeeping from a stored transaction.
+ * @private
+ */
+function public_fields(transaction) {
+  const fields = { ...transaction };
+  delete fields.return_url;
+  return fields;
+}
+
+/**
+ * Creates and starts a mock PayWay server.
+ * @param {object} [options] - See {@link MockPayWayServer}
+ * @returns {Promise<MockPayWayServer>} The listening server
+ */
+function create_mock_server(options) {
+  return new MockPayWayServer(options).listen();
+}
+
+exports.MockPayWayServer = MockPayWayServer;
+exports.create_mock_server = create_mock_server;
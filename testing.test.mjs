@@ -0,0 +1,489 @@
+import test from "ava";
+import { createServer } from "node:http";
+import { execFile } from "node:child_process";
+import { promisify } from "node:util";
+import {
+  PayWayClient,
+  PayWayError,
+  PayWayNotFoundError,
+  http_callback_handler,
+  fetch_transport,
+  reconciliation_csv,
+  TransactionStatus,
+  PayWayMerchantRegistry,
+  PayWayCallbackError,
+} from "./index.js";
+import { create_mock_server } from "./testing.js";
+
+test.beforeEach(async (t) => {
+  t.context.server = await create_mock_server({
+    merchant_id: "merchant",
+    api_key: "secret",
+  });
+});
+
+test.afterEach.always(async (t) => {
+  await t.context.server.close();
+});
+
+test("mock server should create and check transactions end to end", async (t) => {
+  const { server } = t.context;
+  const client = server.client();
+
+  const created = await client.create_transaction({
+    tran_id: "order-1",
+    payment_option: "abapay",
+    amount: "10.50",
+    currency: "USD",
+    firstname: "John",
+    items: [{ name: "Coffee", quantity: 1, price: 10.5 }],
+  });
+  t.is(created.data.tran_id, "order-1");
+  t.truthy(created.data.payment_url);
+  t.deepEqual(created.status, {
+    code: "00",
+    message: "Success!",
+    tran_id: "order-1",
+  });
+
+  let status = await client.check_transaction("order-1");
+  t.is(status.data.status, "PENDING");
+  t.is(status.data.amount, "10.50");
+
+  server.set_status("order-1", "APPROVED");
+  status = await client.check_transaction("order-1");
+  t.is(status.data.status, "APPROVED");
+
+  t.is(server.requests[0].fields.firstname, "John");
+});
+
+test("mock server should stamp transactions in Phnom Penh time", (t) => {
+  const { server } = t.context;
+  const phnom_penh = (timestamp) =>
+    new Date(`${timestamp.replace(" ", "T")}+07:00`).getTime();
+
+  const created = server.add_transaction({ tran_id: "order-1" });
+  t.true(Math.abs(phnom_penh(created.created_at) - Date.now()) < 5000);
+
+  const updated = server.set_status("order-1", "APPROVED");
+  t.true(Math.abs(phnom_penh(updated.updated_at) - Date.now()) < 5000);
+});
+
+test("mock server should reject requests with a bad hash", async (t) => {
+  const { server } = t.context;
+  const client = new PayWayClient(server.url, "merchant", "wrong-key");
+
+  const error = await t.throwsAsync(() => client.check_transaction("order-1"), {
+    instanceOf: PayWayError,
+  });
+  t.is(error.statusCode, 401);
+  t.is(error.errorCode, "WRONG_HASH");
+});
+
+test("mock server should reject unknown merchants", async (t) => {
+  const { server } = t.context;
+  const client = new PayWayClient(server.url, "someone-else", "secret");
+
+  const error = await t.throwsAsync(() => client.check_transaction("order-1"), {
+    instanceOf: PayWayError,
+  });
+  t.is(error.errorCode, "INVALID_MERCHANT");
+});
+
+test("mock server should report unknown and duplicate transactions", async (t) => {
+  const { server } = t.context;
+  const client = server.client();
+
+  const missing = await t.throwsAsync(() => client.check_transaction("nope"), {
+    instanceOf: PayWayNotFoundError,
+  });
+  t.is(missing.statusCode, 200);
+  t.is(missing.errorCode, "TXN_NOT_FOUND");
+  t.deepEqual(missing.response, {
+    status: { code: "TXN_NOT_FOUND", message: "Transaction not found" },
+  });
+
+  const params = {
+    tran_id: "order-1",
+    payment_option: "abapay",
+    amount: 1,
+    currency: "USD",
+  };
+  await client.create_transaction(params);
+  const duplicate = await t.throwsAsync(
+    () => client.create_transaction(params),
+    { instanceOf: PayWayError }
+  );
+  t.is(duplicate.errorCode, "DUPLICATE_TRAN_ID");
+});
+
+test("create_transaction should retry when the mock server has no such transaction", async (t) => {
+  const { server } = t.context;
+  const transport = fetch_transport();
+  let dropped = false;
+  const client = server.client({
+    retry: { baseDelay: 0 },
+    transport: {
+      request(options) {
+        if (!dropped && options.url.endsWith("/purchase")) {
+          dropped = true;
+          return Promise.reject(
+            Object.assign(new Error("socket hang up"), { code: "ECONNRESET" })
+          );
+        }
+        return transport.request(options);
+      },
+    },
+  });
+
+  const created = await client.create_transaction({
+    tran_id: "order-1",
+    payment_option: "abapay",
+    amount: 1,
+    currency: "USD",
+  });
+  t.is(created.data.tran_id, "order-1");
+  t.deepEqual(
+    server.requests.map(({ path }) => path.split("/").pop()),
+    ["check-transaction", "purchase"]
+  );
+});
+
+test("mock server should filter and paginate transaction_list", async (t) => {
+  const { server } = t.context;
+  for (let i = 1; i <= 5; i++) {
+    server.add_transaction({
+      tran_id: `order-${i}`,
+      amount: String(i * 10),
+      status: i % 2 ? "APPROVED" : "DECLINED",
+      created_at: `2024-01-0${i} 10:00:00`,
+    });
+  }
+  const client = server.client();
+
+  const page = await client.transaction_list({
+    status: "APPROVED",
+    page: 1,
+    pagination: 2,
+  });
+  t.is(page.total, 3);
+  t.is(page.total_pages, 2);
+  t.deepEqual(
+    page.data.map((transaction) => transaction.tran_id),
+    ["order-1", "order-3"]
+  );
+
+  const ids = [];
+  for await (const transaction of client.iterate_transactions({
+    from_date: "20240102",
+    to_date: "20240104",
+    window: "day",
+  })) {
+    ids.push(transaction.tran_id);
+  }
+  t.deepEqual(ids, ["order-2", "order-3", "order-4"]);
+});
+
+test("mock server should send signed callbacks", async (t) => {
+  const { server } = t.context;
+  const client = server.client();
+  const events = [];
+  const app = createServer(
+    http_callback_handler(client, (event) => {
+      events.push(event);
+    })
+  );
+  await new Promise((resolve) => app.listen(0, "127.0.0.1", resolve));
+  t.teardown(() => app.close());
+  const callback_url = `http://127.0.0.1:${app.address().port}/callback`;
+
+  await client.create_transaction({
+    tran_id: "order-1",
+    payment_option: "abapay",
+    amount: 5,
+    currency: "USD",
+    return_url: callback_url,
+  });
+  server.set_status("order-1", "APPROVED");
+
+  const response = await server.send_callback("order-1");
+  t.is(response.status, 200);
+  t.is(events[0].tran_id, "order-1");
+  t.is(events[0].status, "0");
+
+  const forged = await fetch(callback_url, {
+    method: "POST",
+    body: JSON.stringify({ ...server.sign_callback("order-1"), status: "1" }),
+  });
+  t.is(forged.status, 401);
+});
+
+test("set_status should validate its arguments", (t) => {
+  const { server } = t.context;
+  server.add_transaction({ tran_id: "order-1" });
+
+  t.throws(() => server.set_status("nope", "APPROVED"), {
+    message: /unknown transaction/,
+  });
+  t.throws(() => server.set_status("order-1", "PAID"), {
+    message: /status must be one of/,
+  });
+});
+
+test("mock server should accept requests sent with fetch_transport", async (t) => {
+  const { server } = t.context;
+  const client = server.client({ transport: fetch_transport() });
+
+  await client.create_transaction({
+    tran_id: "order-1",
+    payment_option: "abapay",
+    amount: 5,
+    currency: "USD",
+  });
+  const status = await client.check_transaction("order-1");
+  t.is(status.data.status, "PENDING");
+
+  const error = await t.throwsAsync(() => client.check_transaction("nope"), {
+    instanceOf: PayWayError,
+  });
+  t.is(error.errorCode, "TXN_NOT_FOUND");
+});
+
+test("mock server should accept requests signed by the edge runtime", async (t) => {
+  const { server } = t.context;
+  const script = `
+    const { PayWayClient } = require("./index.js");
+    const client = new PayWayClient(process.env.URL, "merchant", "secret");
+    (async () => {
+      let sync = "available";
+      try { client.create_hash(["a"]); } catch (error) { sync = error.message; }
+      const created = await client.create_transaction({
+        tran_id: "edge-1", payment_option: "abapay", amount: 1, currency: "USD",
+      });
+      const status = await client.check_transaction("edge-1");
+      console.log(JSON.stringify({ sync, created: created.data.tran_id, status: status.data.status, axios: "get" in client._client }));
+    })().catch((error) => { console.error(error); process.exit(1); });
+  `;
+
+  const { stdout } = await promisify(execFile)(
+    process.execPath,
+    ["--conditions=workerd", "-e", script],
+    { env: { ...process.env, URL: server.url }, timeout: 20000 }
+  );
+  const result = JSON.parse(stdout);
+
+  t.regex(result.sync, /synchronous signing is not available/);
+  t.is(result.created, "edge-1");
+  t.is(result.status, "PENDING");
+  t.false(result.axios);
+});
+
+test("mock server should approve purchases by token straight away", async (t) => {
+  const { server } = t.context;
+  const client = server.client();
+
+  await client.purchase_by_token({
+    ctid: "customer-1",
+    pwt: "card-1",
+    tran_id: "order-1",
+    amount: 12,
+    currency: "USD",
+  });
+
+  t.is(server.requests[0].fields.ctid, "customer-1");
+  t.is((await client.check_transaction("order-1")).data.status, "APPROVED");
+});
+
+test("reconcile should compare local records with the mock server", async (t) => {
+  const { server } = t.context;
+  const add = (tran_id, amount, status, created_at, currency = "USD") =>
+    server.add_transaction({ tran_id, amount, status, created_at, currency });
+  add("ok", "10.00", "APPROVED", "2024-05-01 09:00:00");
+  add("drift", "5.00", "APPROVED", "2024-05-01 10:00:00");
+  add("amount", "7.00", "APPROVED", "2024-05-02 10:00:00");
+  add("currency", "4000", "APPROVED", "2024-05-02 11:00:00", "KHR");
+  add("only-payway", "1.00", "APPROVED", "2024-05-02 12:00:00");
+  add("late", "3.00", "APPROVED", "2024-05-03 00:00:01");
+  const client = server.client();
+
+  async function* local() {
+    yield { tran_id: "ok", amount: 10, currency: "usd", status: "approved" };
+    yield { tran_id: "drift", amount: "5", currency: "USD", status: "pending" };
+    yield {
+      tran_id: "amount",
+      amount: "7.5",
+      currency: "USD",
+      status: "APPROVED",
+    };
+    yield {
+      tran_id: "currency",
+      amount: 1,
+      currency: "USD",
+      status: "APPROVED",
+    };
+    yield { tran_id: "late", amount: 3, currency: "USD", status: "APPROVED" };
+    yield {
+      tran_id: "only-ours",
+      amount: 2,
+      currency: "USD",
+      status: "APPROVED",
+    };
+  }
+
+  const report = await client.reconcile({
+    from: "20240501",
+    to: new Date(2024, 4, 2),
+    local: local(),
+  });
+
+  t.is(report.to, "20240502");
+  t.deepEqual(
+    report.rows.map((row) => [row.tran_id, row.result, row.issues]),
+    [
+      ["ok", "matched", []],
+      ["drift", "mismatch", ["status"]],
+      ["amount", "mismatch", ["amount"]],
+      ["currency", "mismatch", ["currency"]],
+      ["late", "matched", []],
+      ["only-ours", "missing_remote", []],
+      ["only-payway", "missing_local", []],
+    ]
+  );
+  t.deepEqual(report.summary, {
+    total: 7,
+    matched: 2,
+    missing_local: 1,
+    missing_remote: 1,
+    amount_mismatch: 1,
+    currency_mismatch: 1,
+    status_drift: 1,
+  });
+  t.deepEqual(report.rows[1].remote, {
+    amount: "5.00",
+    currency: "USD",
+    status: "APPROVED",
+  });
+  t.deepEqual(JSON.parse(JSON.stringify(report)), report);
+
+  const csv = reconciliation_csv(report).split("\r\n");
+  t.is(
+    csv[0],
+    "tran_id,result,issues,local_amount,remote_amount,local_currency,remote_currency,local_status,remote_status"
+  );
+  t.is(csv[2], "drift,mismatch,status,5,5.00,USD,USD,PENDING,APPROVED");
+  t.is(csv[6], "only-ours,missing_remote,,2,,USD,,APPROVED,");
+});
+
+test("normalize should return typed transactions from the mock server", async (t) => {
+  const { server } = t.context;
+  server.add_transaction({
+    tran_id: "order-1",
+    amount: "10.5",
+    status: "approved",
+    created_at: "2024-05-01 09:30:00",
+  });
+  server.add_transaction({
+    tran_id: "order-2",
+    amount: 4000,
+    currency: "KHR",
+    status: "ON-HOLD",
+    created_at: "2024-05-01 10:00:00",
+  });
+  const client = server.client({ normalize: true });
+
+  const checked = await client.check_transaction("order-1");
+  t.is(checked.tranId, "order-1");
+  t.is(checked.status, TransactionStatus.APPROVED);
+  t.deepEqual(checked.amount, {
+    amount: "10.50",
+    currency: "USD",
+    minorUnits: 1050,
+  });
+  t.deepEqual(checked.createdAt, new Date("2024-05-01T02:30:00Z"));
+  t.is(checked.raw.data.amount, "10.5");
+
+  const list = await client.transaction_list({ page: 1, pagination: 1 });
+  t.like(list, { page: 1, perPage: 1, total: 2, totalPages: 2 });
+  t.is(list.transactions[0].tranId, "order-1");
+
+  const all = [];
+  for await (const transaction of client.iterate_transactions()) {
+    all.push(transaction);
+  }
+  t.like(all[1], {
+    status: TransactionStatus.UNKNOWN,
+    rawStatus: "ON-HOLD",
+    currency: "KHR",
+  });
+  t.is(all[1].amount.amount, "4000");
+
+  const raw = await client.check_transaction("order-1", { normalize: false });
+  t.is(raw.data.status, "approved");
+});
+
+test("merchant registry should route requests and callbacks per merchant", async (t) => {
+  const { server } = t.context;
+  const other = await create_mock_server({
+    merchant_id: "other",
+    api_key: "other-secret",
+  });
+  t.teardown(() => other.close());
+  const urls = [];
+  const transport = fetch_transport();
+  const registry = new PayWayMerchantRegistry({
+    transport: {
+      request(options) {
+        urls.push(options.url);
+        return transport.request(options);
+      },
+    },
+    merchants: [
+      {
+        environment: "sandbox",
+        merchantId: "merchant",
+        apiKey: "secret",
+        baseUrl: server.url,
+      },
+    ],
+  });
+  registry.add({
+    environment: "sandbox",
+    merchantId: "other",
+    apiKey: "other-secret",
+    baseUrl: other.url,
+  });
+  server.add_transaction({ tran_id: "order-1", status: "APPROVED" });
+  other.add_transaction({ tran_id: "order-1", status: "DECLINED" });
+
+  t.is(
+    (await registry.for("merchant").check_transaction("order-1")).data.status,
+    "APPROVED"
+  );
+  t.is(
+    (await registry.for("other").check_transaction("order-1")).data.status,
+    "DECLINED"
+  );
+  t.deepEqual(
+    urls.map((url) => new URL(url).origin),
+    [server.url, other.url]
+  );
+
+  t.like(registry.verify_callback(other.sign_callback("order-1")), {
+    merchant_id: "other",
+    status: "1",
+  });
+  t.like(
+    await registry.verify_callback_async(server.sign_callback("order-1")),
+    {
+      merchant_id: "merchant",
+      status: "0",
+    }
+  );
+
+  t.true(registry.remove("other"));
+  t.deepEqual(registry.merchants(), ["merchant"]);
+  t.throws(() => registry.verify_callback(other.sign_callback("order-1")), {
+    instanceOf: PayWayCallbackError,
+    message: "Callback is for unknown merchant other",
+  });
+});